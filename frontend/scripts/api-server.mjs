@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Local API server for the datasets in src/data (see src/lib/api.js for the routes).
+//
+//   ADMIN_PASSWORD=… node scripts/api-server.mjs     listens on PORT (default 3001)
+//
+// Storage is the repo's own JSON files: admin edits rewrite src/data/events_phase0.json,
+// events.normalized.json and the per-city sessions/<city>.normalized.json (so `npm start` picks
+// them up and `npm run data:check` stays green) and regenerate public/calendar.ics.
+// Every change is appended to src/data/audit.jsonl; community submissions wait in
+// src/data/submissions.json until they are moderated.
+import { createServer } from "node:http";
+import { appendFile, mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { createApi } from "../src/lib/api.js";
+import { normalizeEvents, sourceEvent, toText } from "../src/lib/schema.js";
+import { CITY_DIR, cityFiles } from "../src/lib/cities.js";
+import { buildCalendar } from "../src/lib/ics.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT, "src", "data");
+const PORT = Number(process.env.PORT || 3001);
+const MAX_BODY = 1024 * 1024;
+
+const FILES = {
+  events: { source: "events_phase0.json", normalized: "events.normalized.json" },
+  races: { normalized: "races.normalized.json" },
+  clubs: { normalized: "clubs.normalized.json" },
+  cities: { normalized: "cities.normalized.json" },
+  submissions: { normalized: "submissions.json" }
+};
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+
+async function readJson(file) {
+  return JSON.parse(await readFile(path.join(DATA_DIR, file), "utf8"));
+}
+
+// Write to a temp file first so a crash never leaves half a dataset behind.
+async function writeJson(file, value) {
+  const target = path.join(DATA_DIR, file);
+  await writeFile(`${target}.tmp`, JSON.stringify(value, null, 2) + "\n");
+  await rename(`${target}.tmp`, target);
+}
+
+const fileStore = {
+  async read(name) {
+    const text = await readFile(path.join(DATA_DIR, FILES[name].normalized), "utf8").catch(err => {
+      if (name === "submissions" && err.code === "ENOENT") return "[]";
+      throw err;
+    });
+    return JSON.parse(text);
+  },
+  async write(name, records) {
+    if (name === "submissions") return writeJson(FILES.submissions.normalized, records);
+    if (name !== "events") throw new Error(`${name} is read-only`);
+    // The API hands back normalized records; written as they are, one edit would spell out every
+    // session's defaults and derived fields in the hand-edited file.
+    const original = new Map((await readJson(FILES.events.source)).map(e => [toText(e.id), e]));
+    const source = records.map(e => sourceEvent(e, original.get(e.id)));
+    const events = normalizeEvents(source).records;
+    await writeJson(FILES.events.source, source);
+    await writeJson(FILES.events.normalized, events);
+    await mkdir(path.join(DATA_DIR, CITY_DIR), { recursive: true });
+    for (const [file, sessions] of cityFiles(events, await this.read("cities"))) await writeJson(file, sessions);
+    const races = await this.read("races");
+    const ics = buildCalendar({ sessions: events.filter(e => e.active !== false), races, name: "Swiss Running – Community Runs" });
+    await writeFile(path.join(ROOT, "public", "calendar.ics"), ics);
+  },
+  async appendAudit(entry) {
+    await appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n");
+  },
+  async readAudit() {
+    const text = await readFile(AUDIT_FILE, "utf8").catch(() => "");
+    return text.split("\n").filter(Boolean).map(line => JSON.parse(line));
+  }
+};
+
+// Requests are handled one at a time so concurrent admin edits can't overwrite each other.
+let queue = Promise.resolve();
+const api = createApi({ store: fileStore, adminPassword: process.env.ADMIN_PASSWORD || "" });
+
+// A body over MAX_BODY: answered with 413 rather than the 500 for server faults.
+class BodyTooLarge extends Error {
+  constructor() {
+    super("request body too large");
+    this.status = 413;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      if (size > MAX_BODY) return;
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(new BodyTooLarge()); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const server = createServer(async (req, res) => {
+  try {
+    const body = await readBody(req);
+    const run = queue.then(() => api.handle({ method: req.method, url: req.url, headers: req.headers, body }));
+    queue = run.catch(() => {});
+    const result = await run;
+    res.writeHead(result.status, result.headers);
+    res.end(result.body);
+  } catch (err) {
+    if (err instanceof BodyTooLarge) {
+      // Answer first, then drop the connection instead of reading the rest of the upload.
+      res.writeHead(err.status, { "Content-Type": "application/json; charset=utf-8", Connection: "close" });
+      res.end(JSON.stringify({ error: err.message }), () => req.destroy());
+      return;
+    }
+    console.error(err);
+    res.writeHead(500, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify({ error: "internal error" }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`API on http://localhost:${PORT}/api (data in ${path.relative(ROOT, DATA_DIR) || "."})`);
+  if (!process.env.ADMIN_PASSWORD) console.log("ADMIN_PASSWORD is not set; /api/admin is disabled");
+});
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Writes public/calendar.ics, the subscribable feed of all active sessions and dated races.
+// Runs before `npm start` / `npm run build`; the output is generated and not committed.
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { buildCalendar } from "../src/lib/ics.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const readJson = async file => JSON.parse(await readFile(path.join(ROOT, "src", "data", file), "utf8"));
+
+const sessions = (await readJson("events.normalized.json")).filter(e => e.active !== false);
+const races = await readJson("races.normalized.json");
+
+const ics = buildCalendar({ sessions, races, name: "Swiss Running – Community Runs" });
+await writeFile(path.join(ROOT, "public", "calendar.ics"), ics);
+console.log(`wrote public/calendar.ics (${sessions.length} sessions, ${races.filter(r => r.start_date).length} races)`);
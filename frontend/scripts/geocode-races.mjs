@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Fills in place, canton and coordinates of the races in src/data/races.json from the offline
+// gazetteer in src/data/gazetteer.csv, and lists the places that need a human look.
+//
+//   node scripts/geocode-races.mjs           print the changes and the review list only (dry run)
+//   node scripts/geocode-races.mjs --write   write the resolved fields to races.json
+//
+// Only races without coordinates are looked up. Guesses (a misspelt place, a town taken from the
+// race name) are written but listed for review; ambiguous and unresolved places are left alone —
+// fix their `place` (or set lat/lon by hand) and run again. Run `npm run data:normalize` after writing.
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { decodeText, parseCsv } from "../src/lib/importer.js";
+import { createGazetteer, enrichRaces, localityLabel } from "../src/lib/geocode.js";
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "data");
+const RACES_FILE = path.join(DATA_DIR, "races.json");
+const FIELDS = ["place", "canton", "lat", "lon"];
+
+const write = process.argv.slice(2).includes("--write");
+
+const gazetteer = createGazetteer(parseCsv(decodeText(await readFile(path.join(DATA_DIR, "gazetteer.csv")))));
+const races = JSON.parse(await readFile(RACES_FILE, "utf8"));
+const { races: enriched, results } = enrichRaces(races, gazetteer);
+
+let changed = 0;
+enriched.forEach((race, i) => {
+  const fields = FIELDS.filter(f => race[f] !== races[i][f]);
+  if (fields.length === 0) return;
+  changed++;
+  console.log(`~ ${race.id}`);
+  fields.forEach(f => console.log(`    ${f}: ${JSON.stringify(races[i][f])} → ${JSON.stringify(race[f])}`));
+});
+
+const review = results.filter(r => r.status !== "resolved" || r.note);
+if (review.length) console.log("needs review:");
+review.forEach(r => {
+  const where = r.place ? JSON.stringify(r.place) : `(no place) ${JSON.stringify(r.name)}`;
+  const detail = r.note || (r.candidates.length ? `could be ${r.candidates.map(localityLabel).join(", ")}` : "not in the gazetteer");
+  console.log(`  ${(r.note ? "guessed" : r.status).padEnd(10)} ${r.id}  ${where}: ${detail}`);
+});
+
+const count = status => results.filter(r => r.status === status).length;
+console.log(`${gazetteer.entries.length} localities; ${count("resolved")} resolved, ${count("ambiguous")} ambiguous, ${count("unresolved")} unresolved, ${races.length - results.length} already located`);
+
+if (write && changed) {
+  await writeFile(RACES_FILE, JSON.stringify(enriched, null, 2) + "\n");
+  console.log("wrote src/data/races.json; run `npm run data:normalize` next");
+} else if (!write) {
+  console.log("dry run; pass --write to update src/data/races.json");
+}
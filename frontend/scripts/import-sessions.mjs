@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Imports community-run sessions from CSV/XLSX spreadsheets into src/data/events_phase0.json.
+//
+//   node scripts/import-sessions.mjs <file.csv|file.xlsx>...           print the diff only (dry run)
+//   node scripts/import-sessions.mjs --write <file.csv|file.xlsx>...   merge into events_phase0.json
+//
+// Multi-day rows ("tuesday;thursday") become one session per weekday with ids like
+// `the-6-zh-club_tuesday_0615`. Run `npm run data:normalize` after writing.
+// Exits with status 1 when any row could not be imported.
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import XLSX from "xlsx";
+import { decodeText, parseCsv, rowToSessions, isSessionSheet, mergeSessions } from "../src/lib/importer.js";
+
+const EVENTS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "data", "events_phase0.json");
+
+const argv = process.argv.slice(2);
+const write = argv.includes("--write");
+const files = argv.filter(a => !a.startsWith("--"));
+
+if (files.length === 0) {
+  console.error("usage: node scripts/import-sessions.mjs [--write] <file.csv|file.xlsx>...");
+  process.exit(2);
+}
+
+async function readSheets(file) {
+  if (/\.xlsx?$/i.test(file)) {
+    const wb = XLSX.read(await readFile(file), { type: "buffer" });
+    return wb.SheetNames.map(name => ({
+      label: `${path.basename(file)}:${name}`,
+      rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: "", raw: true })
+    }));
+  }
+  return [{ label: path.basename(file), rows: parseCsv(decodeText(await readFile(file))) }];
+}
+
+const imported = [];
+let failed = false;
+for (const file of files) {
+  for (const { label, rows } of await readSheets(file)) {
+    if (!isSessionSheet(rows)) {
+      console.log(`${label}: skipped, no club/days columns (not a session sheet)`);
+      continue;
+    }
+    let count = 0;
+    for (const [i, row] of rows.entries()) {
+      // +2: one for the header row, one because spreadsheets count from 1
+      const { sessions, issues } = rowToSessions(row, `${label} row ${i + 2}`);
+      issues.forEach(x => console.log(`  ERROR ${x.id} ${x.field}: ${x.message}`));
+      if (issues.length) failed = true;
+      imported.push(...sessions);
+      count += sessions.length;
+    }
+    console.log(`${label}: ${rows.length} row(s) → ${count} session(s)`);
+  }
+}
+
+const existing = JSON.parse(await readFile(EVENTS_FILE, "utf8"));
+const { events, diff } = mergeSessions(existing, imported);
+
+diff.added.forEach(id => console.log(`+ ${id}`));
+diff.changed.forEach(({ id, fields }) => {
+  console.log(`~ ${id}`);
+  fields.forEach(f => console.log(`    ${f.field}: ${JSON.stringify(f.from)} → ${JSON.stringify(f.to)}`));
+});
+console.log(`${diff.added.length} added, ${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+
+if (write && (diff.added.length || diff.changed.length)) {
+  await writeFile(EVENTS_FILE, JSON.stringify(events, null, 2) + "\n");
+  console.log("wrote src/data/events_phase0.json; run `npm run data:normalize` next");
+} else if (!write) {
+  console.log("dry run; pass --write to update src/data/events_phase0.json");
+}
+
+process.exit(failed ? 1 : 0);
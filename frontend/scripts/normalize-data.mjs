@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Validates the hand-edited datasets in src/data and writes the normalized copies the app imports.
+//
+//   node scripts/normalize-data.mjs           validate, report, write *.normalized.json
+//                                             and sessions/<city>.normalized.json
+//   node scripts/normalize-data.mjs --check   validate and fail if the normalized files are stale
+//   node scripts/normalize-data.mjs --quiet   only print errors
+//
+// The gazetteer (gazetteer.csv) is copied to gazetteer.normalized.json for the app's address search.
+// Route files (`route_url` paths under public/) are measured and compared with the listed
+// distances_km / elevation_gain_m. Each city in cities.json gets a file with its sessions (see
+// src/lib/cities.js), which the app loads when that city is picked. Exits with status 1 when any
+// record has errors.
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { normalizeEvents, normalizeRaces, normalizeClubs, normalizeCities, checkClubReferences, checkCityReferences, hasErrors } from "../src/lib/schema.js";
+import { CITY_DIR, cityFiles } from "../src/lib/cities.js";
+import { normalizeGazetteer } from "../src/lib/geocode.js";
+import { decodeText, parseCsv } from "../src/lib/importer.js";
+import { parseRoute, routeStats, routeMismatches } from "../src/lib/routes.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DATA_DIR = path.join(ROOT, "src", "data");
+const PUBLIC_DIR = path.join(ROOT, "public");
+const UNITS = { distances_km: "km", elevation_gain_m: "m" };
+
+const DATASETS = [
+  { source: "events_phase0.json", target: "events.normalized.json", normalize: normalizeEvents },
+  { source: "races.json", target: "races.normalized.json", normalize: normalizeRaces },
+  { source: "clubs.json", target: "clubs.normalized.json", normalize: normalizeClubs },
+  { source: "cities.json", target: "cities.normalized.json", normalize: normalizeCities }
+];
+
+const args = new Set(process.argv.slice(2));
+const check = args.has("--check");
+const quiet = args.has("--quiet");
+
+async function readJson(file) {
+  return JSON.parse(await readFile(path.join(DATA_DIR, file), "utf8"));
+}
+
+function report(source, issues) {
+  const shown = quiet ? issues.filter(i => i.level === "error") : issues;
+  const byId = new Map();
+  shown.forEach(i => {
+    if (!byId.has(i.id)) byId.set(i.id, []);
+    byId.get(i.id).push(i);
+  });
+  for (const [id, list] of byId) {
+    console.log(`${source} ${id}`);
+    list.forEach(i => console.log(`  ${i.level === "error" ? "ERROR" : "warn "} ${i.field}: ${i.message}`));
+  }
+  const errors = issues.filter(i => i.level === "error").length;
+  console.log(`${source}: ${errors} error(s), ${issues.length - errors} warning(s)`);
+}
+
+let failed = false;
+
+async function output(target, records) {
+  const out = JSON.stringify(records, null, 2) + "\n";
+  if (check) {
+    const current = await readFile(path.join(DATA_DIR, target), "utf8").catch(() => "");
+    if (current !== out) {
+      console.log(`${target} is out of date; run \`npm run data:normalize\``);
+      failed = true;
+    }
+  } else {
+    await writeFile(path.join(DATA_DIR, target), out);
+    console.log(`wrote src/data/${target} (${records.length} records)`);
+  }
+}
+
+const normalized = {};
+const valid = new Set();
+for (const { source, target, normalize } of DATASETS) {
+  const { records, issues } = normalize(await readJson(source));
+  normalized[source] = records;
+  report(source, issues);
+  if (hasErrors(issues)) { failed = true; continue; }
+  valid.add(source);
+  await output(target, records);
+}
+
+async function checkRoutes(records = []) {
+  const issues = [];
+  for (const r of records) {
+    if (!r.route_url.startsWith("/")) continue;
+    let points;
+    try {
+      points = parseRoute(await readFile(path.join(PUBLIC_DIR, r.route_url), "utf8"));
+    } catch (err) {
+      const message = err.code === "ENOENT" ? `${r.route_url} is not in public/` : `${r.route_url}: ${err.message}`;
+      issues.push({ id: r.id, field: "route_url", level: "error", message });
+      continue;
+    }
+    routeMismatches(r, routeStats(points)).forEach(m => issues.push({
+      id: r.id, field: m.field, level: "warning",
+      message: `is ${JSON.stringify(m.listed)} but the route measures ${m.measured} ${UNITS[m.field]}`
+    }));
+  }
+  return issues;
+}
+
+await output("gazetteer.normalized.json", normalizeGazetteer(parseCsv(decodeText(await readFile(path.join(DATA_DIR, "gazetteer.csv"))))));
+
+// Cross-dataset references
+report("events → clubs", checkClubReferences(normalized["events_phase0.json"], normalized["clubs.json"]));
+const cityIssues = checkCityReferences(normalized["events_phase0.json"], normalized["cities.json"]);
+report("events → cities", cityIssues);
+if (hasErrors(cityIssues)) failed = true;
+
+// Per-city session files; a file whose city was taken out of cities.json is reported for deletion.
+if (valid.has("events_phase0.json") && valid.has("cities.json") && !hasErrors(cityIssues)) {
+  if (!check) await mkdir(path.join(DATA_DIR, CITY_DIR), { recursive: true });
+  const files = cityFiles(normalized["events_phase0.json"], normalized["cities.json"]);
+  for (const [file, records] of files) await output(file, records);
+  const stale = (await readdir(path.join(DATA_DIR, CITY_DIR)).catch(() => []))
+    .filter(f => f.endsWith(".normalized.json") && !files.some(([file]) => file === `${CITY_DIR}/${f}`));
+  stale.forEach(f => console.log(`${CITY_DIR}/${f} belongs to no city in cities.json; delete it`));
+  if (check && stale.length) failed = true;
+}
+for (const [label, source] of [["events → routes", "events_phase0.json"], ["races → routes", "races.json"]]) {
+  const issues = await checkRoutes(normalized[source]);
+  report(label, issues);
+  if (hasErrors(issues)) failed = true;
+}
+
+process.exit(failed ? 1 : 0);
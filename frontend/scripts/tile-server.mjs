@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Stub map tile server for trying the offline mode without hitting OpenStreetMap.
+//
+//   npm run tiles                                   listens on PORT (default 3002)
+//   REACT_APP_TILE_URL=http://localhost:3002/{z}/{x}/{y}.png npm run build && npx serve -s build
+//
+// Every /{z}/{x}/{y}.png is a plain checkerboard square with a border, so the tile grid is visible,
+// and each request is logged: browse the map, stop this server, and the tiles you have seen
+// keep loading from the service worker cache while new areas stay blank.
+import { createServer } from "node:http";
+import { deflateSync } from "node:zlib";
+
+const PORT = Number(process.env.PORT || 3002);
+const SIZE = 256;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// 256×256 RGB PNG filled with `fill`, with a 1px `border`.
+function squarePng(fill, border) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(SIZE, 0);
+  ihdr.writeUInt32BE(SIZE, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // truecolor
+  const raw = Buffer.alloc(SIZE * (SIZE * 3 + 1));
+  for (let y = 0; y < SIZE; y++) {
+    const row = y * (SIZE * 3 + 1); // each row starts with filter type 0
+    for (let x = 0; x < SIZE; x++) {
+      const [r, g, b] = x === 0 || y === 0 ? border : fill;
+      raw[row + 1 + x * 3] = r;
+      raw[row + 2 + x * 3] = g;
+      raw[row + 3 + x * 3] = b;
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+const TILES = [squarePng([232, 240, 232], [180, 190, 180]), squarePng([220, 230, 242], [170, 180, 200])];
+
+let served = 0;
+const server = createServer((req, res) => {
+  const m = /^\/(\d+)\/(\d+)\/(\d+)(?:@2x)?\.png$/.exec(req.url.split("?")[0]);
+  if (!m) {
+    res.writeHead(404).end();
+    return;
+  }
+  const [, z, x, y] = m.map(Number);
+  served += 1;
+  console.log(`#${served} tile ${z}/${x}/${y}`);
+  res.writeHead(200, {
+    "Content-Type": "image/png",
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(TILES[(x + y) % 2]);
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub tiles on http://localhost:${PORT}/{z}/{x}/{y}.png`);
+});
@@ -0,0 +1,310 @@
+import { useCallback, useEffect, useState } from "react";
+import cities from "./data/cities.normalized.json";
+import { WEEKDAYS, RECURRENCES } from "./lib/schema";
+
+// Admin UI for scripts/api-server.mjs (served at /admin). The password is kept in sessionStorage
+// for the tab's lifetime and sent as HTTP Basic auth with every admin request.
+const PASSWORD_KEY = "adminPassword";
+
+// Editable session fields; list fields are edited as "a;b" text and parsed by the schema on save.
+const FIELDS = [
+  { name: "club", label: "Club", required: true },
+  { name: "club_slug", label: "Club slug", required: true },
+  // Empty: the city whose area contains the meeting point
+  { name: "city", label: "City", options: ["", ...cities.map(c => c.slug)] },
+  { name: "recurrence", label: "Recurrence", options: RECURRENCES },
+  { name: "weekday", label: "Weekday", options: ["", ...WEEKDAYS] },
+  { name: "date", label: "Date (one-off)", type: "date" },
+  { name: "start_time", label: "Start time", type: "time", required: true },
+  { name: "duration_min", label: "Duration (min)", type: "number" },
+  { name: "location_name", label: "Location" },
+  { name: "lat", label: "Latitude" },
+  { name: "lon", label: "Longitude" },
+  { name: "distances_km", label: "Distances (km, a;b)" },
+  { name: "route_url", label: "Route (GPX/GeoJSON URL)" },
+  { name: "pace_groups_min_per_km", label: "Pace groups (min/km, a;b)" },
+  { name: "valid_from", label: "Valid from", type: "date" },
+  { name: "valid_until", label: "Valid until", type: "date" },
+  { name: "exception_dates", label: "Exception dates (a;b)" },
+  { name: "language", label: "Language" },
+  { name: "source_url", label: "Source URL" },
+  { name: "instagram_url", label: "Instagram URL" }
+];
+
+function toForm(e) {
+  return Object.fromEntries(FIELDS.map(f => [f.name, toFormValue(e[f.name])]));
+}
+
+function toFormValue(v) {
+  if (Array.isArray(v)) return v.join(";");
+  return v == null ? "" : String(v);
+}
+
+function emptyForm() {
+  return Object.fromEntries(FIELDS.map(f => [f.name, f.name === "recurrence" ? "weekly" : ""]));
+}
+
+async function adminRequest(apiUrl, password, method, path, body) {
+  const res = await fetch(`${apiUrl}/api/admin${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${btoa(`admin:${password}`)}`,
+      ...(body ? { "Content-Type": "application/json" } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  return { ok: res.ok, status: res.status, data };
+}
+
+function useAdminApi(apiUrl, password) {
+  return useCallback((method, path, body) => adminRequest(apiUrl, password, method, path, body), [apiUrl, password]);
+}
+
+export default function AdminPage({ apiUrl }) {
+  const [password, setPassword] = useState(() => sessionStorage.getItem(PASSWORD_KEY) || "");
+  const [authed, setAuthed] = useState(false);
+  const [error, setError] = useState("");
+  const request = useAdminApi(apiUrl, password);
+
+  // Takes the password so resuming below can pass the saved one without waiting for state.
+  const login = useCallback(async pw => {
+    try {
+      const res = await adminRequest(apiUrl, pw, "GET", "/session");
+      if (res.ok) {
+        sessionStorage.setItem(PASSWORD_KEY, pw);
+        setAuthed(true);
+        setError("");
+      } else {
+        setError(res.data.error || `Login failed (${res.status})`);
+      }
+    } catch {
+      setError("The API server is not reachable. Start it with `npm run api`.");
+    }
+  }, [apiUrl]);
+
+  // Resume a session from an earlier login in this tab
+  useEffect(() => {
+    const saved = sessionStorage.getItem(PASSWORD_KEY);
+    if (saved) login(saved);
+  }, [login]);
+
+  if (!authed) {
+    return (
+      <form onSubmit={e => { e.preventDefault(); login(password); }} style={{ display: "grid", gap: 8, maxWidth: 320 }}>
+        <h2 style={{ margin: 0 }}>Admin</h2>
+        <label style={{ display: "grid", gap: 4 }}>
+          Password
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} autoFocus />
+        </label>
+        <button type="submit" disabled={!password}>Sign in</button>
+        {error && <div role="alert" style={{ color: "#b91c1c" }}>{error}</div>}
+      </form>
+    );
+  }
+
+  const logout = () => {
+    sessionStorage.removeItem(PASSWORD_KEY);
+    setPassword("");
+    setAuthed(false);
+  };
+  return <AdminDashboard request={request} onLogout={logout} />;
+}
+
+// The admin is English-only, so the reason codes from findDuplicates are worded here.
+function duplicateReason({ reason, distance_m: m, pending }) {
+  const text = reason === "same_club" ? "same club, day and start time" : `same day and start time, ${m} m away`;
+  return pending ? `pending submission, ${text}` : text;
+}
+
+function AdminDashboard({ request, onLogout }) {
+  const [events, setEvents] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [submissions, setSubmissions] = useState([]);
+  const [editing, setEditing] = useState(null); // null | { title, path, method, form }
+  const [message, setMessage] = useState("");
+
+  const reload = useCallback(async () => {
+    const [ev, log, subs] = await Promise.all([request("GET", "/events"), request("GET", "/audit?limit=50"), request("GET", "/submissions")]);
+    if (ev.ok) setEvents(ev.data);
+    if (log.ok) setAudit(log.data);
+    if (subs.ok) setSubmissions(subs.data);
+  }, [request]);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const setActive = async (e, active) => {
+    const res = await request("PUT", `/events/${encodeURIComponent(e.id)}`, { active });
+    setMessage(res.ok ? `${active ? "Activated" : "Deactivated"} ${e.id}` : res.data.error);
+    reload();
+  };
+
+  const saved = record => {
+    setMessage(`Saved ${record.id}`);
+    setEditing(null);
+    reload();
+  };
+
+  const moderate = async (s, action, body) => {
+    const res = await request("POST", `/submissions/${encodeURIComponent(s.id)}/${action}`, body);
+    setMessage(res.ok ? `${s.event.club}: ${res.data.status}` : res.data.error);
+    reload();
+  };
+
+  const clubs = Array.from(new Map(events.map(e => [e.club_slug, e.club])))
+    .sort((a, b) => a[1].localeCompare(b[1]));
+
+  return (
+    <div style={{ display: "grid", gap: 20 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <h2 style={{ margin: 0, flex: 1 }}>Admin</h2>
+        <button onClick={() => setEditing({ title: "New session", method: "POST", path: "/events", form: emptyForm() })}>New session</button>
+        <button onClick={onLogout}>Sign out</button>
+      </div>
+      {message && <div role="status" style={{ color: "#555" }}>{message}</div>}
+
+      {editing && (
+        <SessionForm key={editing.path} {...editing} request={request} onSaved={saved} onCancel={() => setEditing(null)} />
+      )}
+
+      <ModerationQueue submissions={submissions} clubs={clubs} onModerate={moderate}
+        onEdit={s => setEditing({ title: `Edit submission: ${s.event.club}`, method: "PUT", path: `/submissions/${encodeURIComponent(s.id)}`, form: toForm(s.event) })} />
+
+      <table style={{ borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #e5e7eb" }}>
+            <th>Session</th><th>Club</th><th>When</th><th>Location</th><th>Status</th><th />
+          </tr>
+        </thead>
+        <tbody>
+          {events.map(e => (
+            <tr key={e.id} style={{ borderBottom: "1px solid #f1f5f9", color: e.active === false ? "#999" : undefined }}>
+              <td><code>{e.id}</code></td>
+              <td>{e.club}</td>
+              <td>{e.recurrence === "once" ? e.date : e.weekday} {e.start_time}</td>
+              <td>{e.location_name}</td>
+              <td>{e.active === false ? "inactive" : "active"}</td>
+              <td style={{ whiteSpace: "nowrap" }}>
+                <button onClick={() => setEditing({ title: `Edit ${e.id}`, method: "PUT", path: `/events/${encodeURIComponent(e.id)}`, form: toForm(e) })}>Edit</button>{" "}
+                {e.active === false
+                  ? <button onClick={() => setActive(e, true)}>Activate</button>
+                  : <button onClick={() => setActive(e, false)}>Deactivate</button>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <section>
+        <h3>Audit log</h3>
+        {audit.length === 0 ? <p style={{ color: "#777" }}>No changes yet.</p> : (
+          <ul style={{ paddingLeft: 18, fontSize: 14 }}>
+            {audit.map((a, i) => (
+              <li key={i}>
+                <span style={{ color: "#555" }}>{new Date(a.at).toLocaleString()}</span> · {a.action} <code>{a.id}</code>
+                {a.action === "update" && <> · {a.changes.map(c => c.field).join(", ")}</>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function ModerationQueue({ submissions, clubs, onModerate, onEdit }) {
+  const [mergeInto, setMergeInto] = useState({}); // submission id -> club_slug
+  const [reasons, setReasons] = useState({}); // submission id -> rejection reason
+
+  return (
+    <section>
+      <h3 style={{ marginTop: 0 }}>Submissions ({submissions.length} pending)</h3>
+      {submissions.length === 0 ? <p style={{ color: "#777" }}>Nothing to review.</p> : (
+        <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: 10 }}>
+          {submissions.map(s => {
+            const e = s.event;
+            return (
+              <li key={s.id} style={{ border: "1px solid #e5e7eb", borderRadius: 12, padding: 12, fontSize: 14, display: "grid", gap: 6 }}>
+                <div>
+                  <strong>{e.club}</strong> · {e.recurrence === "once" ? e.date : `${e.recurrence} ${e.weekday}`} {e.start_time}
+                  {e.location_name && <> · {e.location_name}</>}
+                  {e.distances_km.length > 0 && <> · {e.distances_km.join("/")} km</>}
+                </div>
+                <div style={{ color: "#555" }}>
+                  Submitted {new Date(s.submitted_at).toLocaleString()}
+                  {s.contact && <> by {s.contact}</>}
+                  {e.source_url && <> · <a href={e.source_url} target="_blank" rel="noreferrer">source</a></>}
+                  {e.instagram_url && <> · <a href={e.instagram_url} target="_blank" rel="noreferrer">Instagram</a></>}
+                </div>
+                {s.note && <div>“{s.note}”</div>}
+                {s.duplicates.length > 0 && (
+                  <div style={{ color: "#92400e" }}>
+                    Possible duplicate of {s.duplicates.map(d => <span key={d.id}><code>{d.id}</code> ({duplicateReason(d)}) </span>)}
+                  </div>
+                )}
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+                  <button onClick={() => onModerate(s, "approve")}>Approve</button>
+                  <button onClick={() => onEdit(s)}>Edit</button>
+                  <select aria-label="Merge into club" value={mergeInto[s.id] || ""} onChange={ev => setMergeInto(prev => ({ ...prev, [s.id]: ev.target.value }))}>
+                    <option value="">Merge into club…</option>
+                    {clubs.map(([slug, name]) => <option key={slug} value={slug}>{name}</option>)}
+                  </select>
+                  <button disabled={!mergeInto[s.id]} onClick={() => onModerate(s, "merge", { club_slug: mergeInto[s.id] })}>Merge</button>
+                  <input placeholder="Reason" aria-label="Rejection reason" value={reasons[s.id] || ""}
+                    onChange={ev => setReasons(prev => ({ ...prev, [s.id]: ev.target.value }))} />
+                  <button onClick={() => onModerate(s, "reject", { reason: reasons[s.id] || "" })}>Reject</button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+function SessionForm({ title, method, path, form: initial, request, onSaved, onCancel }) {
+  const [form, setForm] = useState(initial);
+  const [issues, setIssues] = useState([]);
+  const [error, setError] = useState("");
+
+  const submit = async e => {
+    e.preventDefault();
+    const res = await request(method, path, form);
+    if (res.ok) { onSaved(res.data.event || res.data); return; }
+    setError(res.data.error || `Save failed (${res.status})`);
+    setIssues(res.data.issues || []);
+  };
+
+  const issueFor = name => issues.filter(i => i.field === name).map(i => i.message).join("; ");
+
+  return (
+    <form onSubmit={submit} style={{ border: "1px solid #e5e7eb", borderRadius: 12, padding: 14, display: "grid", gap: 10 }}>
+      <h3 style={{ margin: 0 }}>{title}</h3>
+      <div style={{ display: "grid", gap: 10, gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))" }}>
+        {FIELDS.map(f => {
+          const problem = issueFor(f.name);
+          const props = {
+            value: form[f.name],
+            onChange: e => setForm(prev => ({ ...prev, [f.name]: e.target.value })),
+            "aria-invalid": problem ? true : undefined
+          };
+          return (
+            <label key={f.name} style={{ display: "grid", gap: 4, fontSize: 14 }}>
+              {f.label}{f.required && " *"}
+              {f.options
+                ? <select {...props}>{f.options.map(o => <option key={o} value={o}>{o || "—"}</option>)}</select>
+                : <input type={f.type || "text"} {...props} />}
+              {problem && <span style={{ color: "#b91c1c", fontSize: 12 }}>{problem}</span>}
+            </label>
+          );
+        })}
+      </div>
+      {error && <div role="alert" style={{ color: "#b91c1c" }}>{error}</div>}
+      <div style={{ display: "flex", gap: 8 }}>
+        <button type="submit">Save</button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
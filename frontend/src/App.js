@@ -1,120 +1,463 @@
-import { useEffect, useMemo, useState } from "react";
-import events from "./data/events_phase0.json";
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+// Normalized copies written by `npm run data:normalize` (see scripts/normalize-data.mjs); sessions
+// are split per city and loaded on demand (see useDatasets)
+import bundledRaces from "./data/races.normalized.json";
+import bundledClubs from "./data/clubs.normalized.json";
+import bundledCities from "./data/cities.normalized.json";
+import weatherFixture from "./data/weather.fixture.json";
+import { WEEKDAYS } from "./lib/schema";
+import { buildCalendar } from "./lib/ics";
+import { expandOccurrencesInRange, nextOccurrence, eventTimeZone, hasEnded } from "./lib/occurrences";
+import { ZURICH_TZ, viewerTimeZone, dateInZone, timeInZone, zonedParts, addDays, dayOfWeek, dateFromYmd } from "./lib/time";
+import { createGazetteer, geocodeAddress, localityLabel } from "./lib/geocode";
+import { oneOf, numberIn, isoDate, readParams, writeParams, onlyReplaceableChanged, orderedRange } from "./lib/urlState";
+import { haversineKm, parseLatLon, formatLatLon, clusterPoints } from "./lib/geo";
+import AdminPage from "./Admin";
+import SubmitPage from "./Submit";
+import { activateUpdate } from "./serviceWorkerRegistration";
+import { LOCALES, LOCALE_NAMES, detectLocale, saveLocale, createI18n, I18nContext, useI18n } from "./i18n";
+import { sessionMatches, sessionLanguages, compareSessions, raceMatches, compareRaces } from "./lib/filters";
+import { foldText, searchRecords, sessionSearchFields, raceSearchFields, highlightRanges } from "./lib/search";
+import { REMINDER_MINUTES, emptyFavorites, normalizeFavorites, parseFavorites, mergeFavorites, toggleFavorite, isStarred, dueReminders } from "./lib/favorites";
+import { parseRoute, routeStats, routeMismatches, toGpx } from "./lib/routes";
+import { PACE_UNITS, parsePace, formatPace, toUnit, fromUnit, formatDuration, hasPaceNear, finishTimes } from "./lib/pace";
+import { weatherProviderFromConfig, createWeatherService, isRainy } from "./lib/weather";
+import { SWITZERLAND, cityName, inBounds, leafletBounds } from "./lib/cities";
+import { sessionHours, weekdayHourMatrix, distanceDistribution, paceDistribution, sessionsPerClub, densityGrid, toCsv } from "./lib/stats";
 
 // --- Map deps ---
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
-import { MapContainer, TileLayer, Marker, Popup, useMap } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Circle, CircleMarker, Polyline, Rectangle, Popup, Tooltip, useMap, useMapEvents } from "react-leaflet";
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
 import markerIcon from "leaflet/dist/images/marker-icon.png";
 import markerShadow from "leaflet/dist/images/marker-shadow.png";
 L.Icon.Default.mergeOptions({ iconRetinaUrl: markerIcon2x, iconUrl: markerIcon, shadowUrl: markerShadow });
 
-const WEEKDAYS = ["monday","tuesday","wednesday","thursday","friday","saturday","sunday"];
 const weekdayOrder = Object.fromEntries(WEEKDAYS.map((w,i)=>[w,i]));
-const JS_DOW = { sunday:0, monday:1, tuesday:2, wednesday:3, thursday:4, friday:5, saturday:6 };
+const VIEWS = ["list","calendar","map","races","stats","myweek"];
+const RADII_KM = [1, 2, 5, 10, 25, 50];
+const PACE_TOLERANCE_S = 15; // "within ±15 s" of the runner's pace, in the unit they entered it in
+// "switzerland" (every session) first, then the cities of cities.json
+const CITIES = new Map([SWITZERLAND, ...bundledCities].map(c => [c.slug, c]));
+const cityParam = fallback => ({ param: "city", fallback, parse: oneOf(Array.from(CITIES.keys())) });
 
+// Picks the city (?city=, else the saved choice, else the whole of Switzerland) and loads its
+// sessions; the explorer is mounted afresh for each city so its filters start from that city's data.
 export default function App() {
-  const [clubFilter, setClubFilter] = useState("");
-  const [weekdayFilter, setWeekdayFilter] = useState("");
-  const [hourFilter, setHourFilter] = useState("");      // "06", "18", etc
-  const [view, setView] = useState("list");              // "list" | "calendar" | "map"
+  const [savedCity] = useState(detectCity);
+  const [city, setCity] = useState(() => readParams(window.location.search, { city: cityParam(savedCity) }).city);
+  const [attempt, setAttempt] = useState(0);
+  const data = useDatasets(city, attempt);
+  if (!data || data.failed) {
+    return <CityLoading city={CITIES.get(city)} failed={Boolean(data?.failed)} onRetry={() => setAttempt(n => n + 1)} />;
+  }
+  return <CityExplorer key={city} city={CITIES.get(city)} cityFallback={savedCity} data={data} onCity={setCity} />;
+}
 
+function CityExplorer({ city, cityFallback, data: { events, races, clubProfiles }, onCity }) {
   // Distance stats from data
   const distanceStats = useMemo(() => {
-    const vals = events.flatMap(getDistances).filter(n => Number.isFinite(n));
+    const vals = events.flatMap(getDistances);
     return {
       min: vals.length ? Math.floor(Math.min(...vals)) : 0,
       max: vals.length ? Math.ceil(Math.max(...vals)) : 20
     };
-  }, []);
-
-  const [distMin, setDistMin] = useState(distanceStats.min);
-  const [distMax, setDistMax] = useState(distanceStats.max);
+  }, [events]);
 
   // Clubs (active only) for dropdown
   const clubs = useMemo(() => {
     const set = new Map();
     events.forEach(e => { if (e.active !== false) set.set(e.club_slug, e.club); });
     return Array.from(set.entries()).sort((a,b) => a[1].localeCompare(b[1]));
-  }, []);
+  }, [events]);
 
   // Hours present in data (active only)
-  const hours = useMemo(() => {
-    const set = new Set();
-    events.forEach(e => {
-      if (e.active === false) return;
-      const hh = (e.start_time || "").split(":")[0];
-      if (hh && /^\d{1,2}$/.test(hh)) set.add(hh.padStart(2, "0"));
-    });
-    return Array.from(set).sort((a,b) => a.localeCompare(b));
-  }, []);
+  const hours = useMemo(() => sessionHours(events.filter(e => e.active !== false)), [events]);
+
+  // Race stats (Races tab filters; also applied to races shown on Calendar and Map)
+  const raceStats = useMemo(() => {
+    const dists = races.flatMap(getDistances);
+    const elevs = races.flatMap(r => r.elevation_gain_m);
+    return {
+      distMin: dists.length ? Math.floor(Math.min(...dists)) : 0,
+      distMax: dists.length ? Math.ceil(Math.max(...dists)) : 100,
+      elevMin: elevs.length ? Math.floor(Math.min(...elevs)) : 0,
+      elevMax: elevs.length ? Math.ceil(Math.max(...elevs)) : 5000
+    };
+  }, [races]);
+
+  const raceTypes = useMemo(() => {
+    return Array.from(new Set(races.flatMap(r => r.type))).sort((a,b) => a.localeCompare(b));
+  }, [races]);
+
+  const raceCantons = useMemo(() => {
+    return Array.from(new Set(races.map(r => r.canton).filter(Boolean))).sort((a,b) => a.localeCompare(b));
+  }, [races]);
+
+  // Languages runs are held in: the UI languages plus any others the data mentions
+  const runLanguages = useMemo(() => {
+    const extra = events.flatMap(sessionLanguages).filter(l => !LOCALES.includes(l));
+    return [...LOCALES, ...Array.from(new Set(extra)).sort()];
+  }, [events]);
+
+  // Without ?lang=, the saved choice or the browser's language; links only carry it when it differs.
+  const [detectedLocale] = useState(detectLocale);
+
+  // View and filters are mirrored in the query string so links restore the same selection
+  const urlSpec = useMemo(() => ({
+    locale:           { param: "lang",   fallback: detectedLocale, parse: oneOf(LOCALES) },
+    city:             cityParam(cityFallback),
+    view:             { param: "view",   fallback: "list", parse: oneOf(VIEWS) },
+    query:            { param: "q",      fallback: "", parse: v => v, replace: true },
+    timeMode:         { param: "tz",     fallback: "event", parse: oneOf(["event","viewer"]) },
+    calMode:          { param: "cal",    fallback: "month", parse: oneOf(["month","week","agenda"]) },
+    calDate:          { param: "date",   fallback: "", parse: isoDate },
+    clubFilter:       { param: "club",   fallback: "", parse: oneOf(clubs.map(([slug]) => slug)) },
+    weekdayFilter:    { param: "day",    fallback: "", parse: oneOf(WEEKDAYS) },
+    hourFilter:       { param: "hour",   fallback: "", parse: oneOf(hours) },
+    languageFilter:   { param: "language", fallback: "", parse: oneOf(runLanguages) },
+    hideRainy:        { param: "dry",    fallback: false, parse: v => (v === "true" ? true : undefined) },
+    distMin:          { param: "dmin",   fallback: distanceStats.min, parse: numberIn(distanceStats.min, distanceStats.max), replace: true },
+    distMax:          { param: "dmax",   fallback: distanceStats.max, parse: numberIn(distanceStats.min, distanceStats.max), replace: true },
+    near:             { param: "near",   fallback: "", parse: v => (parseLatLon(v) ? v : undefined) },
+    radiusKm:         { param: "radius", fallback: 5, parse: v => oneOf(RADII_KM)(Number(v)) },
+    myPace:           { param: "pace",   fallback: "", parse: v => (parsePace(v) != null ? v : undefined) },
+    paceUnit:         { param: "unit",   fallback: "km", parse: oneOf(PACE_UNITS) },
+    raceFrom:         { param: "from",   fallback: "", parse: isoDate },
+    raceTo:           { param: "to",     fallback: "", parse: isoDate },
+    raceTypeFilter:   { param: "type",   fallback: "", parse: oneOf(raceTypes) },
+    raceCantonFilter: { param: "canton", fallback: "", parse: oneOf(raceCantons) },
+    raceDistMin:      { param: "rdmin",  fallback: raceStats.distMin, parse: numberIn(raceStats.distMin, raceStats.distMax), replace: true },
+    raceDistMax:      { param: "rdmax",  fallback: raceStats.distMax, parse: numberIn(raceStats.distMin, raceStats.distMax), replace: true },
+    raceElevMin:      { param: "emin",   fallback: raceStats.elevMin, parse: numberIn(raceStats.elevMin, raceStats.elevMax), replace: true },
+    raceElevMax:      { param: "emax",   fallback: raceStats.elevMax, parse: numberIn(raceStats.elevMin, raceStats.elevMax), replace: true }
+  }), [detectedLocale, cityFallback, clubs, hours, runLanguages, distanceStats, raceStats, raceTypes, raceCantons]);
+
+  const [initial] = useState(() => readUrlState(window.location.search, urlSpec));
 
-  // Main filtered list
+  const [locale, setLocale] = useState(initial.locale);               // "en" | "de" | "fr" | "it"
+  const [query, setQuery] = useState(initial.query);                 // free-text search over sessions and races
+  const [clubFilter, setClubFilter] = useState(initial.clubFilter);
+  const [weekdayFilter, setWeekdayFilter] = useState(initial.weekdayFilter);
+  const [hourFilter, setHourFilter] = useState(initial.hourFilter);   // "06", "18", etc
+  const [languageFilter, setLanguageFilter] = useState(initial.languageFilter); // "de", "en", etc
+  const [hideRainy, setHideRainy] = useState(initial.hideRainy);      // leave out runs with rain in the forecast
+  const [view, setView] = useState(initial.view);                     // "list" | "calendar" | "map" | "races"
+  const [timeMode, setTimeMode] = useState(initial.timeMode);         // "event" (session's own zone) | "viewer"
+  const [calMode, setCalMode] = useState(initial.calMode);            // "month" | "week" | "agenda"
+  const [calDate, setCalDate] = useState(initial.calDate);            // anchor "YYYY-MM-DD"; "" = today
+  const [distMin, setDistMin] = useState(initial.distMin);
+  const [distMax, setDistMax] = useState(initial.distMax);
+  const [near, setNear] = useState(initial.near);                     // "lat,lon" origin of the radius search; "" = off
+  const [nearLabel, setNearLabel] = useState("");                     // "Your location" / the searched address
+  const [radiusKm, setRadiusKm] = useState(initial.radiusKm);
+  const [myPace, setMyPace] = useState(initial.myPace);               // "m:ss" per paceUnit; "" = any pace
+  const [paceUnit, setPaceUnit] = useState(initial.paceUnit);         // "km" | "mi"
+
+  const [raceFrom, setRaceFrom] = useState(initial.raceFrom);         // "YYYY-MM-DD"
+  const [raceTo, setRaceTo] = useState(initial.raceTo);
+  const [raceTypeFilter, setRaceTypeFilter] = useState(initial.raceTypeFilter);
+  const [raceCantonFilter, setRaceCantonFilter] = useState(initial.raceCantonFilter);
+  const [raceDistMin, setRaceDistMin] = useState(initial.raceDistMin);
+  const [raceDistMax, setRaceDistMax] = useState(initial.raceDistMax);
+  const [raceElevMin, setRaceElevMin] = useState(initial.raceElevMin);
+  const [raceElevMax, setRaceElevMax] = useState(initial.raceElevMax);
+
+  const [route, navigate] = usePath();
+  const [favorites, setFavorites] = useFavorites();
+  const toggleStar = (kind, id) => setFavorites(f => toggleFavorite(f, kind, id));
+
+  const urlValues = { locale, city: city.slug, view, query, timeMode, calMode, calDate, clubFilter, weekdayFilter, hourFilter, languageFilter, hideRainy, distMin, distMax, near, radiusKm, myPace, paceUnit,
+      raceFrom, raceTo, raceTypeFilter, raceCantonFilter, raceDistMin, raceDistMax, raceElevMin, raceElevMax };
+  useUrlSync(
+    urlValues,
+    { locale: setLocale, city: onCity, view: setView, query: setQuery, timeMode: setTimeMode, calMode: setCalMode, calDate: setCalDate,
+      clubFilter: setClubFilter, weekdayFilter: setWeekdayFilter, hourFilter: setHourFilter, languageFilter: setLanguageFilter, hideRainy: setHideRainy,
+      distMin: setDistMin, distMax: setDistMax, near: setNear, radiusKm: setRadiusKm, myPace: setMyPace, paceUnit: setPaceUnit, raceFrom: setRaceFrom, raceTo: setRaceTo,
+      raceTypeFilter: setRaceTypeFilter, raceCantonFilter: setRaceCantonFilter,
+      raceDistMin: setRaceDistMin, raceDistMax: setRaceDistMax, raceElevMin: setRaceElevMin, raceElevMax: setRaceElevMax },
+    urlSpec
+  );
+
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t } = i18n;
+  useEffect(() => { document.documentElement.lang = locale; }, [locale]);
+  const title = city.slug === SWITZERLAND.slug ? t("app.titleAll") : t("app.title", { city: cityName(city, locale) });
+  useEffect(() => { document.title = title; }, [title]);
+
+  // A new city starts from its own defaults: its canton's races, no club, start time, distance or
+  // near filter (all of those depend on the city's sessions). The page is re-read by the new explorer.
+  const switchCity = slug => {
+    const next = CITIES.get(slug);
+    saveCity(slug);
+    const query = writeParams({
+      ...urlValues, city: slug, clubFilter: "", hourFilter: "", distMin: null, distMax: null, near: "",
+      raceCantonFilter: raceCantons.includes(next.canton) ? next.canton : ""
+    }, urlSpec);
+    const path = route.page === "club" ? `${BASE_PATH}/clubs` : window.location.pathname;
+    window.history.pushState(null, "", `${path}${query ? `?${query}` : ""}`);
+    onCity(slug);
+  };
+
+  // Starred sessions that still run, for "My week" and reminders (filters don't apply), in every
+  // city: the other cities' come from the whole-Switzerland sessions, this city's from `events`.
+  const allSessions = useAllSessions(favorites.clubs.length > 0 || favorites.sessions.length > 0);
+  const starred = useMemo(() => {
+    const here = new Set(events.map(e => e.id));
+    const elsewhere = (allSessions || []).filter(e => !here.has(e.id));
+    return [...events, ...elsewhere].filter(e => e.active !== false && !hasEnded(e) && isStarred(favorites, e)).sort(compareSessions);
+  }, [events, allSessions, favorites]);
+
+  // Tabs double as the way back from the club pages, carrying the current view/filter query along.
+  const showView = (v) => {
+    if (route.page !== "main") {
+      const query = writeParams({ ...urlValues, view: v }, urlSpec);
+      navigate(`/${query ? `?${query}` : ""}`);
+    }
+    setView(v);
+  };
+
+  // A city lists the clubs that run there; the whole of Switzerland lists every club.
+  const clubDirectory = useMemo(() => {
+    const profiles = city.slug === SWITZERLAND.slug ? clubProfiles : clubProfiles.filter(c => events.some(e => e.club_slug === c.slug));
+    return buildClubDirectory(profiles, events.filter(e => e.active !== false && !hasEnded(e)));
+  }, [city, clubProfiles, events]);
+
+  const origin = useMemo(() => {
+    const p = parseLatLon(near);
+    return p ? { ...p, label: nearLabel } : null;
+  }, [near, nearLabel]);
+
+  // Stable color per club for map markers and the legend
+  const clubColors = useMemo(() => new Map(clubs.map(([slug], i) => [slug, clubColor(i)])), [clubs]);
+
+  // Main filtered list; a search ranks the matches best first
   const filtered = useMemo(() => {
-    return events
-      .filter(e => e.active !== false)
-      .filter(e => (clubFilter ? e.club_slug === clubFilter : true))
-      .filter(e => (weekdayFilter ? e.weekday === weekdayFilter : true))
-      .filter(e => (hourFilter ? (e.start_time || "").startsWith(hourFilter + ":") : true))
-      .filter(e => eventWithinDistanceRange(e, distMin, distMax))
-      .sort((a,b) => {
-        const wd = (weekdayOrder[a.weekday] ?? 99) - (weekdayOrder[b.weekday] ?? 99);
-        if (wd !== 0) return wd;
-        return (a.start_time || "").localeCompare(b.start_time || "");
-      });
-  }, [clubFilter, weekdayFilter, hourFilter, distMin, distMax]);
+    const list = searchRecords(events
+      .filter(e => e.active !== false && !hasEnded(e))
+      .filter(e => sessionMatches(e, { club: clubFilter, weekday: weekdayFilter, hour: hourFilter, language: languageFilter, distMin, distMax }))
+      .filter(e => (myPace ? hasPaceNear(e, fromUnit(parsePace(myPace), paceUnit), fromUnit(PACE_TOLERANCE_S, paceUnit)) : true))
+      .sort(compareSessions), query, sessionSearchFields);
+    if (!origin) return list;
+    // Near mode: keep sessions within the radius, closest first (stable, so weekday/time order breaks ties)
+    return list
+      .filter(hasCoords)
+      .map(e => ({ ...e, distance_from_origin_km: haversineKm(origin, e) }))
+      .filter(e => e.distance_from_origin_km <= radiusKm)
+      .sort((a,b) => a.distance_from_origin_km - b.distance_from_origin_km);
+  }, [events, query, clubFilter, weekdayFilter, hourFilter, languageFilter, distMin, distMax, myPace, paceUnit, origin, radiusKm]);
+
+  // The list and the map go by each session's next run; the calendar checks every run it shows.
+  const nextForecasts = useNextForecasts(filtered);
+  const shown = hideRainy ? filtered.filter(e => !isRainy(nextForecasts.get(e.id))) : filtered;
+
+  const filteredRaces = useMemo(() => {
+    return searchRecords(races
+      .filter(r => raceMatches(r, {
+        from: raceFrom, to: raceTo, type: raceTypeFilter, canton: raceCantonFilter,
+        distMin: raceDistMin, distMax: raceDistMax, elevMin: raceElevMin, elevMax: raceElevMax
+      }))
+      .sort(compareRaces), query, raceSearchFields);
+  }, [races, query, raceFrom, raceTo, raceTypeFilter, raceCantonFilter, raceDistMin, raceDistMax, raceElevMin, raceElevMax]);
+
+  // null = show each session in its own zone (Europe/Zurich unless the data says otherwise)
+  const displayZone = timeMode === "viewer" ? viewerTimeZone() : null;
+  useReminders(starred, favorites.reminder_min, displayZone, t);
+
+  const tabs = [
+    { id: "list", label: t("tabs.list"), active: route.page === "main" && view === "list", select: () => showView("list") },
+    { id: "calendar", label: t("tabs.calendar"), active: route.page === "main" && view === "calendar", select: () => showView("calendar") },
+    { id: "map", label: t("tabs.map"), active: route.page === "main" && view === "map", select: () => showView("map") },
+    { id: "races", label: t("tabs.races"), active: route.page === "main" && view === "races", select: () => showView("races") },
+    { id: "clubs", label: t("tabs.clubs"), active: route.page === "clubs" || route.page === "club", select: () => navigate("/clubs") },
+    { id: "stats", label: t("tabs.stats"), active: route.page === "main" && view === "stats", select: () => showView("stats") },
+    { id: "myweek", label: t("tabs.myWeek"), active: route.page === "main" && view === "myweek", select: () => showView("myweek") }
+  ];
+  const activeTab = tabs.find(tab => tab.active);
+
+  const raceFiltersActive = query || raceFrom || raceTo || raceTypeFilter || raceCantonFilter
+    || raceDistMin !== raceStats.distMin || raceDistMax !== raceStats.distMax
+    || raceElevMin !== raceStats.elevMin || raceElevMax !== raceStats.elevMax;
 
   return (
+    <I18nContext.Provider value={i18n}>
     <div style={{ maxWidth: 1000, margin: "40px auto", padding: "0 16px", fontFamily: "system-ui, sans-serif" }}>
-      <h1 style={{ marginBottom: 8 }}>Zurich Running – Community Runs</h1>
+      <div style={{ display: "flex", gap: 12, alignItems: "baseline", flexWrap: "wrap", marginBottom: 8 }}>
+        <h1 style={{ margin: 0 }}>{title}</h1>
+        <label style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center", fontSize: 14, color: "#333" }}>
+          {t("app.city")}
+          <select value={city.slug} onChange={e => switchCity(e.target.value)}
+            style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+            <option value={SWITZERLAND.slug}>{t("app.allCities")}</option>
+            {bundledCities.map(c => [c.slug, cityName(c, locale)]).sort((a, b) => a[1].localeCompare(b[1], locale)).map(([slug, name]) => (
+              <option key={slug} value={slug}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14, color: "#333" }}>
+          {t("app.language")}
+          <select value={locale} onChange={e => { setLocale(e.target.value); saveLocale(e.target.value); }}
+            style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+            {LOCALES.map(l => <option key={l} value={l} lang={l}>{LOCALE_NAMES[l]}</option>)}
+          </select>
+        </label>
+      </div>
       <p style={{ color: "#555", marginTop: 0 }}>
-        Display-only MVP. Filter by club and weekday. List · Calendar · Map.
+        {city.slug === SWITZERLAND.slug ? t("app.taglineAll") : t("app.tagline", { city: cityName(city, locale) })}
+        {" "}{t("app.missingRun", { link: <Link to="/submit" navigate={navigate}>{t("app.submitLink")}</Link> })}
       </p>
+      <StatusBanners />
 
       {/* View tabs */}
-      <div style={{ display: "flex", gap: 8, margin: "8px 0 16px" }}>
-        <TabButton active={view==="list"} onClick={()=>setView("list")}>List</TabButton>
-        <TabButton active={view==="calendar"} onClick={()=>setView("calendar")}>Calendar</TabButton>
-        <TabButton active={view==="map"} onClick={()=>setView("map")}>Map</TabButton>
+      <div style={{ display: "flex", gap: 8, margin: "8px 0 16px", flexWrap: "wrap" }}>
+        <ViewTabs tabs={tabs} label={t("tabs.label")} />
+        {route.page !== "admin" && route.page !== "submit" && (route.page !== "main" || view !== "races") && (
+          <label style={{ marginLeft: "auto", display: "flex", gap: 6, alignItems: "center", fontSize: 14, color: "#333" }}>
+            {t("times.label")}
+            <select value={timeMode} onChange={e => setTimeMode(e.target.value)}
+              style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+              <option value="event">{t("times.event")}</option>
+              <option value="viewer">{t("times.viewer", { zone: viewerTimeZone() })}</option>
+            </select>
+          </label>
+        )}
       </div>
 
-      {/* Filters */}
+      <div role={activeTab ? "tabpanel" : undefined} id={activeTab ? "view-panel" : undefined}
+        aria-labelledby={activeTab ? `tab-${activeTab.id}` : undefined}>
+      {activeTab && route.page !== "club" && <h2 style={SR_ONLY}>{activeTab.label}</h2>}
+      {route.page === "admin" ? (
+        <AdminPage apiUrl={API_URL || ""} />
+      ) : route.page === "submit" ? (
+        <SubmitPage apiUrl={API_URL || ""} tileUrl={TILE_URL} events={events} cities={bundledCities}
+          city={city.slug === SWITZERLAND.slug ? "" : city.slug} />
+      ) : route.page === "clubs" ? (
+        <ClubsIndex directory={clubDirectory} navigate={navigate} favorites={favorites} onStar={toggleStar} />
+      ) : route.page === "club" ? (
+        <ClubPage club={clubDirectory.find(c => c.slug === route.slug)} displayZone={displayZone}
+          paceUnit={paceUnit} clubColors={clubColors} navigate={navigate} favorites={favorites} onStar={toggleStar} />
+      ) : (
+      <>
+      {/* Filters (My week lists everything starred) */}
+      {view === "myweek" ? null : view === "races" ? (
+      <div style={{ display: "flex", gap: 12, margin: "16px 0 24px", flexWrap: "wrap" }}>
+        <SearchBox value={query} onChange={setQuery} placeholder={t("filters.searchRaces")} />
+
+        <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14 }}>
+          {t("filters.from")}
+          <input type="date" value={raceFrom} max={raceTo || undefined}
+            onChange={e => setRaceFrom(e.target.value)} style={{ height: 32 }} />
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14 }}>
+          {t("filters.to")}
+          <input type="date" value={raceTo} min={raceFrom || undefined}
+            onChange={e => setRaceTo(e.target.value)} style={{ height: 32 }} />
+        </label>
+
+        <select value={raceTypeFilter} onChange={e => setRaceTypeFilter(e.target.value)} aria-label={t("filters.type")}
+          style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+          <option value="">{t("filters.allTypes")}</option>
+          {raceTypes.map(type => (
+            <option key={type} value={type}>{formatRaceType(type, i18n)}</option>
+          ))}
+        </select>
+
+        <select value={raceCantonFilter} onChange={e => setRaceCantonFilter(e.target.value)} aria-label={t("filters.canton")}
+          style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+          <option value="">{t("filters.allCantons")}</option>
+          {raceCantons.map(c => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+
+        <div style={{ display: "grid", gap: 6, minWidth: 280 }}>
+          <DualRange
+            label={t("filters.distanceRange", { min: <strong>{raceDistMin}</strong>, max: <strong>{raceDistMax}</strong> })}
+            minLabel={t("filters.minDistance")} maxLabel={t("filters.maxDistance")} unit="km"
+            min={raceStats.distMin}
+            max={raceStats.distMax}
+            step={0.5}
+            valueMin={raceDistMin}
+            valueMax={raceDistMax}
+            onChange={({min, max})=>{ setRaceDistMin(min); setRaceDistMax(max); }}
+          />
+        </div>
+
+        <div style={{ display: "grid", gap: 6, minWidth: 280 }}>
+          <DualRange
+            label={t("filters.elevationRange", { min: <strong>{raceElevMin}</strong>, max: <strong>{raceElevMax}</strong> })}
+            minLabel={t("filters.minElevation")} maxLabel={t("filters.maxElevation")} unit="m"
+            min={raceStats.elevMin}
+            max={raceStats.elevMax}
+            step={50}
+            valueMin={raceElevMin}
+            valueMax={raceElevMax}
+            onChange={({min, max})=>{ setRaceElevMin(min); setRaceElevMax(max); }}
+          />
+        </div>
+
+        {raceFiltersActive && (
+          <button onClick={() => {
+            setQuery("");
+            setRaceFrom("");
+            setRaceTo("");
+            setRaceTypeFilter("");
+            setRaceCantonFilter("");
+            setRaceDistMin(raceStats.distMin);
+            setRaceDistMax(raceStats.distMax);
+            setRaceElevMin(raceStats.elevMin);
+            setRaceElevMax(raceStats.elevMax);
+          }}>
+            {t("filters.clearRaces")}
+          </button>
+        )}
+      </div>
+      ) : (
       <div style={{ display: "flex", gap: 12, margin: "16px 0 24px", flexWrap: "wrap" }}>
-        <select value={clubFilter} onChange={e => setClubFilter(e.target.value)}
+        <SearchBox value={query} onChange={setQuery} placeholder={t("filters.searchSessions")} />
+
+        <select value={clubFilter} onChange={e => setClubFilter(e.target.value)} aria-label={t("filters.club")}
           style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
-          <option value="">All clubs</option>
+          <option value="">{t("filters.allClubs")}</option>
           {clubs.map(([slug, name]) => (
             <option key={slug} value={slug}>{name}</option>
           ))}
         </select>
 
-        <select value={weekdayFilter} onChange={e => setWeekdayFilter(e.target.value)}
+        <select value={weekdayFilter} onChange={e => setWeekdayFilter(e.target.value)} aria-label={t("filters.weekday")}
           style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
-          <option value="">All weekdays</option>
+          <option value="">{t("filters.allWeekdays")}</option>
           {WEEKDAYS.map(w => (
-            <option key={w} value={w}>{w.charAt(0).toUpperCase()+w.slice(1)}</option>
+            <option key={w} value={w}>{i18n.weekdayLabel(w)}</option>
           ))}
         </select>
 
         <select
           value={hourFilter}
           onChange={(e)=>setHourFilter(e.target.value)}
+          aria-label={t("filters.startTime")}
           style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}
         >
-          <option value="">All times</option>
+          <option value="">{t("filters.allTimes")}</option>
           {hours.map(h => (
             <option key={h} value={h}>{h}:00</option>
           ))}
         </select>
 
+        <select value={languageFilter} onChange={e => setLanguageFilter(e.target.value)} aria-label={t("filters.language")}
+          style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+          <option value="">{t("filters.allLanguages")}</option>
+          {runLanguages.map(l => (
+            <option key={l} value={l}>{i18n.languageName(l)}</option>
+          ))}
+        </select>
+
         {/* Distance range (single two-thumb control) */}
         <div style={{ display: "grid", gap: 6, minWidth: 320 }}>
-          <label style={{ fontSize: 14, color: "#333" }}>
-            Distance: <strong>{distMin}</strong> – <strong>{distMax}</strong> km
-          </label>
-
           <DualRange
+            label={t("filters.distanceRange", { min: <strong>{distMin}</strong>, max: <strong>{distMax}</strong> })}
+            minLabel={t("filters.minDistance")} maxLabel={t("filters.maxDistance")} unit="km"
             min={distanceStats.min}
             max={distanceStats.max}
             step={0.5}
@@ -128,53 +471,531 @@ export default function App() {
               type="number" step="0.5"
               min={distanceStats.min} max={distanceStats.max}
               value={distMin}
+              aria-label={t("filters.minDistance")}
               onChange={(e)=> setDistMin(Math.min(Math.max(Number(e.target.value), distanceStats.min), distMax))}
               style={{ width: 80 }}
             />
-            <span>to</span>
+            <span>{t("filters.rangeTo")}</span>
             <input
               type="number" step="0.5"
               min={distanceStats.min} max={distanceStats.max}
               value={distMax}
+              aria-label={t("filters.maxDistance")}
               onChange={(e)=> setDistMax(Math.max(Math.min(Number(e.target.value), distanceStats.max), distMin))}
               style={{ width: 80 }}
             />
-            <button onClick={() => { setDistMin(distanceStats.min); setDistMax(distanceStats.max); }}>All</button>
+            <button onClick={() => { setDistMin(distanceStats.min); setDistMax(distanceStats.max); }}>{t("filters.all")}</button>
           </div>
         </div>
 
-        {(clubFilter || weekdayFilter || hourFilter || (distMin !== distanceStats.min || distMax !== distanceStats.max)) && (
+        <PaceFilter
+          pace={myPace} unit={paceUnit}
+          onPace={setMyPace}
+          onUnit={(unit) => {
+            // Keep the same physical pace when switching units
+            if (myPace) setMyPace(formatPace(toUnit(fromUnit(parsePace(myPace), paceUnit), unit)));
+            setPaceUnit(unit);
+          }}
+        />
+
+        <NearFilter
+          near={near} label={nearLabel} radiusKm={radiusKm}
+          onOrigin={(point, label) => { setNear(point ? formatLatLon(point) : ""); setNearLabel(label || ""); }}
+          onRadius={setRadiusKm}
+        />
+
+        {weather && (
+          <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 14, color: "#333" }}>
+            <input type="checkbox" checked={hideRainy} onChange={e => setHideRainy(e.target.checked)} />
+            {t("filters.hideRainy")}
+          </label>
+        )}
+
+        {(query || clubFilter || weekdayFilter || hourFilter || languageFilter || hideRainy || near || myPace || (distMin !== distanceStats.min || distMax !== distanceStats.max)) && (
           <button onClick={() => {
+            setQuery("");
             setClubFilter("");
             setWeekdayFilter("");
             setHourFilter("");
+            setLanguageFilter("");
+            setHideRainy(false);
             setDistMin(distanceStats.min);
             setDistMax(distanceStats.max);
+            setNear("");
+            setNearLabel("");
+            setMyPace("");
           }}>
-            Clear filters
+            {t("filters.clear")}
           </button>
         )}
       </div>
+      )}
 
       {/* Views */}
       {view === "list" ? (
         <>
-          <div style={{ marginBottom: 12, color: "#333" }}>
-            Showing <strong>{filtered.length}</strong> session{filtered.length !== 1 ? "s" : ""}.
+          <div style={{ marginBottom: 12, color: "#333", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <span>{t("list.showing", { n: shown.length, count: <strong>{shown.length}</strong> })}</span>
+            {shown.length > 0 && (
+              <button onClick={() => downloadIcs("community-runs.ics", buildCalendar({ sessions: shown }))}>{t("list.downloadIcs")}</button>
+            )}
+            <a href={calendarFeedUrl()}>{t("list.subscribe")}</a>
           </div>
-          <ListView items={filtered} />
+          <ListView items={shown} displayZone={displayZone} paceUnit={paceUnit} navigate={navigate}
+            favorites={favorites} onStar={toggleStar} query={query} />
         </>
       ) : view === "calendar" ? (
-        <CalendarView baseEvents={filtered} />
+        <CalendarView
+          baseEvents={filtered} races={filteredRaces} displayZone={displayZone} hideRainy={hideRainy}
+          mode={calMode} anchor={calDate}
+          onNavigate={(mode, date) => { setCalMode(mode); setCalDate(date); }}
+        />
+      ) : view === "myweek" ? (
+        <MyWeekView starred={starred} displayZone={displayZone} favorites={favorites} onFavorites={setFavorites} onStar={toggleStar} />
+      ) : view === "map" ? (
+        <MapView city={city} baseEvents={shown} races={filteredRaces} displayZone={displayZone}
+          clubColors={clubColors} origin={origin} radiusKm={radiusKm} />
+      ) : view === "stats" ? (
+        <>
+          <div style={{ marginBottom: 12, color: "#333" }}>
+            <span>{t("list.showing", { n: shown.length, count: <strong>{shown.length}</strong> })}</span>
+          </div>
+          <StatsView sessions={shown} city={city} distanceRange={distanceStats} paceUnit={paceUnit} />
+        </>
+      ) : (
+        <>
+          <div style={{ marginBottom: 12, color: "#333", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <span>{t("races.showing", { n: filteredRaces.length, count: <strong>{filteredRaces.length}</strong> })}</span>
+            {filteredRaces.some(r => r.start_date) && (
+              <button onClick={() => downloadIcs("races.ics", buildCalendar({ races: filteredRaces, name: t("races.calendarName") }))}>{t("list.downloadIcs")}</button>
+            )}
+          </div>
+          <RacesView items={filteredRaces} query={query} />
+        </>
+      )}
+      </>
+      )}
+      </div>
+    </div>
+    </I18nContext.Provider>
+  );
+}
+
+/* ---------- Data ---------- */
+// Set REACT_APP_API_URL (e.g. http://localhost:3001, or empty for the dev-server proxy) to read
+// live data from scripts/api-server.mjs; otherwise the normalized JSON bundled at build time is used.
+const API_URL = process.env.REACT_APP_API_URL;
+// REACT_APP_TILE_URL points the maps at another tile server, e.g. scripts/tile-server.mjs.
+const TILE_URL = process.env.REACT_APP_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+const CITY_KEY = "city";
+
+// The saved city choice, else the whole of Switzerland.
+function detectCity() {
+  try {
+    const saved = localStorage.getItem(CITY_KEY);
+    if (CITIES.has(saved)) return saved;
+  } catch {
+    // storage disabled
+  }
+  return SWITZERLAND.slug;
+}
+
+function saveCity(slug) {
+  try {
+    localStorage.setItem(CITY_KEY, slug);
+  } catch {
+    // storage disabled: the choice still lives in the URL
+  }
+}
+
+// Sessions of each city, src/data/sessions/<slug>.normalized.json (all of them for the whole of
+// Switzerland), are split into their own chunks and fetched the first time the city is shown.
+const citySessions = new Map();
+function loadCitySessions(slug) {
+  const file = slug === SWITZERLAND.slug
+    ? import("./data/events.normalized.json")
+    : import(`./data/sessions/${slug}.normalized.json`);
+  return file.then(module => { citySessions.set(slug, module.default); });
+}
+
+// `{ events, races, clubProfiles }` for the city, or null while its sessions load and
+// `{ failed: true }` when they could not be; bump `attempt` to try again. Races and clubs are
+// national and bundled. With the API, its answer replaces the bundled data once it arrives.
+function useDatasets(city, attempt) {
+  const [live, setLive] = useState(null);
+  const [failed, setFailed] = useState(null);
+  const [, setLoaded] = useState(0);
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(null);
+    if (!citySessions.has(city)) {
+      loadCitySessions(city).then(() => { if (!cancelled) setLoaded(n => n + 1); }, err => {
+        console.error(`Sessions of ${city} could not be loaded.`, err);
+        if (!cancelled) setFailed(city);
+      });
+    }
+    if (API_URL !== undefined) {
+      Promise.all([`events?city=${city}`, "races", "clubs"].map(async path => {
+        const res = await fetch(`${API_URL}/api/${path}`);
+        if (!res.ok) throw new Error(`GET /api/${path}: ${res.status}`);
+        return res.json();
+      }))
+        .then(([events, races, clubProfiles]) => { if (!cancelled) setLive({ city, events, races, clubProfiles }); })
+        .catch(err => console.warn("API unavailable, showing bundled data.", err));
+    }
+    return () => { cancelled = true; };
+  }, [city, attempt]);
+  if (live?.city === city) return live;
+  if (citySessions.has(city)) return { events: citySessions.get(city), races: bundledRaces, clubProfiles: bundledClubs };
+  return failed === city ? { failed: true } : null;
+}
+
+// Every bundled session, fetched once `needed` (something is starred); null until it is in.
+function useAllSessions(needed) {
+  const [, setLoaded] = useState(0);
+  useEffect(() => {
+    if (!needed || citySessions.has(SWITZERLAND.slug)) return;
+    let cancelled = false;
+    loadCitySessions(SWITZERLAND.slug).then(() => { if (!cancelled) setLoaded(n => n + 1); },
+      err => console.warn("Sessions of the other cities could not be loaded; My week shows this city's.", err));
+    return () => { cancelled = true; };
+  }, [needed]);
+  return citySessions.get(SWITZERLAND.slug) || null;
+}
+
+// Shown until the city's sessions are in, in the language the explorer will use.
+function CityLoading({ city, failed, onRetry }) {
+  const [locale] = useState(() => readParams(window.location.search, { locale: { param: "lang", fallback: detectLocale(), parse: oneOf(LOCALES) } }).locale);
+  const { t } = useMemo(() => createI18n(locale), [locale]);
+  return (
+    <div style={{ maxWidth: 1000, margin: "40px auto", padding: "0 16px", fontFamily: "system-ui, sans-serif" }}>
+      <h1 style={{ margin: "0 0 8px" }}>{city.slug === SWITZERLAND.slug ? t("app.titleAll") : t("app.title", { city: cityName(city, locale) })}</h1>
+      {failed ? (
+        <div role="alert" style={{ color: "#b91c1c", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          {t("app.loadFailed")}
+          <button onClick={onRetry}>{t("app.retry")}</button>
+        </div>
       ) : (
-        <MapView baseEvents={filtered} />
+        <p role="status" style={{ color: "#555" }}>{t("app.loading")}</p>
       )}
     </div>
   );
 }
 
+// REACT_APP_WEATHER_PROVIDER picks where forecasts come from: "fixture" (default, offline, see
+// src/lib/weather.js), "open-meteo", or "off" to leave the weather out; REACT_APP_WEATHER_URL
+// points the provider at another endpoint.
+const weatherProvider = weatherProviderFromConfig(process.env.REACT_APP_WEATHER_PROVIDER, {
+  fixture: weatherFixture, url: process.env.REACT_APP_WEATHER_URL
+});
+const weather = weatherProvider && createWeatherService(weatherProvider);
+
+// Forecast lookup for occurrences (anything with lat/lon and a startISO); null while it loads,
+// and for runs without coordinates or beyond the forecast. Forecasts the service has at hand
+// show right away; the rest re-render the caller once they arrive.
+function useForecasts(occurrences) {
+  const [, setLoaded] = useState(0);
+  const forecastOf = o => (o && weather && hasCoords(o) ? weather.forecastNow(o.lat, o.lon, o.startISO) : null);
+  const missing = Array.from(new Set(occurrences.filter(o => forecastOf(o) === undefined).map(o => `${+o.lat},${+o.lon},${o.startISO}`)))
+    .sort().join("\n");
+  useEffect(() => {
+    if (!missing) return;
+    let cancelled = false;
+    Promise.all(missing.split("\n").map(key => {
+      const [lat, lon, startISO] = key.split(",");
+      return weather.forecastAt(lat, lon, startISO).catch(err => console.warn("Weather forecast unavailable.", err));
+    })).then(() => { if (!cancelled) setLoaded(n => n + 1); });
+    return () => { cancelled = true; };
+  }, [missing]);
+  return o => forecastOf(o) || null;
+}
+
+// Session id -> forecast for its next run.
+function useNextForecasts(sessions) {
+  const runs = useMemo(() => sessions.map(e => nextOccurrence(e)).filter(Boolean), [sessions]);
+  const forecastOf = useForecasts(runs);
+  return new Map(runs.map(o => [o.id, forecastOf(o)]));
+}
+
+// Route files (`route_url`) are fetched once per page load and shared by the map and the GPX downloads.
+const routeCache = new Map();
+function loadRoute(url) {
+  if (!routeCache.has(url)) {
+    const href = /^https?:/.test(url) ? url : `${process.env.PUBLIC_URL || ""}${url}`;
+    const route = Promise.resolve()
+      .then(() => fetch(href))
+      .then(res => {
+        if (!res.ok) throw new Error(`GET ${url}: ${res.status}`);
+        return res.text();
+      })
+      .then(text => {
+        const points = parseRoute(text);
+        return { points, stats: routeStats(points) };
+      });
+    // Forget failures so the next view tries again
+    route.catch(() => routeCache.delete(url));
+    routeCache.set(url, route);
+  }
+  return routeCache.get(url);
+}
+
+// url -> { points, stats } for the routes loaded so far; missing or broken files are left out.
+function useRoutes(urls) {
+  const key = Array.from(new Set(urls)).sort().join("\n");
+  const [routes, setRoutes] = useState(() => new Map());
+  useEffect(() => {
+    let cancelled = false;
+    key.split("\n").filter(Boolean).forEach(url => {
+      loadRoute(url).then(
+        route => { if (!cancelled) setRoutes(prev => new Map(prev).set(url, route)); },
+        err => console.warn(`Route ${url} unavailable.`, err)
+      );
+    });
+    return () => { cancelled = true; };
+  }, [key]);
+  return routes;
+}
+
+/* ---------- Routing ---------- */
+// Path-based pages next to the query-string views: "/" (views), "/clubs", "/clubs/:slug", "/submit" and "/admin".
+const BASE_PATH = new URL(process.env.PUBLIC_URL || "/", window.location.origin).pathname.replace(/\/$/, "");
+
+function matchRoute(pathname) {
+  const rest = pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : pathname;
+  if (/^\/admin\/?$/.test(rest)) return { page: "admin" };
+  if (/^\/submit\/?$/.test(rest)) return { page: "submit" };
+  const m = /^\/clubs(?:\/([^/]+))?\/?$/.exec(rest);
+  if (!m) return { page: "main" };
+  return m[1] ? { page: "club", slug: decodeURIComponent(m[1]) } : { page: "clubs" };
+}
+
+function usePath() {
+  const [pathname, setPathname] = useState(window.location.pathname);
+  useEffect(() => {
+    const onPopState = () => setPathname(window.location.pathname);
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+  const navigate = (to) => {
+    window.history.pushState(null, "", `${BASE_PATH}${to}`);
+    setPathname(window.location.pathname);
+  };
+  return [matchRoute(pathname), navigate];
+}
+
+// In-app link: a real href for new tabs/copying, client-side navigation on plain clicks.
+function Link({ to, navigate, children, ...rest }) {
+  return (
+    <a href={`${BASE_PATH}${to}`} {...rest} onClick={ev => {
+      if (ev.button !== 0 || ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+      ev.preventDefault();
+      navigate(to);
+    }}>{children}</a>
+  );
+}
+
+/* ---------- Club directory ---------- */
+const UPCOMING_DAYS = 28;
+
+function ClubsIndex({ directory, navigate, favorites, onStar }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [query, setQuery] = useState("");
+  const needle = foldText(query.trim());
+  const shown = needle
+    ? directory.filter(c => foldText([c.name, c.description, ...c.languages, ...c.sessions.map(e => e.location_name)].join(" ")).includes(needle))
+    : directory;
+
+  return (
+    <div>
+      <input type="search" placeholder={t("clubs.searchPlaceholder")} value={query} onChange={e => setQuery(e.target.value)}
+        aria-label={t("clubs.searchLabel")} style={{ height: 30, fontSize: 14, width: "100%", maxWidth: 360, margin: "8px 0 16px" }} />
+      <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: 12, gridTemplateColumns: "repeat(auto-fill, minmax(280px, 1fr))" }}>
+        {shown.map(c => (
+          <li key={c.slug} style={{ border: "1px solid #e5e7eb", borderRadius: 12, padding: 14, boxShadow: "0 1px 3px rgba(0,0,0,0.06)", display: "flex", gap: 12 }}>
+            <ClubLogo club={c} size={44} />
+            <div>
+              <div style={{ display: "flex", gap: 6, alignItems: "baseline" }}>
+                <h3 style={{ margin: 0 }}><Link to={`/clubs/${c.slug}`} navigate={navigate}>{c.name}</Link></h3>
+                <StarButton starred={favorites.clubs.includes(c.slug)} label={t("favorites.starClub", { club: c.name })} onClick={() => onStar("clubs", c.slug)} />
+              </div>
+              <div style={{ color: "#555", marginTop: 4, fontSize: 14 }}>
+                {t("clubs.sessionCount", { n: c.sessions.length })}
+                {c.sessions.length > 0 && <> · {Array.from(new Set(c.sessions.map(e => i18n.weekdayLabel(e.weekday, "short")))).join(", ")}</>}
+              </div>
+              {c.description && <p style={{ margin: "6px 0 0", fontSize: 14 }}>{c.description}</p>}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {shown.length === 0 && <p style={{ color: "#777", marginTop: 24 }}>{t("clubs.noMatch", { query })}</p>}
+    </div>
+  );
+}
+
+function ClubPage({ club, displayZone, paceUnit, clubColors, navigate, favorites, onStar }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const upcoming = useMemo(() => {
+    if (!club) return [];
+    const now = new Date();
+    return expandOccurrencesInRange(club.sessions, now, new Date(now.getTime() + UPCOMING_DAYS * 24 * 3600 * 1000)).slice(0, 10);
+  }, [club]);
+
+  if (!club) {
+    return (
+      <p style={{ color: "#777" }}>
+        {t("clubs.notFound")} <Link to="/clubs" navigate={navigate}>{t("clubs.all")}</Link>
+      </p>
+    );
+  }
+
+  const pace = clubPaceRange(club);
+  const ig = club.instagram_url;
+  return (
+    <div style={{ display: "grid", gap: 20 }}>
+      <div><Link to="/clubs" navigate={navigate}>{t("clubs.back")}</Link></div>
+      <div style={{ display: "flex", gap: 16, alignItems: "center" }}>
+        <ClubLogo club={club} size={72} />
+        <div>
+          <div style={{ display: "flex", gap: 8, alignItems: "baseline" }}>
+            <h2 style={{ margin: 0 }}>{club.name}</h2>
+            <StarButton starred={favorites.clubs.includes(club.slug)} label={t("favorites.starClub", { club: club.name })} onClick={() => onStar("clubs", club.slug)} />
+          </div>
+          <div style={{ color: "#555", marginTop: 4, display: "flex", gap: 8, flexWrap: "wrap" }}>
+            {club.languages.length > 0 && <span>{t("clubs.languages", { list: i18n.list(club.languages.map(i18n.languageName)) })}</span>}
+            {pace && <span>· {t("clubs.typicalPace", { range: pace.map(p => formatPace(toUnit(p, paceUnit))).join("–"), unit: paceUnit })}</span>}
+          </div>
+          <div style={{ marginTop: 4, display: "flex", gap: 10, flexWrap: "wrap" }}>
+            {club.website && <a href={club.website} target="_blank" rel="noreferrer">{t("clubs.website")}</a>}
+            {ig && <a href={ig} target="_blank" rel="noreferrer">Instagram</a>}
+            {club.contact_email && <a href={`mailto:${club.contact_email}`}>{club.contact_email}</a>}
+          </div>
+        </div>
+      </div>
+      {club.description && <p style={{ margin: 0 }}>{club.description}</p>}
+
+      <section>
+        <h3 style={{ margin: "0 0 8px" }}>{t("clubs.upcoming")}</h3>
+        {upcoming.length === 0 ? (
+          <p style={{ color: "#777", margin: 0 }}>{t("clubs.noUpcoming", { days: UPCOMING_DAYS })}</p>
+        ) : (
+          <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: 4 }}>
+            {upcoming.map((o, i) => {
+              const date = displayZone ? dateInZone(o.startDate, displayZone) : o.localDate;
+              return (
+                <li key={i} style={{ fontSize: 14 }}>
+                  <strong>{i18n.day(date, { weekday: "short", day: "numeric", month: "short" })}</strong>{" "}
+                  {displayZone ? timeInZone(o.startDate, displayZone) : o.start_time} · {o.location_name || "—"} {formatDistancesInline(o)}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      {club.sessions.some(hasCoords) && (
+        <section>
+          <h3 style={{ margin: "0 0 8px" }}>{t("clubs.meetingPoints")}</h3>
+          <MapView baseEvents={club.sessions} displayZone={displayZone} clubColors={clubColors} />
+        </section>
+      )}
+
+      <section>
+        <h3 style={{ margin: "0 0 8px" }}>{t("clubs.sessions")}</h3>
+        <ListView items={club.sessions} displayZone={displayZone} paceUnit={paceUnit} navigate={navigate}
+          favorites={favorites} onStar={onStar} />
+      </section>
+    </div>
+  );
+}
+
+function ClubLogo({ club, size }) {
+  if (club.logo_url) {
+    return <img src={club.logo_url} alt="" width={size} height={size} style={{ borderRadius: 12, objectFit: "cover", flex: "none" }} />;
+  }
+  return (
+    <div aria-hidden="true" style={{
+      width: size, height: size, borderRadius: 12, flex: "none", background: "#eef2ff", color: "#3730a3",
+      display: "flex", alignItems: "center", justifyContent: "center", fontWeight: 700, fontSize: size / 2.6
+    }}>
+      {club.name.split(/\s+/).filter(w => /\w/.test(w)).slice(0, 2).map(w => w[0].toUpperCase()).join("")}
+    </div>
+  );
+}
+
+/**
+ * Club profiles from clubs.json with their current sessions attached. Clubs that only
+ * appear on sessions get a minimal profile so every club_slug has a page.
+ */
+function buildClubDirectory(profiles, sessions) {
+  const bySlug = new Map(profiles.map(c => [c.slug, { ...c, sessions: [] }]));
+  sessions.forEach(e => {
+    if (!bySlug.has(e.club_slug)) {
+      bySlug.set(e.club_slug, {
+        slug: e.club_slug, name: e.club, description: "", logo_url: "", languages: [], contact_email: "",
+        website: getInstagramUrl(e) === e.source_url ? "" : e.source_url, instagram_url: getInstagramUrl(e),
+        typical_pace_min_per_km: [], sessions: []
+      });
+    }
+    bySlug.get(e.club_slug).sessions.push(e);
+  });
+  for (const c of bySlug.values()) {
+    if (c.languages.length === 0) c.languages = Array.from(new Set(c.sessions.flatMap(sessionLanguages)));
+    c.sessions.sort((a,b) => (weekdayOrder[a.weekday] ?? 99) - (weekdayOrder[b.weekday] ?? 99) || (a.start_time || "").localeCompare(b.start_time || ""));
+  }
+  return Array.from(bySlug.values()).sort((a,b) => a.name.localeCompare(b.name));
+}
+
+// [fastest, slowest] in s/km: the club's stated range, else the spread of its session pace groups.
+function clubPaceRange(club) {
+  if (club.typical_pace_min_per_km.length === 2) return club.typical_pace_min_per_km.map(parsePace);
+  const paces = club.sessions.flatMap(e => e.pace_groups_s_per_km);
+  return paces.length ? [Math.min(...paces), Math.max(...paces)] : null;
+}
+
+/* ---------- URL state ---------- */
+function readUrlState(search, spec) {
+  let values = readParams(search, spec);
+  values = orderedRange(values, "distMin", "distMax", spec);
+  values = orderedRange(values, "raceDistMin", "raceDistMax", spec);
+  return orderedRange(values, "raceElevMin", "raceElevMax", spec);
+}
+
+// Writes state changes to the query string (slider drags replace the entry, everything else
+// pushes one) and restores state when the user navigates back/forward.
+function useUrlSync(values, setters, spec) {
+  const latest = useRef();
+  latest.current = { values, setters, spec };
+  const query = writeParams(values, spec);
+
+  useEffect(() => {
+    if (query === window.location.search.replace(/^\?/, "")) return;
+    const { values, spec } = latest.current;
+    const prev = readUrlState(window.location.search, spec);
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    if (onlyReplaceableChanged(prev, values, spec)) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  }, [query]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const { setters, spec } = latest.current;
+      const next = readUrlState(window.location.search, spec);
+      Object.entries(setters).forEach(([key, set]) => set(next[key]));
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+}
+
 /* ---------- List View ---------- */
-function ListView({ items }) {
+// `favorites`/`onStar` add a star per session; without them the list is read-only. `query` highlights search matches.
+function ListView({ items, displayZone, paceUnit = "km", navigate, favorites, onStar, query = "" }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const forecasts = useNextForecasts(items);
   return (
     <>
       <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: 12 }}>
@@ -184,26 +1005,61 @@ function ListView({ items }) {
             boxShadow: "0 1px 3px rgba(0,0,0,0.06)"
           }}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8, flexWrap: "wrap" }}>
-              <h3 style={{ margin: 0 }}>{e.club}</h3>
-              <div style={{ color: "#555" }}>
-                {capitalize(e.weekday)} · {e.start_time || "—"} {e.duration_min ? `· ${e.duration_min} min` : ""}
+              <div style={{ display: "flex", gap: 6, alignItems: "baseline" }}>
+                <h3 style={{ margin: 0 }}>
+                  {navigate ? <Link to={`/clubs/${e.club_slug}`} navigate={navigate}><Highlight text={e.club} query={query} /></Link> : <Highlight text={e.club} query={query} />}
+                </h3>
+                {favorites && (
+                  <StarButton starred={favorites.sessions.includes(e.id)} onClick={() => onStar("sessions", e.id)}
+                    label={t("favorites.starSession", { session: `${e.club}, ${formatWhen(e, displayZone, i18n)}` })} />
+                )}
+              </div>
+              <div style={{ color: "#555", display: "flex", gap: 8, alignItems: "baseline" }}>
+                {formatWhen(e, displayZone, i18n)} {e.duration_min ? `· ${t("list.duration", { min: e.duration_min })}` : ""}
+                <button onClick={() => downloadIcs(`${e.id}.ics`, buildCalendar({ sessions: [e], name: e.club }))}>{t("list.addToCalendar")}</button>
+                {(hasCoords(e) || e.route_url) && <button onClick={() => downloadGpx(e)}>{t("route.download")}</button>}
               </div>
             </div>
 
+            {describeSchedule(e, i18n) && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("list.schedule")}:</strong> {describeSchedule(e, i18n)}
+              </div>
+            )}
+
             <div style={{ marginTop: 6 }}>
-              <strong>Location:</strong> {e.location_name || "—"}{" "}
-              {hasCoords(e) && (<> · <a href={mapsUrl(e)} target="_blank" rel="noreferrer">Open in Maps</a></>)}
+              <strong>{t("list.location")}:</strong> <Highlight text={e.location_name || "—"} query={query} />{e.meeting_point_note && ` (${e.meeting_point_note})`}{" "}
+              {e.distance_from_origin_km != null && <> · <span>{t("list.away", { distance: formatKm(e.distance_from_origin_km) })}</span></>}
+              {hasCoords(e) && (<> · <a href={mapsUrl(e)} target="_blank" rel="noreferrer">{t("list.openInMaps")}</a></>)}
             </div>
 
-            {e.pace_groups_min_per_km && (
+            {forecasts.get(e.id) && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("list.forecast")}:</strong> <WeatherBadge forecast={forecasts.get(e.id)} />
+              </div>
+            )}
+
+            {e.pace_groups_s_per_km.length > 0 && (
               <div style={{ marginTop: 6 }}>
-                <strong>Pace groups:</strong> {e.pace_groups_min_per_km.replaceAll(";", " / ")} min/km
+                <strong>{t("list.paceGroups")}:</strong> {e.pace_groups_s_per_km.map(p => formatPace(toUnit(p, paceUnit))).join(" / ")} min/{paceUnit}
               </div>
             )}
 
             {formatDistances(e) && (
               <div style={{ marginTop: 6 }}>
-                <strong>Distance:</strong> {formatDistances(e)}
+                <strong>{t("list.distance")}:</strong> {formatDistances(e)}
+              </div>
+            )}
+
+            {finishTimes(e).length > 0 && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("list.finish")}:</strong> {finishTimes(e).map(f => formatFinish(f, t)).join(" · ")}
+              </div>
+            )}
+
+            {sessionLanguages(e).length > 0 && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("list.language")}:</strong> {i18n.list(sessionLanguages(e).map(i18n.languageName))}
               </div>
             )}
 
@@ -216,7 +1072,7 @@ function ListView({ items }) {
                   if (srcIsIG) return <a href={ig} target="_blank" rel="noreferrer">Instagram</a>;
                   return (
                     <>
-                      {src && <a href={src} target="_blank" rel="noreferrer">More info</a>}
+                      {src && <a href={src} target="_blank" rel="noreferrer">{t("list.moreInfo")}</a>}
                       {ig && <> · <a href={ig} target="_blank" rel="noreferrer">Instagram</a></>}
                     </>
                   );
@@ -226,82 +1082,609 @@ function ListView({ items }) {
           </li>
         ))}
       </ul>
-      {items.length === 0 && <p style={{ color: "#777", marginTop: 24 }}>No sessions found for the selected filters.</p>}
+      {items.length === 0 && <p style={{ color: "#777", marginTop: 24 }}>{t("list.empty")}</p>}
     </>
   );
 }
 
-/* ---------- Calendar (month view) ---------- */
-function CalendarView({ baseEvents }) {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = today.getMonth();
-
-  const firstOfMonth = new Date(year, month, 1);
-  const offsetToMonday = (firstOfMonth.getDay() + 6) % 7;
-  const gridStart = startOfDay(new Date(year, month, 1 - offsetToMonday));
-  const gridEnd = new Date(gridStart); gridEnd.setDate(gridStart.getDate() + 42);
+/* ---------- Races View ---------- */
+function RacesView({ items, query = "" }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  return (
+    <>
+      <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: 12 }}>
+        {items.map((r, idx) => (
+          <li key={`${r.id}-${idx}`} style={{
+            border: "1px solid #e5e7eb", borderRadius: 12, padding: 14,
+            boxShadow: "0 1px 3px rgba(0,0,0,0.06)"
+          }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8, flexWrap: "wrap" }}>
+              <h3 style={{ margin: 0 }}><Highlight text={r.name} query={query} /></h3>
+              <div style={{ color: "#555", display: "flex", gap: 8, alignItems: "baseline" }}>
+                {formatRaceDates(r, i18n) || t("races.dateTba")}
+                {r.start_date && (
+                  <button onClick={() => downloadIcs(`${r.id}.ics`, buildCalendar({ races: [r], name: r.name }))}>{t("list.addToCalendar")}</button>
+                )}
+              </div>
+            </div>
 
-  const occ = expandOccurrencesInRange(baseEvents, gridStart, gridEnd);
+            <div style={{ marginTop: 6 }}>
+              <strong>{t("list.location")}:</strong> <Highlight text={r.place || "—"} query={query} />{" "}
+              {hasCoords(r) && (<> · <a href={mapsUrl(r)} target="_blank" rel="noreferrer">{t("list.openInMaps")}</a></>)}
+            </div>
 
-  const byDay = new Map();
-  occ.forEach(o => {
-    const key = ymd(o.startDate);
-    if (!byDay.has(key)) byDay.set(key, []);
-    byDay.get(key).push(o);
-  });
-  for (const list of byDay.values()) list.sort((a,b) => (a.start_time||"").localeCompare(b.start_time||""));
+            {r.type.length > 0 && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("races.type")}:</strong> {r.type.map(type => formatRaceType(type, i18n)).join(" / ")}
+              </div>
+            )}
 
-  const cells = [];
-  const cursor = new Date(gridStart);
-  for (let i = 0; i < 42; i++) {
-    const d = new Date(cursor);
-    const key = ymd(d);
-    cells.push({ date: d, inMonth: d.getMonth() === month, items: byDay.get(key) || [] });
-    cursor.setDate(cursor.getDate() + 1);
-  }
+            {formatDistances(r) && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("list.distance")}:</strong> {formatDistances(r)}
+              </div>
+            )}
 
-  const labels = ["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];
+            {formatElevations(r) && (
+              <div style={{ marginTop: 6 }}>
+                <strong>{t("races.elevation")}:</strong> {formatElevations(r)}
+              </div>
+            )}
 
-  return (
+            {(r.website || r.guide_url || r.instagram_url) && (
+              <div style={{ marginTop: 6 }}>
+                {[
+                  r.website && <a key="web" href={r.website} target="_blank" rel="noreferrer">{t("races.website")}</a>,
+                  r.guide_url && <a key="guide" href={r.guide_url} target="_blank" rel="noreferrer">{t("races.guide")}</a>,
+                  r.instagram_url && <a key="ig" href={r.instagram_url} target="_blank" rel="noreferrer">Instagram</a>
+                ].filter(Boolean).map((link, i) => <span key={i}>{i > 0 && " · "}{link}</span>)}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {items.length === 0 && <p style={{ color: "#777", marginTop: 24 }}>{t("races.empty")}</p>}
+    </>
+  );
+}
+
+/* ---------- My week ---------- */
+const FAVORITES_KEY = "favorites";
+const REMINDER_POLL_MS = 30 * 1000;
+
+function readStoredFavorites(value) {
+  try {
+    return normalizeFavorites(JSON.parse(value));
+  } catch {
+    return emptyFavorites();
+  }
+}
+
+// Favorites in localStorage, kept in step with other open tabs.
+function useFavorites() {
+  const [favorites, setFavorites] = useState(() => {
+    try {
+      return readStoredFavorites(localStorage.getItem(FAVORITES_KEY));
+    } catch {
+      return emptyFavorites(); // storage disabled: favorites last for this visit
+    }
+  });
+  useEffect(() => {
+    try {
+      localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+    } catch {
+      // storage disabled
+    }
+  }, [favorites]);
+  useEffect(() => {
+    const onStorage = e => { if (e.key === FAVORITES_KEY) setFavorites(readStoredFavorites(e.newValue)); };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+  return [favorites, setFavorites];
+}
+
+function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+// Polls for starred sessions starting in `minutes` and shows a browser notification for each.
+// Only runs while the page is open; there is no push server.
+function useReminders(sessions, minutes, displayZone, t) {
+  const latest = useRef();
+  latest.current = { sessions, displayZone, t };
+  useEffect(() => {
+    if (!minutes || notificationPermission() === "unsupported") return;
+    let since = new Date();
+    const id = setInterval(() => {
+      const now = new Date();
+      if (Notification.permission === "granted") {
+        const { sessions, displayZone, t } = latest.current;
+        dueReminders(sessions, minutes, since, now).forEach(o => {
+          const time = displayZone ? timeInZone(o.startDate, displayZone) : o.start_time;
+          new Notification(t("myWeek.notification", { club: o.club, time }), {
+            body: [o.location_name, o.meeting_point_note].filter(Boolean).join(" · "),
+            tag: `${o.id}@${o.startISO}`
+          });
+        });
+      }
+      since = now;
+    }, REMINDER_POLL_MS);
+    return () => clearInterval(id);
+  }, [minutes]);
+}
+
+function MyWeekView({ starred, displayZone, favorites, onFavorites, onStar }) {
+  const i18n = useI18n();
+  const { t, day } = i18n;
+  const [permission, setPermission] = useState(notificationPermission);
+  const [importStatus, setImportStatus] = useState("");
+  const fileInput = useRef();
+
+  const today = dateInZone(new Date(), displayZone || ZURICH_TZ);
+  const byDay = bucketOccurrences(starred, today, addDays(today, 7), displayZone);
+  const nothingStarred = favorites.clubs.length === 0 && favorites.sessions.length === 0;
+
+  const setReminder = async (minutes) => {
+    if (minutes && permission === "default") setPermission(await Notification.requestPermission());
+    onFavorites({ ...favorites, reminder_min: minutes });
+  };
+
+  const importFile = async (ev) => {
+    const file = ev.target.files[0];
+    ev.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseFavorites(await file.text());
+      onFavorites(mergeFavorites(favorites, imported));
+      setImportStatus(t("myWeek.imported", { n: imported.clubs.length + imported.sessions.length }));
+    } catch {
+      setImportStatus(t("myWeek.importFailed"));
+    }
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 16 }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <span style={{ color: "#555" }}>{t("myWeek.intro")}</span>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", marginLeft: "auto" }}>
+          {t("myWeek.remind")}
+          <select value={favorites.reminder_min} onChange={e => setReminder(Number(e.target.value))} disabled={permission === "unsupported"}
+            style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+            <option value={0}>{t("myWeek.remindOff")}</option>
+            {REMINDER_MINUTES.map(m => <option key={m} value={m}>{t("myWeek.remindBefore", { n: m })}</option>)}
+          </select>
+        </label>
+        <button onClick={() => downloadFile("running-favorites.json", JSON.stringify(favorites, null, 2), "application/json")}>{t("myWeek.export")}</button>
+        <button onClick={() => fileInput.current.click()}>{t("myWeek.import")}</button>
+        <input ref={fileInput} type="file" accept="application/json,.json" onChange={importFile} hidden />
+      </div>
+      {(permission === "unsupported" || (favorites.reminder_min > 0 && permission !== "granted")) ? (
+        <p role="status" style={{ margin: 0, fontSize: 13, color: "#b45309" }}>
+          {t(permission === "unsupported" ? "myWeek.notificationsUnsupported" : "myWeek.notificationsBlocked")}
+        </p>
+      ) : favorites.reminder_min > 0 && (
+        <p style={{ margin: 0, fontSize: 13, color: "#555" }}>{t("myWeek.remindHint")}</p>
+      )}
+      {importStatus && <p role="status" style={{ margin: 0, fontSize: 13 }}>{importStatus}</p>}
+
+      {nothingStarred ? (
+        <p style={{ color: "#777", margin: 0 }}>{t("myWeek.empty")}</p>
+      ) : byDay.size === 0 ? (
+        <p style={{ color: "#777", margin: 0 }}>{t("myWeek.noRuns")}</p>
+      ) : (
+        Array.from(byDay.entries()).map(([date, items]) => (
+          <section key={date}>
+            <h3 style={{ margin: "0 0 6px", fontSize: 16 }}>{day(date, { weekday: "long", day: "numeric", month: "long" })}</h3>
+            <div style={{ display: "grid", gap: 6 }}>
+              {items.map((e, idx) => (
+                <div key={idx} style={{ display: "flex", gap: 12, alignItems: "baseline", fontSize: 14, padding: "6px 8px", border: "1px solid #e5e7eb", borderRadius: 8 }}>
+                  <div style={{ fontWeight: 600, minWidth: 48 }}>{e.displayTime}</div>
+                  <div style={{ flex: 1 }}>
+                    <strong>{e.club}</strong> · {e.location_name || "—"} {formatDistancesInline(e)}
+                    {e.duration_min ? <span style={{ color: "#555" }}> · {t("list.duration", { min: e.duration_min })}</span> : null}
+                  </div>
+                  <StarButton starred={favorites.sessions.includes(e.id)} onClick={() => onStar("sessions", e.id)}
+                    label={t("favorites.starSession", { session: `${e.club}, ${formatWhen(e, displayZone, i18n)}` })} />
+                </div>
+              ))}
+            </div>
+          </section>
+        ))
+      )}
+    </div>
+  );
+}
+
+/* ---------- Calendar (month / week / agenda) ---------- */
+const AGENDA_SIZE = 20;
+const HOUR_PX = 44;
+
+function CalendarView({ baseEvents, races = [], displayZone, hideRainy = false, mode, anchor, onNavigate }) {
+  const { t, day } = useI18n();
+  // The grid is laid out in the display zone; in "event" mode that's Zurich and sessions keep their own dates.
+  const zone = displayZone || ZURICH_TZ;
+  const today = dateInZone(new Date(), zone);
+  const current = anchor || today;
+
+  const step = (dir) => {
+    if (mode === "month") onNavigate(mode, shiftMonth(current, dir));
+    else onNavigate(mode, addDays(current, 7 * dir));
+  };
+
+  let title;
+  if (mode === "month") {
+    title = day(current, { month: "long", year: "numeric" });
+  } else if (mode === "week") {
+    const start = startOfWeek(current);
+    title = `${day(start, { day: "numeric", month: "short" })} – ${day(addDays(start, 6), { day: "numeric", month: "short", year: "numeric" })}`;
+  } else {
+    title = t("calendar.from", { date: day(current, { weekday: "short", day: "numeric", month: "short", year: "numeric" }) });
+  }
+
+  return (
     <div>
-      <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 6, marginBottom: 6 }}>
-        {labels.map(l => <div key={l} style={{ fontWeight: 600, color: "#555", padding: "6px 4px" }}>{l}</div>)}
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 12 }}>
+        <button onClick={() => onNavigate(mode, "")}>{t("calendar.today")}</button>
+        <button onClick={() => step(-1)} aria-label={t("calendar.previous")}>‹</button>
+        <button onClick={() => step(1)} aria-label={t("calendar.next")}>›</button>
+        <strong style={{ marginLeft: 4 }}>{title}</strong>
+        <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          <TabButton active={mode==="month"} onClick={()=>onNavigate("month", anchor)}>{t("calendar.month")}</TabButton>
+          <TabButton active={mode==="week"} onClick={()=>onNavigate("week", anchor)}>{t("calendar.week")}</TabButton>
+          <TabButton active={mode==="agenda"} onClick={()=>onNavigate("agenda", anchor)}>{t("calendar.agenda")}</TabButton>
+        </div>
       </div>
-      <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 6 }}>
-        {cells.map((c, i) => (
-          <div key={i} style={{
-            minHeight: 110, border: "1px solid #e5e7eb", borderRadius: 10, padding: 8,
-            background: isToday(c.date) ? "rgba(59,130,246,0.08)" : c.inMonth ? "#fff" : "#fafafa",
-            boxShadow: "0 1px 2px rgba(0,0,0,0.03)"
-          }}>
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
-              <div style={{ fontWeight: 600, color: c.inMonth ? "#111" : "#aaa" }}>{c.date.getDate()}</div>
-              {!c.inMonth && <div style={{ fontSize: 12, color: "#bbb" }}>{c.date.toLocaleString(undefined, { month: "short" })}</div>}
+      {mode === "month" ? (
+        <MonthGrid baseEvents={baseEvents} races={races} displayZone={displayZone} hideRainy={hideRainy} anchor={current} today={today}
+          onMove={date => onNavigate("month", date)} onOpen={date => onNavigate("agenda", date)} />
+      ) : mode === "week" ? (
+        <WeekGrid baseEvents={baseEvents} races={races} displayZone={displayZone} hideRainy={hideRainy} anchor={current} today={today} />
+      ) : (
+        <AgendaList baseEvents={baseEvents} races={races} displayZone={displayZone} hideRainy={hideRainy} anchor={current} />
+      )}
+    </div>
+  );
+}
+
+function MonthGrid({ baseEvents, races, displayZone, hideRainy, anchor, today, onMove, onOpen }) {
+  const i18n = useI18n();
+  const { t, day, weekdayLabel } = i18n;
+  const hintId = useId();
+  const { gridRef, cellProps } = useDayGrid(anchor, onMove, onOpen);
+  const monthPrefix = anchor.slice(0, 7);
+  const gridStart = startOfWeek(`${monthPrefix}-01`);
+  const gridEnd = addDays(gridStart, 42);
+
+  const byDay = useDayForecasts(bucketOccurrences(baseEvents, gridStart, gridEnd, displayZone), hideRainy);
+  const racesByDay = bucketRaces(races, gridStart, gridEnd);
+
+  const cells = [];
+  for (let i = 0; i < 42; i++) {
+    const key = addDays(gridStart, i);
+    cells.push({ date: key, inMonth: key.startsWith(monthPrefix), items: byDay.get(key) || [], races: racesByDay.get(key) || [] });
+  }
+
+  const rows = Array.from({ length: 6 }, (_, r) => cells.slice(r * 7, r * 7 + 7));
+
+  return (
+    <div>
+      <p id={hintId} style={SR_ONLY}>{t("calendar.gridHint")}</p>
+      <div role="grid" ref={gridRef} aria-label={day(anchor, { month: "long", year: "numeric" })} aria-describedby={hintId}>
+        <div role="row" style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 6, marginBottom: 6 }}>
+          {WEEKDAYS.map(w => (
+            <div key={w} role="columnheader" aria-label={weekdayLabel(w)} style={{ fontWeight: 600, color: "#555", padding: "6px 4px" }}>
+              {weekdayLabel(w, "short")}
             </div>
-            <div style={{ marginTop: 6, display: "grid", gap: 4 }}>
-              {c.items.map((e, idx) => (
-                <div key={idx} style={{ fontSize: 13, lineHeight: 1.25, padding: "6px 8px",
-                  borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff" }}>
-                  <div style={{ fontWeight: 600 }}>
-                    {e.start_time || "—"} · {e.club} {formatDistancesInline(e)}
+          ))}
+        </div>
+        <div role="rowgroup" style={{ display: "grid", gap: 6 }}>
+          {rows.map((row, r) => (
+            <div key={r} role="row" style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 6 }}>
+              {row.map(c => (
+                <div key={c.date} {...cellProps(c.date)} aria-label={dayAnnouncement(c, i18n)}
+                  aria-current={c.date === today ? "date" : undefined} style={{
+                    minHeight: 110, border: "1px solid #e5e7eb", borderRadius: 10, padding: 8,
+                    background: c.date === today ? "rgba(59,130,246,0.08)" : c.inMonth ? "#fff" : "#fafafa",
+                    boxShadow: "0 1px 2px rgba(0,0,0,0.03)"
+                  }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+                    <div style={{ fontWeight: 600, color: c.inMonth ? "#111" : "#aaa" }}>{Number(c.date.slice(8))}</div>
+                    {!c.inMonth && <div style={{ fontSize: 12, color: "#bbb" }}>{day(c.date, { month: "short" })}</div>}
                   </div>
-                  <div style={{ color: "#555" }}>
-                    {e.location_name || "—"} {hasCoords(e) && (<> · <a href={mapsUrl(e)} target="_blank" rel="noreferrer">Maps</a></>)}
+                  <div style={{ marginTop: 6, display: "grid", gap: 4 }}>
+                    {c.races.map((r, idx) => <RaceChip key={`race-${idx}`} race={r} inGrid />)}
+                    {c.items.map((e, idx) => (
+                      <div key={idx} style={{ fontSize: 13, lineHeight: 1.25, padding: "6px 8px",
+                        borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff" }}>
+                        <div style={{ fontWeight: 600 }}>
+                          {e.displayTime || "—"} · {e.club} {formatDistancesInline(e)}
+                        </div>
+                        <div style={{ color: "#555" }}>
+                          {e.location_name || "—"} {hasCoords(e) && (<> · <a href={mapsUrl(e)} target="_blank" rel="noreferrer" tabIndex={-1}>{t("calendar.maps")}</a></>)}
+                        </div>
+                        <WeatherBadge forecast={e.forecast} compact />
+                      </div>
+                    ))}
+                    {c.items.length === 0 && c.races.length === 0 && <div style={{ fontSize: 12, color: "#aaa" }}>—</div>}
                   </div>
                 </div>
               ))}
-              {c.items.length === 0 && <div style={{ fontSize: 12, color: "#aaa" }}>—</div>}
             </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Roving focus over the days of the month grid: the arrow keys move by a day or a week, Home/End
+// to the start or end of the week and Page Up/Down by a month, turning the page when the focus
+// leaves the month. Enter or Space opens the focused day in the agenda.
+function useDayGrid(anchor, onMove, onOpen) {
+  const [focusDate, setFocusDate] = useState(anchor);
+  const pendingFocus = useRef(null);
+  const gridRef = useRef(null);
+  useEffect(() => { setFocusDate(anchor); }, [anchor]);
+  useEffect(() => {
+    if (!pendingFocus.current || pendingFocus.current !== focusDate) return;
+    pendingFocus.current = null;
+    gridRef.current?.querySelector(`[data-date="${focusDate}"]`)?.focus();
+  });
+
+  const onKeyDown = ev => {
+    if (ev.key === "Enter" || ev.key === " ") {
+      ev.preventDefault();
+      onOpen(focusDate);
+      return;
+    }
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+    let next;
+    if (ev.key in steps) next = addDays(focusDate, steps[ev.key]);
+    else if (ev.key === "Home") next = startOfWeek(focusDate);
+    else if (ev.key === "End") next = addDays(startOfWeek(focusDate), 6);
+    else if (ev.key === "PageUp" || ev.key === "PageDown") next = sameDayInMonth(focusDate, ev.key === "PageUp" ? -1 : 1);
+    else return;
+    ev.preventDefault();
+    pendingFocus.current = next;
+    if (next.slice(0, 7) !== anchor.slice(0, 7)) onMove(next);
+    else setFocusDate(next);
+  };
+
+  const cellProps = date => ({
+    role: "gridcell", "data-date": date, tabIndex: date === focusDate ? 0 : -1,
+    onKeyDown, onFocus: () => setFocusDate(date)
+  });
+  return { gridRef, cellProps };
+}
+
+// What a screen reader reads out for a day of the month grid: the date, how much is on and what.
+function dayAnnouncement({ date, items, races }, { t, day }) {
+  const when = day(date, { weekday: "long", day: "numeric", month: "long" });
+  if (items.length === 0 && races.length === 0) return `${when}: ${t("calendar.nothing")}`;
+  const counts = [
+    races.length > 0 && t("calendar.raceCount", { n: races.length }),
+    items.length > 0 && t("calendar.sessionCount", { n: items.length })
+  ].filter(Boolean).join(", ");
+  const what = [
+    ...races.map(r => `${t("calendar.race")}: ${r.name}`),
+    ...items.map(e => [`${e.displayTime} ${e.club}, ${e.location_name || "—"}`, e.forecast && weatherSummary(e.forecast, t)].filter(Boolean).join(", "))
+  ];
+  return `${when}: ${counts}. ${what.join("; ")}`;
+}
+
+function WeekGrid({ baseEvents, races, displayZone, hideRainy, anchor, today }) {
+  const { t, day } = useI18n();
+  const weekStart = startOfWeek(anchor);
+  const weekEnd = addDays(weekStart, 7);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+  const byDay = useDayForecasts(bucketOccurrences(baseEvents, weekStart, weekEnd, displayZone), hideRainy);
+  const racesByDay = bucketRaces(races, weekStart, weekEnd);
+
+  // Vertical extent: 06:00–21:00, stretched to fit anything earlier or later.
+  const all = Array.from(byDay.values()).flat();
+  const firstHour = Math.min(6, ...all.map(o => Math.floor(minutesOf(o.displayTime) / 60)));
+  const lastHour = Math.max(21, ...all.map(o => Math.ceil((minutesOf(o.displayTime) + (o.duration_min || 60)) / 60)));
+  const hours = Array.from({ length: lastHour - firstHour }, (_, i) => firstHour + i);
+  const top = (mins) => ((mins - firstHour * 60) / 60) * HOUR_PX;
+
+  const columns = "48px repeat(7, 1fr)";
+  return (
+    <div>
+      <div style={{ display: "grid", gridTemplateColumns: columns, gap: 4, marginBottom: 4 }}>
+        <div />
+        {days.map(d => (
+          <div key={d} style={{ fontWeight: 600, color: d === today ? "#1d4ed8" : "#555", padding: "6px 4px" }}>
+            {day(d, { weekday: "short", day: "numeric" })}
           </div>
         ))}
       </div>
+      {racesByDay.size > 0 && (
+        <div style={{ display: "grid", gridTemplateColumns: columns, gap: 4, marginBottom: 4 }}>
+          <div style={{ fontSize: 12, color: "#888", paddingTop: 6 }}>{t("calendar.allDay")}</div>
+          {days.map(d => (
+            <div key={d} style={{ display: "grid", gap: 4 }}>
+              {(racesByDay.get(d) || []).map((r, idx) => <RaceChip key={idx} race={r} />)}
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ display: "grid", gridTemplateColumns: columns, gap: 4 }}>
+        <div style={{ position: "relative", height: hours.length * HOUR_PX }}>
+          {hours.map(h => (
+            <div key={h} style={{ position: "absolute", top: top(h * 60) - 7, right: 4, fontSize: 11, color: "#888" }}>
+              {String(h).padStart(2, "0")}:00
+            </div>
+          ))}
+        </div>
+        {days.map(d => {
+          const items = layoutLanes(byDay.get(d) || []);
+          return (
+            <div key={d} style={{
+              position: "relative", height: hours.length * HOUR_PX, borderRadius: 8,
+              border: "1px solid #e5e7eb", background: d === today ? "rgba(59,130,246,0.05)" : "#fff",
+              backgroundImage: `repeating-linear-gradient(to bottom, transparent 0, transparent ${HOUR_PX - 1}px, #f1f5f9 ${HOUR_PX - 1}px, #f1f5f9 ${HOUR_PX}px)`
+            }}>
+              {items.map((e, idx) => {
+                const start = minutesOf(e.displayTime);
+                return (
+                  <div key={idx} title={[`${e.displayTime} · ${e.club} · ${e.location_name || "—"}`, e.forecast && weatherSummary(e.forecast, t)].filter(Boolean).join(" · ")} style={{
+                    position: "absolute", overflow: "hidden", boxSizing: "border-box",
+                    top: top(start), height: Math.max(((e.duration_min || 60) / 60) * HOUR_PX, 20),
+                    left: `calc(${(100 / e.lanes) * e.lane}% + 2px)`, width: `calc(${100 / e.lanes}% - 4px)`,
+                    fontSize: 12, lineHeight: 1.2, padding: "3px 5px", borderRadius: 6,
+                    border: "1px solid #93c5fd", background: "#eff6ff"
+                  }}>
+                    <div style={{ fontWeight: 600 }}>{e.displayTime} {e.club}</div>
+                    <div style={{ color: "#555" }}>{e.location_name || "—"}</div>
+                    <WeatherBadge forecast={e.forecast} compact />
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 }
 
+function AgendaList({ baseEvents, races, displayZone, hideRainy, anchor }) {
+  const { t, day } = useI18n();
+  // Look ahead in growing windows until AGENDA_SIZE occurrences are found (or ~6 months pass).
+  let end = addDays(anchor, 14);
+  let items = [];
+  for (let days = 14; days <= 182; days *= 2) {
+    end = addDays(anchor, days);
+    items = Array.from(bucketOccurrences(baseEvents, anchor, end, displayZone).entries())
+      .flatMap(([date, list]) => list.map(o => ({ ...o, date })));
+    if (items.length >= AGENDA_SIZE) break;
+  }
+  items = items.slice(0, AGENDA_SIZE);
+  if (items.length === AGENDA_SIZE) end = addDays(items[items.length - 1].date, 1);
+  const forecastOf = useForecasts(items);
+  items = items.map(o => ({ ...o, forecast: forecastOf(o) })).filter(o => !hideRainy || !isRainy(o.forecast));
+
+  const racesByDay = bucketRaces(races, anchor, end);
+  const dates = Array.from(new Set([...items.map(o => o.date), ...racesByDay.keys()])).sort();
+
+  if (dates.length === 0) return <p style={{ color: "#777", marginTop: 24 }}>{t("calendar.empty")}</p>;
+
+  return (
+    <div style={{ display: "grid", gap: 16 }}>
+      {dates.map(date => (
+        <section key={date}>
+          <h3 style={{ margin: "0 0 6px", fontSize: 16 }}>{day(date, { weekday: "long", day: "numeric", month: "long" })}</h3>
+          <div style={{ display: "grid", gap: 6 }}>
+            {(racesByDay.get(date) || []).map((r, idx) => <RaceChip key={`race-${idx}`} race={r} />)}
+            {items.filter(o => o.date === date).map((e, idx) => (
+              <div key={idx} style={{ display: "flex", gap: 12, fontSize: 14, padding: "6px 8px", border: "1px solid #e5e7eb", borderRadius: 8 }}>
+                <div style={{ fontWeight: 600, minWidth: 48 }}>{e.displayTime}</div>
+                <div>
+                  <strong>{e.club}</strong> · {e.location_name || "—"} {formatDistancesInline(e)}
+                  {e.duration_min ? <span style={{ color: "#555" }}> · {t("list.duration", { min: e.duration_min })}</span> : null}
+                  {e.forecast && <> · <WeatherBadge forecast={e.forecast} /></>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+// `inGrid` keeps the link out of the tab order inside the month grid, which is navigated by day.
+function RaceChip({ race: r, inGrid = false }) {
+  const { t } = useI18n();
+  return (
+    <div style={{ fontSize: 13, lineHeight: 1.25, padding: "6px 8px",
+      borderRadius: 8, border: "1px solid #fcd34d", background: "#fffbeb" }}>
+      <div style={{ fontWeight: 600 }}>
+        {t("calendar.race")} · {r.website ? <a href={r.website} target="_blank" rel="noreferrer" tabIndex={inGrid ? -1 : undefined}>{r.name}</a> : r.name}
+      </div>
+      <div style={{ color: "#555" }}>
+        {r.place || "—"} {formatDistancesInline(r)}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Calendar helpers ---------- */
+// Day buckets with each occurrence's forecast attached, leaving out rainy ones when `hideRainy` is set.
+function useDayForecasts(byDay, hideRainy) {
+  const forecastOf = useForecasts(Array.from(byDay.values()).flat());
+  const out = new Map();
+  for (const [date, list] of byDay) {
+    out.set(date, list.map(o => ({ ...o, forecast: forecastOf(o) })).filter(o => !hideRainy || !isRainy(o.forecast)));
+  }
+  return out;
+}
+
+// Occurrences between two "YYYY-MM-DD" dates (end exclusive), keyed by date in the display zone
+// (or the session's own zone) and sorted by the time shown.
+function bucketOccurrences(baseEvents, fromYmd, toYmd, displayZone) {
+  // Pad the instant range by a day either side; occurrences are bucketed by date below.
+  const occ = expandOccurrencesInRange(baseEvents, dateFromYmd(addDays(fromYmd, -1)), dateFromYmd(addDays(toYmd, 1)));
+  const byDay = new Map();
+  occ.forEach(o => {
+    const key = displayZone ? dateInZone(o.startDate, displayZone) : o.localDate;
+    if (key < fromYmd || key >= toYmd) return;
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push({ ...o, displayTime: displayZone ? timeInZone(o.startDate, displayZone) : o.start_time });
+  });
+  for (const list of byDay.values()) list.sort((a,b) => (a.displayTime||"").localeCompare(b.displayTime||""));
+  return byDay;
+}
+
+function bucketRaces(races, fromYmd, toYmd) {
+  const byDay = new Map();
+  races.forEach(r => {
+    if (!r.start_date) return;
+    for (let d = r.start_date; d <= (r.end_date || r.start_date) && d < toYmd; d = addDays(d, 1)) {
+      if (d < fromYmd) continue;
+      if (!byDay.has(d)) byDay.set(d, []);
+      byDay.get(d).push(r);
+    }
+  });
+  return byDay;
+}
+
+// Assigns side-by-side lanes to overlapping sessions within one day column.
+function layoutLanes(items) {
+  const laneEnds = [];
+  const placed = items.map(e => {
+    const start = minutesOf(e.displayTime);
+    let lane = laneEnds.findIndex(end => end <= start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = start + (e.duration_min || 60);
+    return { ...e, lane };
+  });
+  return placed.map(e => ({ ...e, lanes: laneEnds.length }));
+}
+
+function startOfWeek(ymd) { return addDays(ymd, -((dayOfWeek(ymd) + 6) % 7)); }
+// The same day n months on, or the month's last day when it is shorter (Jan 31 -> Feb 28).
+function sameDayInMonth(ymd, n) {
+  const first = shiftMonth(ymd, n);
+  const last = addDays(shiftMonth(first, 1), -1);
+  return `${first.slice(0, 8)}${ymd.slice(8) > last.slice(8) ? last.slice(8) : ymd.slice(8)}`;
+}
+function shiftMonth(ymd, n) {
+  const d = dateFromYmd(`${ymd.slice(0, 7)}-01`);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  return d.toISOString().slice(0, 10);
+}
+function minutesOf(hhmm) { const [h, m] = (hhmm || "00:00").split(":").map(Number); return h * 60 + (m || 0); }
+
 /* ---------- Map View ---------- */
-function MapView({ baseEvents }) {
+const CLUSTER_MAX_ZOOM = 14;
+
+function MapView({ city = SWITZERLAND, baseEvents, races = [], displayZone, clubColors, origin, radiusKm }) {
+  const i18n = useI18n();
+  const { t } = i18n;
   const points = useMemo(() => {
     const m = new Map();
     baseEvents.forEach(e => {
@@ -316,87 +1699,457 @@ function MapView({ baseEvents }) {
         if (wd !== 0) return wd;
         return (a.start_time || "").localeCompare(b.start_time || "");
       });
+      p.clubs = groupByClub(p.items);
     }
     return Array.from(m.values());
   }, [baseEvents]);
 
-  const positions = points.map(p => [p.lat, p.lon]);
-  const zurich = [47.3769, 8.5417];
+  const legend = useMemo(() => {
+    const seen = new Map();
+    baseEvents.forEach(e => { if (hasCoords(e)) seen.set(e.club_slug, e.club); });
+    return Array.from(seen.entries()).sort((a,b) => a[1].localeCompare(b[1]));
+  }, [baseEvents]);
+
+  const racePoints = useMemo(() => races.filter(hasCoords), [races]);
+
+  // Sessions and races sharing a course get one line.
+  const courses = useMemo(() => {
+    const m = new Map();
+    [...baseEvents, ...races].forEach(r => {
+      if (!r.route_url) return;
+      if (!m.has(r.route_url)) m.set(r.route_url, []);
+      m.get(r.route_url).push(r);
+    });
+    return m;
+  }, [baseEvents, races]);
+  const routes = useRoutes(Array.from(courses.keys()));
+
+  // The map frames what is in the city (races elsewhere in its canton stay reachable by panning).
+  const positions = useMemo(() => [
+    ...[...points, ...racePoints.map(r => ({ lat: +r.lat, lon: +r.lon }))].filter(p => inBounds(p, city.bounds)).map(p => [p.lat, p.lon]),
+    ...(origin ? [[origin.lat, origin.lon]] : [])
+  ], [city, points, racePoints, origin]);
 
   return (
-    <div style={{ height: 560, borderRadius: 12, overflow: "hidden", border: "1px solid #e5e7eb" }}>
-      <MapContainer center={zurich} zoom={12} style={{ height: "100%", width: "100%" }}>
-        <TileLayer
-          attribution='&copy; OpenStreetMap contributors'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        />
-        <AutoFitBounds points={positions} fallbackCenter={zurich} />
-        {points.map((p, i) => (
-          <Marker key={i} position={[p.lat, p.lon]}>
-            <Popup>
-              <div style={{ minWidth: 220 }}>
-                <div style={{ fontWeight: 700, marginBottom: 6 }}>
-                  {p.items[0]?.club || "Running club"}
+    <div>
+      <div style={{ height: 560, borderRadius: 12, overflow: "hidden", border: "1px solid #e5e7eb" }}>
+        <MapContainer center={[city.lat, city.lon]} zoom={city.zoom} style={{ height: "100%", width: "100%" }}>
+          <TileLayer
+            attribution='&copy; OpenStreetMap contributors'
+            url={TILE_URL}
+          />
+          <AutoFitBounds points={positions} city={city} />
+          {origin && (
+            <>
+              <Circle center={[origin.lat, origin.lon]} radius={radiusKm * 1000}
+                pathOptions={{ color: "#2563eb", weight: 1, fillOpacity: 0.06 }} />
+              <CircleMarker center={[origin.lat, origin.lon]} radius={6}
+                pathOptions={{ color: "#fff", weight: 2, fillColor: "#2563eb", fillOpacity: 1 }}>
+                <Popup>{origin.label || t("map.searchOrigin")}</Popup>
+              </CircleMarker>
+            </>
+          )}
+          {Array.from(courses, ([url, records]) => routes.has(url) && (
+            <Polyline key={url} positions={routes.get(url).points.map(p => [p.lat, p.lon])}
+              pathOptions={{ color: records[0].club_slug ? clubColors.get(records[0].club_slug) : "#b45309", weight: 4, opacity: 0.75 }}>
+              <Popup>
+                <RoutePopup route={routes.get(url)} records={records} displayZone={displayZone} />
+              </Popup>
+            </Polyline>
+          ))}
+          <ClusteredMarkers points={points} clubColors={clubColors} displayZone={displayZone} />
+          {racePoints.map((r, i) => (
+            <CircleMarker key={`race-${r.id}-${i}`} center={[+r.lat, +r.lon]} radius={9}
+              pathOptions={{ color: "#b45309", weight: 2, fillColor: "#f59e0b", fillOpacity: 0.85 }}>
+              <Popup>
+                <div style={{ minWidth: 220 }}>
+                  <div style={{ fontWeight: 700, marginBottom: 6 }}>{r.name}</div>
+                  <div style={{ fontSize: 13 }}>
+                    {formatRaceDates(r, i18n) || t("races.dateTba")} · <strong>{r.place || "—"}</strong> {formatDistancesInline(r)}
+                  </div>
+                  {r.website && (
+                    <div style={{ marginTop: 8 }}>
+                      <a href={r.website} target="_blank" rel="noreferrer">{t("races.website")}</a>
+                    </div>
+                  )}
+                </div>
+              </Popup>
+            </CircleMarker>
+          ))}
+        </MapContainer>
+      </div>
+      {(legend.length > 0 || racePoints.length > 0) && (
+        <ul aria-label={t("map.legend")} style={{ listStyle: "none", padding: 0, margin: "10px 0 0", display: "flex", flexWrap: "wrap", gap: "6px 14px", fontSize: 13 }}>
+          {legend.map(([slug, name]) => (
+            <li key={slug} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={{ width: 12, height: 12, borderRadius: "50%", background: clubColors.get(slug) }} />{name}
+            </li>
+          ))}
+          {racePoints.length > 0 && (
+            <li style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={{ width: 12, height: 12, borderRadius: "50%", background: "#f59e0b", border: "2px solid #b45309", boxSizing: "border-box" }} />{t("map.races")}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// A course with what was measured on it; listed distances or climbs that disagree get a warning.
+function RoutePopup({ route, records, displayZone }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { lengthKm, elevationGainM } = route.stats;
+  return (
+    <div style={{ minWidth: 220, display: "grid", gap: 6, fontSize: 13 }}>
+      <div style={{ fontWeight: 700 }}>
+        {t("route.length", { distance: lengthKm.toFixed(1) })}
+        {elevationGainM != null && ` · ${t("route.climb", { gain: elevationGainM })}`}
+      </div>
+      {records.map(r => (
+        <div key={r.id}>
+          {r.club ? <>{r.club} · {formatWhen(r, displayZone, i18n)}</> : r.name} {formatDistancesInline(r)}
+          {routeMismatches(r, route.stats).map(m => (
+            <div key={m.field} style={{ color: "#b45309" }}>
+              ⚠ {t(m.field === "distances_km" ? "route.distanceMismatch" : "route.climbMismatch", { listed: m.listed.join(" / ") })}
+            </div>
+          ))}
+          {r.club && <button onClick={() => downloadGpx(r)} style={{ marginTop: 4 }}>{t("route.download")}</button>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Session markers, merged into count bubbles below CLUSTER_MAX_ZOOM; clicking a bubble zooms to its members.
+function ClusteredMarkers({ points, clubColors, displayZone }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+  const sessions = useMemo(() => points.flatMap(p => p.items), [points]);
+  const forecasts = useNextForecasts(sessions);
+
+  const clusters = useMemo(
+    () => (zoom > CLUSTER_MAX_ZOOM ? points.map(p => ({ lat: p.lat, lon: p.lon, points: [p] })) : clusterPoints(points, zoom)),
+    [points, zoom]
+  );
+
+  return clusters.map((c, i) => {
+    if (c.points.length > 1) {
+      const count = c.points.reduce((n, p) => n + p.items.length, 0);
+      return (
+        <Marker key={`cluster-${i}`} position={[c.lat, c.lon]} icon={clusterIcon(count)}
+          eventHandlers={{ click: () => map.fitBounds(L.latLngBounds(c.points.map(p => [p.lat, p.lon])).pad(0.3)) }} />
+      );
+    }
+    const p = c.points[0];
+    return (
+      <Marker key={`${p.lat},${p.lon}`} position={[p.lat, p.lon]} icon={clubIcon(p.clubs.map(g => clubColors.get(g.slug)))}>
+        <Popup>
+          <div style={{ minWidth: 220, display: "grid", gap: 8 }}>
+            {p.clubs.map(g => (
+              <div key={g.slug}>
+                <div style={{ fontWeight: 700, marginBottom: 4, display: "flex", alignItems: "center", gap: 6 }}>
+                  <span style={{ width: 10, height: 10, borderRadius: "50%", background: clubColors.get(g.slug) }} />
+                  {g.club}
                 </div>
                 <div style={{ display: "grid", gap: 4 }}>
-                  {p.items.slice(0,6).map((e, j) => (
+                  {g.items.slice(0,6).map((e, j) => (
                     <div key={j} style={{ fontSize: 13 }}>
-                      {capitalize(e.weekday)} {e.start_time || "—"} · <strong>{e.location_name || "—"}</strong> {formatDistancesInline(e)}
+                      {formatWhen(e, displayZone, i18n)} · <strong>{e.location_name || "—"}</strong> {formatDistancesInline(e)}
+                      {forecasts.get(e.id) && <div><WeatherBadge forecast={forecasts.get(e.id)} /></div>}
                     </div>
                   ))}
-                  {p.items.length > 6 && (
-                    <div style={{ fontSize: 12, color: "#666" }}>+{p.items.length - 6} more…</div>
+                  {g.items.length > 6 && (
+                    <div style={{ fontSize: 12, color: "#666" }}>{t("map.more", { count: g.items.length - 6 })}</div>
                   )}
                 </div>
-                <div style={{ marginTop: 8 }}>
-                  <a href={`https://www.google.com/maps?q=${p.lat},${p.lon}`} target="_blank" rel="noreferrer">Open in Google Maps</a>
-                </div>
               </div>
-            </Popup>
-          </Marker>
-        ))}
-      </MapContainer>
-    </div>
-  );
+            ))}
+            <div>
+              <a href={`https://www.google.com/maps?q=${p.lat},${p.lon}`} target="_blank" rel="noreferrer">{t("map.openInGoogleMaps")}</a>
+            </div>
+          </div>
+        </Popup>
+      </Marker>
+    );
+  });
+}
+
+// Clubs meeting at one spot share a marker; the marker is split into one slice per club color.
+function clubIcon(colors) {
+  const step = 360 / colors.length;
+  const fill = colors.length === 1
+    ? colors[0]
+    : `conic-gradient(${colors.map((c, i) => `${c} ${i * step}deg ${(i + 1) * step}deg`).join(", ")})`;
+  return L.divIcon({
+    className: "",
+    iconSize: [22, 22],
+    iconAnchor: [11, 11],
+    popupAnchor: [0, -10],
+    html: `<div style="width:22px;height:22px;border-radius:50%;border:2px solid #fff;box-sizing:border-box;box-shadow:0 1px 4px rgba(0,0,0,.4);background:${fill}"></div>`
+  });
+}
+
+function clusterIcon(count) {
+  const size = count < 10 ? 30 : count < 50 ? 36 : 42;
+  return L.divIcon({
+    className: "",
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:rgba(17,24,39,.8);color:#fff;border:3px solid rgba(255,255,255,.8);box-sizing:border-box;display:flex;align-items:center;justify-content:center;font:600 13px system-ui,sans-serif">${count}</div>`
+  });
+}
+
+function groupByClub(items) {
+  const groups = new Map();
+  items.forEach(e => {
+    if (!groups.has(e.club_slug)) groups.set(e.club_slug, { slug: e.club_slug, club: e.club, items: [] });
+    groups.get(e.club_slug).items.push(e);
+  });
+  return Array.from(groups.values());
 }
 
-function AutoFitBounds({ points, fallbackCenter }) {
+function AutoFitBounds({ points, city }) {
   const map = useMap();
   useEffect(() => {
     if (points.length >= 1) {
       const bounds = L.latLngBounds(points);
       map.fitBounds(bounds.pad(0.2));
     } else {
-      map.setView(fallbackCenter, 12);
+      map.fitBounds(leafletBounds(city));
     }
-  }, [points, fallbackCenter, map]);
+  }, [points, city, map]);
   return null;
 }
 
+/* ---------- Stats ---------- */
+const STATS_WIDTH = 640;
+const DENSITY_CELL_KM = { city: 1, country: 5 };
+const MAX_DISTANCE_BINS = 10;
+const PACE_BIN_S = 30;
+const HOURS_OF_DAY = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, "0"));
+
+// Coverage of the filtered sessions: when (weekday × start hour), how far, how fast, who and where.
+function StatsView({ sessions, city, distanceRange, paceUnit }) {
+  const { t } = useI18n();
+  const matrix = useMemo(() => weekdayHourMatrix(sessions), [sessions]);
+  const distances = useMemo(() => {
+    const step = Math.max(1, Math.ceil((distanceRange.max - distanceRange.min) / MAX_DISTANCE_BINS));
+    return distanceDistribution(sessions, { step, min: distanceRange.min, max: Math.max(distanceRange.max, distanceRange.min + step) });
+  }, [sessions, distanceRange]);
+  // Binned in the runner's unit, so the bars read like the pace filter.
+  const paces = useMemo(() => paceDistribution(sessions, { step: PACE_BIN_S, unit: paceUnit }), [sessions, paceUnit]);
+  const perClub = useMemo(() => sessionsPerClub(sessions), [sessions]);
+  const cellKm = city.slug === SWITZERLAND.slug ? DENSITY_CELL_KM.country : DENSITY_CELL_KM.city;
+  const density = useMemo(() => densityGrid(sessions, cellKm, city.lat), [sessions, cellKm, city.lat]);
+
+  if (sessions.length === 0) return <p style={{ color: "#777", marginTop: 24 }}>{t("stats.empty")}</p>;
+  const file = name => `${city.slug}-${name}`;
+  const paceLabel = b => `${formatPace(b.from)}–${formatPace(b.to)} min/${paceUnit}`;
+
+  return (
+    <div style={{ display: "grid", gap: 24 }}>
+      <ChartCard title={t("stats.heatmap")} file={file("weekday-hour")} png
+        csv={() => toCsv(["weekday", ...HOURS_OF_DAY], WEEKDAYS.map((w, d) => [w, ...matrix.counts[d]]))}>
+        <WeekdayHourHeatmap matrix={matrix} />
+      </ChartCard>
+      <ChartCard title={t("stats.distances")} file={file("distances")} png
+        csv={() => toCsv(["from_km", "to_km", "sessions"], distances.map(b => [b.from, b.to, b.count]))}>
+        <BarChart bars={distances.map(b => ({ label: `${b.from}–${b.to} km`, value: b.count }))} />
+      </ChartCard>
+      <ChartCard title={t("stats.paces")} file={file("paces")} png
+        csv={() => toCsv([`from_min_per_${paceUnit}`, `to_min_per_${paceUnit}`, "pace_groups"], paces.map(b => [formatPace(b.from), formatPace(b.to), b.count]))}>
+        <BarChart bars={paces.map(b => ({ label: paceLabel(b), value: b.count }))} />
+      </ChartCard>
+      <ChartCard title={t("stats.clubs")} file={file("clubs")} png
+        csv={() => toCsv(["club", "club_slug", "sessions"], perClub.map(c => [c.club, c.slug, c.count]))}>
+        <BarChart bars={perClub.map(c => ({ label: c.club, value: c.count }))} />
+      </ChartCard>
+      <ChartCard title={t("stats.density")} file={file("density")} png hint={t("stats.densityHint", { km: cellKm })}
+        csv={() => toCsv(["south", "west", "north", "east", "sessions", "session_ids"],
+          density.map(c => [c.south.toFixed(5), c.west.toFixed(5), c.north.toFixed(5), c.east.toFixed(5), c.count, c.ids.join(";")]))}>
+        <DensityMap cells={density} city={city} />
+        <div aria-hidden="true" style={SR_ONLY}><DensityChart cells={density} city={city} /></div>
+      </ChartCard>
+    </div>
+  );
+}
+
+// A titled chart with its downloads: CSV always, PNG when the card holds an SVG chart
+// (role="img", unlike the SVG Leaflet draws its layers in).
+function ChartCard({ title, hint, file, csv, png = false, children }) {
+  const { t } = useI18n();
+  const ref = useRef(null);
+  const id = useId();
+  return (
+    <section aria-labelledby={id} style={{ border: "1px solid #e5e7eb", borderRadius: 12, padding: 14 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "baseline", flexWrap: "wrap", marginBottom: 8 }}>
+        <h3 id={id} style={{ margin: 0, fontSize: 16 }}>{title}</h3>
+        <span style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+          {png && <button onClick={() => downloadSvgAsPng(ref.current.querySelector('svg[role="img"]'), `${file}.png`)}>{t("stats.downloadPng")}</button>}
+          {/* The byte order mark makes spreadsheet apps read the file as UTF-8 (club names with umlauts). */}
+          <button onClick={() => downloadFile(`${file}.csv`, `\uFEFF${csv()}`, "text/csv;charset=utf-8")}>{t("stats.downloadCsv")}</button>
+        </span>
+      </div>
+      {hint && <p style={{ color: "#555", fontSize: 13, margin: "0 0 8px" }}>{hint}</p>}
+      <div ref={ref}>{children}</div>
+    </section>
+  );
+}
+
+// Empty slots stay grey so the gaps stand out; busier slots get darker.
+function heatColor(count, max) {
+  return count === 0 ? "#f3f4f6" : `hsl(217, 80%, ${Math.round(88 - (count / max) * 52)}%)`;
+}
+
+function WeekdayHourHeatmap({ matrix: { counts, max } }) {
+  const { t, weekdayLabel } = useI18n();
+  const cell = 24, left = 44, top = 18;
+  const height = top + WEEKDAYS.length * cell;
+  const busiest = max > 0 && WEEKDAYS.flatMap((w, d) => counts[d].map((n, h) => ({ w, h, n }))).find(s => s.n === max);
+  return (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${STATS_WIDTH} ${height}`} width="100%" role="img"
+      aria-label={busiest ? t("stats.heatmapSummary", { day: weekdayLabel(busiest.w), hour: HOURS_OF_DAY[busiest.h], n: max }) : t("stats.heatmap")}
+      style={{ fontFamily: "system-ui, sans-serif", fontSize: 11 }}>
+      {HOURS_OF_DAY.map((hh, h) => h % 3 === 0 && (
+        <text key={hh} x={left + h * cell + cell / 2} y={12} textAnchor="middle" fill="#555">{hh}</text>
+      ))}
+      {WEEKDAYS.map((w, d) => (
+        <g key={w}>
+          <text x={left - 6} y={top + d * cell + cell / 2 + 4} textAnchor="end" fill="#333">{weekdayLabel(w).slice(0, 3)}</text>
+          {counts[d].map((n, h) => (
+            <rect key={h} x={left + h * cell + 1} y={top + d * cell + 1} width={cell - 2} height={cell - 2} rx={3} fill={heatColor(n, max)}>
+              <title>{`${weekdayLabel(w)} ${HOURS_OF_DAY[h]}:00: ${t("calendar.sessionCount", { n })}`}</title>
+            </rect>
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Horizontal bars with the label on the left and the count at the end of the bar.
+function BarChart({ bars }) {
+  const row = 22, labelWidth = 170, countWidth = 30;
+  const max = Math.max(1, ...bars.map(b => b.value));
+  const scale = (STATS_WIDTH - labelWidth - countWidth) / max;
+  const short = s => (s.length > 26 ? `${s.slice(0, 25)}…` : s);
+  return (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${STATS_WIDTH} ${Math.max(row, bars.length * row)}`} width="100%" role="img"
+      aria-label={bars.map(b => `${b.label}: ${b.value}`).join(", ")} style={{ fontFamily: "system-ui, sans-serif", fontSize: 12 }}>
+      {bars.map((b, i) => (
+        <g key={`${b.label}-${i}`}>
+          <title>{`${b.label}: ${b.value}`}</title>
+          <text x={labelWidth - 8} y={i * row + 15} textAnchor="end" fill="#333">{short(b.label)}</text>
+          <rect x={labelWidth} y={i * row + 4} width={b.value * scale} height={row - 8} rx={3} fill="#2563eb" />
+          <text x={labelWidth + b.value * scale + 6} y={i * row + 15} fill="#333">{b.value}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Grid squares shaded by how many sessions meet in them, framed like the map view.
+function DensityMap({ cells, city }) {
+  const { t } = useI18n();
+  const max = Math.max(1, ...cells.map(c => c.count));
+  const corners = useMemo(() => cells.flatMap(c => [[c.south, c.west], [c.north, c.east]]), [cells]);
+  return (
+    <div style={{ height: 380, borderRadius: 12, overflow: "hidden", border: "1px solid #e5e7eb" }}>
+      <MapContainer center={[city.lat, city.lon]} zoom={city.zoom} style={{ height: "100%", width: "100%" }}>
+        <TileLayer attribution='&copy; OpenStreetMap contributors' url={TILE_URL} />
+        <AutoFitBounds points={corners} city={city} />
+        {cells.map(c => (
+          <Rectangle key={`${c.south},${c.west}`} bounds={[[c.south, c.west], [c.north, c.east]]}
+            pathOptions={{ color: "#1d4ed8", weight: 1, fillColor: heatColor(c.count, max), fillOpacity: 0.7 }}>
+            <Tooltip>{t("calendar.sessionCount", { n: c.count })}</Tooltip>
+          </Rectangle>
+        ))}
+      </MapContainer>
+    </div>
+  );
+}
+
+// The density squares without the map, for the PNG download: map tiles come from another server
+// and can't be drawn onto a canvas. Framed on the city like the map and scaled so squares stay square.
+function DensityChart({ cells, city }) {
+  const { t, locale } = useI18n();
+  const [south, west, north, east] = [
+    Math.min(city.bounds[0], ...cells.map(c => c.south)), Math.min(city.bounds[1], ...cells.map(c => c.west)),
+    Math.max(city.bounds[2], ...cells.map(c => c.north)), Math.max(city.bounds[3], ...cells.map(c => c.east))
+  ];
+  const lonScale = Math.cos((((south + north) / 2) * Math.PI) / 180);
+  const height = Math.round((STATS_WIDTH * (north - south)) / ((east - west) * lonScale));
+  const x = lon => ((lon - west) / (east - west)) * STATS_WIDTH;
+  const y = lat => ((north - lat) / (north - south)) * height;
+  const max = Math.max(1, ...cells.map(c => c.count));
+  return (
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${STATS_WIDTH} ${height}`} width="100%" role="img"
+      aria-label={t("stats.density")} style={{ fontFamily: "system-ui, sans-serif", fontSize: 10 }}>
+      <rect width={STATS_WIDTH} height={height} fill="#fff" stroke="#e5e7eb" />
+      {cells.map(c => {
+        const width = x(c.east) - x(c.west);
+        return (
+          <g key={`${c.south},${c.west}`}>
+            <rect x={x(c.west)} y={y(c.north)} width={width} height={y(c.south) - y(c.north)}
+              fill={heatColor(c.count, max)} stroke="#1d4ed8" strokeWidth={0.5} />
+            {width >= 14 && <text x={x(c.west) + width / 2} y={y((c.north + c.south) / 2) + 3} textAnchor="middle" fill="#111">{c.count}</text>}
+          </g>
+        );
+      })}
+      <text x={6} y={height - 6} fill="#555">{cityName(city, locale)}</text>
+    </svg>
+  );
+}
+
 /* ---------- Shared helpers ---------- */
-function expandOccurrencesInRange(baseEvents, start, end) {
-  const results = [];
-  baseEvents.forEach(e => {
-    const dow = JS_DOW[e.weekday];
-    if (dow == null) return;
-    const [hh, mm] = (e.start_time || "00:00").split(":").map(x => parseInt(x || "0", 10));
-    const d0 = startOfDay(new Date(start));
-    const delta = (dow - d0.getDay() + 7) % 7;
-    d0.setDate(d0.getDate() + delta);
-    for (let d = new Date(d0); d < end; d.setDate(d.getDate() + 7)) {
-      const dt = new Date(d); dt.setHours(hh ?? 0, mm ?? 0, 0, 0);
-      results.push({ ...e, startDate: dt, startISO: dt.toISOString() });
-    }
-  });
-  results.sort((a,b) => a.startDate - b.startDate);
-  return results;
+// "Monday · 18:45" in the session's own zone, or for the next occurrence converted to `displayZone`.
+function formatWhen(e, displayZone, { weekdayLabel }) {
+  if (displayZone && displayZone !== eventTimeZone(e)) {
+    const o = nextOccurrence(e);
+    if (o) return `${weekdayLabel(zonedParts(o.startDate, displayZone).weekday)} · ${timeInZone(o.startDate, displayZone)}`;
+  }
+  return `${weekdayLabel(e.weekday)} · ${e.start_time || "—"}`;
 }
 
-function startOfDay(d) { const x = new Date(d); x.setHours(0,0,0,0); return x; }
-function ymd(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`; }
-function isToday(d) { const t = new Date(); return d.getFullYear()===t.getFullYear() && d.getMonth()===t.getMonth() && d.getDate()===t.getDate(); }
+// "Every other Tuesday · Apr–Oct · not on Dec 24"; empty for a plain weekly session.
+function describeSchedule(e, { t, weekday, month, day, list, capitalize }) {
+  const shortDate = ymd => day(ymd, { day: "numeric", month: "short" });
+  const longDate = ymd => day(ymd, { weekday: "short", day: "numeric", month: "short", year: "numeric" });
+  const parts = [];
+  if (e.recurrence === "once") parts.push(t("schedule.once", { date: longDate(e.date) }));
+  else if (e.recurrence === "biweekly") parts.push(t("schedule.biweekly", { day: weekday(e.weekday) }));
+  else if (e.recurrence === "monthly") {
+    parts.push(t("schedule.monthly", { weeks: list(e.month_weeks.map(w => t(`ordinal.${w}`))), day: weekday(e.weekday) }));
+  }
+  if (e.season_months?.length === 2) parts.push(e.season_months.map(m => month(m)).join("–"));
+  const today = dateInZone(new Date(), eventTimeZone(e));
+  if (e.recurrence !== "once") {
+    if (e.valid_from && e.valid_from > today) parts.push(t("schedule.from", { date: longDate(e.valid_from) }));
+    if (e.valid_until) parts.push(t("schedule.until", { date: longDate(e.valid_until) }));
+  }
+  const skipped = (e.exception_dates || []).filter(d => d >= today);
+  if (skipped.length) parts.push(t("schedule.notOn", { dates: skipped.map(shortDate).join(", ") }));
+  if (parts.length === 0) return "";
+  const next = nextOccurrence(e);
+  if (next && e.recurrence !== "once") parts.push(t("schedule.next", { date: longDate(next.localDate) }));
+  return capitalize(parts.join(" · "));
+}
+
+// Evenly spread hues (golden angle) so neighbouring clubs in the list get distinct colors.
+function clubColor(i) { return `hsl(${Math.round((i * 137.508) % 360)}, 65%, 42%)`; }
+function formatFinish({ distanceKm, fastest, slowest }, t) {
+  const range = fastest === slowest ? formatDuration(fastest) : `${formatDuration(fastest)}–${formatDuration(slowest)}`;
+  return t("list.finishEntry", { distance: distanceKm, time: range });
+}
+function formatKm(km) { return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`; }
+
 function capitalize(s) { return s ? s[0].toUpperCase() + s.slice(1) : s; }
-function hasCoords(e) { return Number.isFinite(+e.lat) && Number.isFinite(+e.lon); }
+function hasCoords(e) { return Number.isFinite(e.lat) && Number.isFinite(e.lon); }
 function mapsUrl(e) { return `https://www.google.com/maps?q=${e.lat},${e.lon}`; }
 
 function normalizeUrl(u = "") {
@@ -416,14 +2169,7 @@ function getInstagramUrl(e) {
   return "";
 }
 
-function getDistances(e) {
-  if (Array.isArray(e.distances_km)) return e.distances_km.filter(x => Number.isFinite(+x)).map(Number);
-  if (Number.isFinite(+e.distance_km)) return [Number(e.distance_km)];
-  if (typeof e.distances_km === "string") {
-    return e.distances_km.split(/[;,]/).map(s => s.trim()).filter(Boolean).map(Number).filter(n => Number.isFinite(n));
-  }
-  return [];
-}
+function getDistances(e) { return e.distances_km || []; }
 function formatDistances(e) {
   const d = getDistances(e);
   if (!d.length) return "";
@@ -434,99 +2180,440 @@ function formatDistancesInline(e) {
   return s ? `· ${s}` : "";
 }
 
-function eventWithinDistanceRange(e, minKm, maxKm) {
-  const d = getDistances(e);
-  if (d.length === 0) return true; // include unknown distances
-  return d.some(x => x >= minKm && x <= maxKm);
+
+/* ---------- Race helpers ---------- */
+function parseYmd(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+}
+// Known types are translated; anything else is shown as written ("half_marathon" -> "Half marathon").
+function formatRaceType(type, { t, has }) {
+  return has(`raceType.${type}`) ? t(`raceType.${type}`) : capitalize(type.replaceAll("_", " "));
+}
+function formatElevations(r) {
+  const d = r.elevation_gain_m;
+  if (!d.length) return "";
+  return d.map(x => Math.round(x)).join(" / ") + " m";
+}
+function formatRaceDates(r, { day }) {
+  if (!parseYmd(r.start_date)) return "";
+  const opts = { weekday: "short", day: "numeric", month: "short", year: "numeric" };
+  if (!parseYmd(r.end_date) || r.end_date === r.start_date) return day(r.start_date, opts);
+  return `${day(r.start_date, { day: "numeric", month: "short" })} – ${day(r.end_date, opts)}`;
+}
+
+/* ---------- Calendar, GPX & chart export ---------- */
+function downloadIcs(filename, text) {
+  downloadFile(filename, text, "text/calendar;charset=utf-8");
+}
+
+// A session's meeting point as a waypoint, plus its course when it has one.
+async function downloadGpx(e) {
+  const route = e.route_url ? await loadRoute(e.route_url).catch(() => null) : null;
+  const name = [e.club, e.location_name].filter(Boolean).join(" – ");
+  const waypoint = hasCoords(e) ? { lat: e.lat, lon: e.lon, name: e.location_name || e.club } : null;
+  downloadFile(`${e.id}.gpx`, toGpx({ name, waypoint, points: route ? route.points : [] }), "application/gpx+xml");
+}
+
+function downloadFile(filename, text, type) {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Draws a chart's SVG on a white canvas at twice its size and downloads the PNG.
+function downloadSvgAsPng(svg, filename) {
+  const { width, height } = svg.viewBox.baseVal;
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * 2;
+    canvas.height = height * 2;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => downloadBlob(filename, blob), "image/png");
+  };
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(svg))}`;
+}
+
+// public/calendar.ics is written by scripts/build-calendar.mjs; webcal:// makes calendar apps subscribe instead of import.
+function calendarFeedUrl() {
+  return `webcal://${window.location.host}${process.env.PUBLIC_URL || ""}/calendar.ics`;
+}
+
+/* ---------- Pace filter ---------- */
+// Free-text "m:ss" entry; only valid paces (or an empty box) reach the filter state.
+function PaceFilter({ pace, unit, onPace, onUnit }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(pace);
+  useEffect(() => { setDraft(pace); }, [pace]);
+
+  const invalid = draft !== "" && parsePace(draft) == null;
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+      <label htmlFor="my-pace" style={{ fontSize: 14, color: "#333" }}>{t("pace.label")}</label>
+      <input
+        id="my-pace" placeholder="5:45" value={draft}
+        onChange={e => {
+          setDraft(e.target.value);
+          if (e.target.value.trim() === "") onPace("");
+          else if (parsePace(e.target.value) != null) onPace(e.target.value.trim());
+        }}
+        aria-invalid={invalid}
+        title={t("pace.hint", { seconds: PACE_TOLERANCE_S })}
+        style={{ width: 56, height: 26, fontSize: 14, borderColor: invalid ? "#dc2626" : undefined }}
+      />
+      <select value={unit} onChange={e => onUnit(e.target.value)} aria-label={t("pace.unit")}
+        style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+        {PACE_UNITS.map(u => <option key={u} value={u}>min/{u}</option>)}
+      </select>
+    </div>
+  );
+}
+
+/* ---------- Near me / near address ---------- */
+function NearFilter({ near, label, radiusKm, onOrigin, onRadius }) {
+  const { t } = useI18n();
+  const [address, setAddress] = useState("");
+  const [status, setStatus] = useState("");
+  const [online, setOnline] = useState(false);
+
+  const locate = () => {
+    if (!navigator.geolocation) { setStatus(t("near.unavailable")); return; }
+    setStatus(t("near.locating"));
+    navigator.geolocation.getCurrentPosition(
+      pos => { setStatus(""); onOrigin({ lat: pos.coords.latitude, lon: pos.coords.longitude }, t("near.yourLocation")); },
+      () => setStatus(t("near.failed")),
+      { enableHighAccuracy: false, timeout: 10000 }
+    );
+  };
+
+  const search = async (ev) => {
+    ev.preventDefault();
+    if (!address.trim()) return;
+    setStatus(t("near.searching"));
+    try {
+      const { status: found, match, candidates } = geocodeAddress(await loadGazetteer(), address);
+      const hit = found === "resolved" ? { lat: match.lat, lon: match.lon, label: `${match.name}, ${match.canton}` }
+        : online ? await searchNominatim(address) : null;
+      if (hit) {
+        setStatus("");
+        onOrigin(hit, hit.label);
+      } else if (found === "ambiguous") {
+        setStatus(t("near.ambiguous", { address, places: candidates.map(localityLabel).join(", ") }));
+      } else {
+        setStatus(t("near.noMatch", { address }));
+      }
+    } catch {
+      setStatus(t("near.searchFailed"));
+    }
+  };
+
+  return (
+    <form onSubmit={search} style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+      <button type="button" onClick={locate}>{t("near.me")}</button>
+      <input type="search" placeholder={t("near.placeholder")} value={address} onChange={e => setAddress(e.target.value)}
+        aria-label={t("near.addressLabel")} style={{ height: 26, fontSize: 14, width: 170 }} />
+      <button type="submit">{t("near.go")}</button>
+      <select value={radiusKm} onChange={e => onRadius(Number(e.target.value))} aria-label={t("near.radiusLabel")}
+        style={{ height: 32, fontSize: 14, padding: "4px 8px", borderRadius: 8 }}>
+        {RADII_KM.map(km => <option key={km} value={km}>{t("near.within", { km })}</option>)}
+      </select>
+      <label style={{ fontSize: 13 }} title={t("near.onlineHint")}>
+        <input type="checkbox" checked={online} onChange={e => setOnline(e.target.checked)} /> {t("near.online")}
+      </label>
+      {near && (
+        <span style={{ fontSize: 13, color: "#555" }}>
+          {t("near.near", { place: label || near })} <button type="button" onClick={() => onOrigin(null)} aria-label={t("near.clear")}>×</button>
+        </span>
+      )}
+      {status && <span style={{ fontSize: 13, color: "#b45309" }}>{status}</span>}
+    </form>
+  );
+}
+
+// Addresses are looked up in the bundled gazetteer (src/data/gazetteer.normalized.json, its own
+// chunk fetched on the first search) down to the locality.
+let gazetteer = null;
+function loadGazetteer() {
+  if (!gazetteer) {
+    gazetteer = import("./data/gazetteer.normalized.json").then(module => createGazetteer(module.default));
+    gazetteer.catch(() => { gazetteer = null; });
+  }
+  return gazetteer;
+}
+
+// Only when the user opts in, an address the gazetteer can't place goes to OpenStreetMap Nominatim.
+// Its usage policy asks for at most one request a second, no repeated queries and an identifying
+// Referer, so searches wait their turn, answers are kept, and the page's origin is always sent.
+const NOMINATIM_INTERVAL_MS = 1000;
+const nominatimAnswers = new Map();
+let nominatimTurn = Promise.resolve();
+let nominatimLast = 0;
+
+// First Nominatim hit in Switzerland, or null.
+function searchNominatim(query) {
+  const key = query.trim().toLowerCase();
+  if (!nominatimAnswers.has(key)) {
+    const answer = nominatimTurn.then(async () => {
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, nominatimLast + NOMINATIM_INTERVAL_MS - Date.now())));
+      nominatimLast = Date.now();
+      const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&countrycodes=ch&q=${encodeURIComponent(query)}`;
+      const res = await fetch(url, { headers: { Accept: "application/json" }, referrerPolicy: "strict-origin-when-cross-origin" });
+      if (!res.ok) throw new Error(`geocoding failed: ${res.status}`);
+      const [hit] = await res.json();
+      return hit ? { lat: Number(hit.lat), lon: Number(hit.lon), label: hit.display_name.split(",").slice(0, 2).join(",") } : null;
+    });
+    nominatimTurn = answer.catch(() => {});
+    nominatimAnswers.set(key, answer);
+    answer.catch(() => nominatimAnswers.delete(key));
+  }
+  return nominatimAnswers.get(key);
+}
+
+/* ---------- Offline & updates ---------- */
+function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
+
+// index.js fires "swupdate" with the service worker registration when a new version is waiting.
+function useWaitingUpdate() {
+  const [registration, setRegistration] = useState(null);
+  useEffect(() => {
+    const onUpdate = e => setRegistration(e.detail);
+    window.addEventListener("swupdate", onUpdate);
+    return () => window.removeEventListener("swupdate", onUpdate);
+  }, []);
+  return [registration, () => setRegistration(null)];
+}
+
+function StatusBanners() {
+  const { t } = useI18n();
+  const online = useOnline();
+  const [update, dismissUpdate] = useWaitingUpdate();
+  const banner = { borderRadius: 8, padding: "8px 12px", margin: "0 0 12px", fontSize: 14, display: "flex", gap: 8, alignItems: "center" };
+  return (
+    <>
+      {!online && (
+        <div role="status" style={{ ...banner, background: "#f1f5f9", color: "#334155" }}>
+          {t("status.offline")}
+        </div>
+      )}
+      {update && (
+        <div role="alert" style={{ ...banner, background: "#eff6ff", color: "#1e3a8a" }}>
+          {t("status.update")}
+          <button onClick={() => activateUpdate(update)}>{t("status.reload")}</button>
+          <button onClick={dismissUpdate}>{t("status.later")}</button>
+        </div>
+      )}
+    </>
+  );
 }
 
 /* ---------- UI bits ---------- */
-function TabButton({ active, children, onClick }) {
+function SearchBox({ value, onChange, placeholder }) {
+  const { t } = useI18n();
+  return (
+    <input type="search" value={value} onChange={e => onChange(e.target.value)} placeholder={placeholder} aria-label={t("filters.search")}
+      style={{ height: 32, boxSizing: "border-box", fontSize: 14, padding: "4px 8px", borderRadius: 8, border: "1px solid #d1d5db", minWidth: 220 }} />
+  );
+}
+
+// `text` with the parts matching the search query marked.
+function Highlight({ text, query }) {
+  const ranges = highlightRanges(text, query);
+  if (ranges.length === 0) return text;
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={start} style={{ background: "#fef08a", color: "inherit", padding: 0 }}>{text.slice(start, end)}</mark>);
+    at = end;
+  });
+  parts.push(text.slice(at));
+  return <>{parts}</>;
+}
+
+// Toggle with a fixed label; aria-pressed carries the starred state.
+function StarButton({ starred, label, onClick }) {
   return (
-    <button
-      onClick={onClick}
-      aria-pressed={active}
-      style={{
-        display: "inline-flex",
-        alignItems: "center",
-        justifyContent: "center",
-        height: 32,
-        padding: "2px 10px",
-        fontSize: 14,
-        lineHeight: 1,
-        borderRadius: 8,
-        border: active ? "1px solid #2563eb" : "1px solid #e5e7eb",
-        background: active ? "rgba(37,99,235,0.08)" : "#fff",
-        color: active ? "#1d4ed8" : "#111",
-        fontWeight: 600,
-        cursor: "pointer"
-      }}
-    >
-      {children}
+    <button type="button" onClick={onClick} aria-pressed={starred} aria-label={label} title={label}
+      style={{ border: "none", background: "none", padding: 0, cursor: "pointer", fontSize: 18, lineHeight: 1, color: starred ? "#f59e0b" : "#9ca3af" }}>
+      {starred ? "★" : "☆"}
     </button>
   );
 }
 
-function DualRange({ min, max, step = 0.5, valueMin, valueMax, onChange }) {
+// Forecast for one run; `compact` shows just temperature and chance of rain (the full text is still read out).
+function WeatherBadge({ forecast, compact = false }) {
+  const { t } = useI18n();
+  if (!forecast) return null;
+  const summary = weatherSummary(forecast, t);
+  const icon = isRainy(forecast) ? "🌧" : forecast.rainPct >= 20 ? "⛅" : "☀";
+  return (
+    <span title={summary} style={{ fontSize: compact ? 12 : undefined, color: isRainy(forecast) ? "#1d4ed8" : "#555", whiteSpace: "nowrap" }}>
+      <span aria-hidden="true">{icon} </span>
+      {compact ? (
+        <>
+          <span aria-hidden="true">{t("weather.short", { temp: Math.round(forecast.tempC), rain: forecast.rainPct })}</span>
+          <span style={SR_ONLY}>{summary}</span>
+        </>
+      ) : summary}
+    </span>
+  );
+}
+function weatherSummary(forecast, t) {
+  return t("weather.summary", { temp: Math.round(forecast.tempC), rain: forecast.rainPct, wind: Math.round(forecast.windKmh) });
+}
+
+// Hidden on screen, still read by screen readers.
+const SR_ONLY = {
+  position: "absolute", width: 1, height: 1, padding: 0, margin: -1,
+  overflow: "hidden", clip: "rect(0, 0, 0, 0)", whiteSpace: "nowrap", border: 0
+};
+
+function tabStyle(active) {
+  return {
+    display: "inline-flex",
+    alignItems: "center",
+    justifyContent: "center",
+    height: 32,
+    padding: "2px 10px",
+    fontSize: 14,
+    lineHeight: 1,
+    borderRadius: 8,
+    border: active ? "1px solid #2563eb" : "1px solid #e5e7eb",
+    background: active ? "rgba(37,99,235,0.08)" : "#fff",
+    color: active ? "#1d4ed8" : "#111",
+    fontWeight: 600,
+    cursor: "pointer"
+  };
+}
+
+function TabButton({ active, children, onClick }) {
+  return <button onClick={onClick} aria-pressed={active} style={tabStyle(active)}>{children}</button>;
+}
+
+// The views as an ARIA tablist with a roving tabindex: Tab lands on the current view, the arrow
+// keys (and Home/End) move to the other views and open them.
+function ViewTabs({ tabs, label }) {
+  const refs = useRef([]);
+  const current = Math.max(0, tabs.findIndex(tab => tab.active));
+  const onKeyDown = (ev, i) => {
+    const next = { ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: tabs.length - 1 }[ev.key];
+    if (next === undefined) return;
+    ev.preventDefault();
+    const j = (next + tabs.length) % tabs.length;
+    tabs[j].select();
+    refs.current[j].focus();
+  };
+  return (
+    <div role="tablist" aria-label={label} style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+      {tabs.map((tab, i) => (
+        <button key={tab.id} ref={el => { refs.current[i] = el; }} type="button" role="tab" id={`tab-${tab.id}`}
+          aria-selected={tab.active} aria-controls={tab.active ? "view-panel" : undefined} tabIndex={i === current ? 0 : -1}
+          onClick={tab.select} onKeyDown={ev => onKeyDown(ev, i)} style={tabStyle(tab.active)}>
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Two-thumb range: a group labelled by `label`, with one native slider per thumb named by
+// `minLabel` / `maxLabel` and read out with its `unit`.
+function DualRange({ label, minLabel, maxLabel, unit, min, max, step = 0.5, valueMin, valueMax, onChange }) {
+  const labelId = useId();
   const pct = (v) => ((v - min) / (max - min)) * 100;
 
   return (
-    <div style={{ position: "relative", height: 36, display: "grid" }}>
-      {/* Track background */}
-      <div style={{
-        position: "absolute", left: 0, right: 0, top: 16,
-        height: 6, borderRadius: 999, background: "#e5e7eb"
-      }} />
-      {/* Selected range fill */}
-      <div style={{
-        position: "absolute",
-        left: `${pct(valueMin)}%`,
-        right: `${100 - pct(valueMax)}%`,
-        top: 16, height: 6, borderRadius: 999, background: "rgba(37,99,235,0.5)"
-      }} />
-      {/* Lower thumb */}
-      <input
-        type="range"
-        min={min} max={max} step={step}
-        value={valueMin}
-        onChange={(e)=> {
-          const v = Math.min(Number(e.target.value), valueMax);
-          onChange({ min: v, max: valueMax });
-        }}
-        style={{
-          position: "absolute", left: 0, right: 0, width: "100%",
-          background: "transparent", WebkitAppearance: "none", appearance: "none"
-        }}
-      />
-      {/* Upper thumb */}
-      <input
-        type="range"
-        min={min} max={max} step={step}
-        value={valueMax}
-        onChange={(e)=> {
-          const v = Math.max(Number(e.target.value), valueMin);
-          onChange({ min: valueMin, max: v });
-        }}
-        style={{
-          position: "absolute", left: 0, right: 0, width: "100%",
-          background: "transparent", WebkitAppearance: "none", appearance: "none"
-        }}
-      />
-      {/* Thumb styling */}
-      <style>{`
-        input[type="range"]::-webkit-slider-runnable-track { height: 6px; background: transparent; }
-        input[type="range"]::-moz-range-track { height: 6px; background: transparent; }
-        input[type="range"] { pointer-events: none; }
-        input[type="range"]::-webkit-slider-thumb {
-          pointer-events: auto; -webkit-appearance: none; appearance: none;
-          width: 16px; height: 16px; border-radius: 50%; background: #2563eb; border: 2px solid white; box-shadow: 0 0 0 1px #93c5fd;
-          margin-top: -5px;
-        }
-        input[type="range"]::-moz-range-thumb {
-          pointer-events: auto;
-          width: 16px; height: 16px; border-radius: 50%; background: #2563eb; border: 2px solid white; box-shadow: 0 0 0 1px #93c5fd;
-        }
-      `}</style>
+    <div role="group" aria-labelledby={labelId} style={{ display: "grid", gap: 6 }}>
+      <div id={labelId} style={{ fontSize: 14, color: "#333" }}>{label}</div>
+      <div style={{ position: "relative", height: 36, display: "grid" }}>
+        {/* Track background */}
+        <div style={{
+          position: "absolute", left: 0, right: 0, top: 16,
+          height: 6, borderRadius: 999, background: "#e5e7eb"
+        }} />
+        {/* Selected range fill */}
+        <div style={{
+          position: "absolute",
+          left: `${pct(valueMin)}%`,
+          right: `${100 - pct(valueMax)}%`,
+          top: 16, height: 6, borderRadius: 999, background: "rgba(37,99,235,0.5)"
+        }} />
+        {/* Lower thumb */}
+        <input
+          type="range"
+          min={min} max={max} step={step}
+          value={valueMin}
+          aria-label={minLabel}
+          aria-valuetext={`${valueMin} ${unit}`}
+          onChange={(e)=> {
+            const v = Math.min(Number(e.target.value), valueMax);
+            onChange({ min: v, max: valueMax });
+          }}
+          style={{
+            position: "absolute", left: 0, right: 0, width: "100%",
+            background: "transparent", WebkitAppearance: "none", appearance: "none"
+          }}
+        />
+        {/* Upper thumb */}
+        <input
+          type="range"
+          min={min} max={max} step={step}
+          value={valueMax}
+          aria-label={maxLabel}
+          aria-valuetext={`${valueMax} ${unit}`}
+          onChange={(e)=> {
+            const v = Math.max(Number(e.target.value), valueMin);
+            onChange({ min: valueMin, max: v });
+          }}
+          style={{
+            position: "absolute", left: 0, right: 0, width: "100%",
+            background: "transparent", WebkitAppearance: "none", appearance: "none"
+          }}
+        />
+        {/* Thumb styling */}
+        <style>{`
+          input[type="range"]::-webkit-slider-runnable-track { height: 6px; background: transparent; }
+          input[type="range"]::-moz-range-track { height: 6px; background: transparent; }
+          input[type="range"] { pointer-events: none; }
+          input[type="range"]::-webkit-slider-thumb {
+            pointer-events: auto; -webkit-appearance: none; appearance: none;
+            width: 16px; height: 16px; border-radius: 50%; background: #2563eb; border: 2px solid white; box-shadow: 0 0 0 1px #93c5fd;
+            margin-top: -5px;
+          }
+          input[type="range"]::-moz-range-thumb {
+            pointer-events: auto;
+            width: 16px; height: 16px; border-radius: 50%; background: #2563eb; border: 2px solid white; box-shadow: 0 0 0 1px #93c5fd;
+          }
+          input[type="range"]:focus { outline: none; }
+          input[type="range"]:focus-visible::-webkit-slider-thumb { box-shadow: 0 0 0 3px #1d4ed8; }
+          input[type="range"]:focus-visible::-moz-range-thumb { box-shadow: 0 0 0 3px #1d4ed8; }
+        `}</style>
+      </div>
     </div>
   );
 }
@@ -1,8 +1,429 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act, waitFor, within } from '@testing-library/react';
+import { axe } from 'jest-axe';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The city's sessions load after the first render; the view tabs appear once they are in.
+async function renderApp() {
+  const view = render(<App />);
+  await screen.findByRole('tablist');
+  return view;
+}
+
+test('renders the heading and view tabs', async () => {
+  await renderApp();
+  expect(screen.getByRole('heading', { level: 1, name: 'Swiss Running – Community Runs' })).toBeInTheDocument();
+  expect(screen.getByLabelText('City')).toHaveDisplayValue('Whole Switzerland');
+  expect(screen.getByRole('tab', { name: 'Races' })).toBeInTheDocument();
+});
+
+test('switches cities with their own defaults and remembers the choice', async () => {
+  window.history.replaceState(null, '', '/?view=races&club=zurirannt&hour=18');
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('City'), { target: { value: 'zurich' } });
+  expect(await screen.findByRole('tablist')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'Zurich Running – Community Runs' })).toBeInTheDocument();
+  expect(document.title).toBe('Zurich Running – Community Runs');
+  expect(window.location.search).toBe('?city=zurich&view=races&canton=ZH');
+  expect(screen.getByLabelText('Canton')).toHaveValue('ZH');
+  expect(window.localStorage.getItem('city')).toBe('zurich');
+
+  fireEvent.change(screen.getByLabelText('City'), { target: { value: 'bern' } });
+  expect(await screen.findByRole('tablist')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'Bern Running – Community Runs' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('tab', { name: 'List' }));
+  expect(screen.getByText((_, el) => el.textContent === 'Showing 0 sessions.', { selector: 'span' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('tab', { name: 'Clubs' }));
+  expect(screen.queryAllByRole('listitem')).toHaveLength(0);
+
+  act(() => { window.history.go(-3); });
+  expect(await screen.findByRole('heading', { level: 1, name: 'Zurich Running – Community Runs' })).toBeInTheDocument();
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('restores view and filters from the URL', async () => {
+  window.history.replaceState(null, '', '/?view=races&type=trail&canton=nope');
+  await renderApp();
+  expect(screen.getByRole('tab', { name: 'Races' })).toHaveAttribute('aria-selected', 'true');
+  expect(screen.getByDisplayValue('Trail')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('All cantons')).toBeInTheDocument();
+  expect(window.location.search).toBe('?view=races&type=trail');
+  window.history.replaceState(null, '', '/');
+});
+
+test('keeps the calendar range when switching tabs', async () => {
+  window.history.replaceState(null, '', '/?view=calendar&cal=week&date=2025-03-12');
+  await renderApp();
+  expect(screen.getByText(/Mar 10 – Mar 16, 2025/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(window.location.search).toBe('?view=calendar&cal=week&date=2025-03-19');
+  fireEvent.click(screen.getByRole('tab', { name: 'Races' }));
+  fireEvent.click(screen.getByRole('tab', { name: 'Calendar' }));
+  expect(screen.getByText(/Mar 17 – Mar 23, 2025/)).toBeInTheDocument();
+  window.history.replaceState(null, '', '/');
+});
+
+test('filters and sorts sessions by distance from the near origin', async () => {
+  window.history.replaceState(null, '', '/?near=47.3662,8.5412&radius=1');
+  await renderApp();
+  const distances = screen.getAllByText(/ away$/).map(el => el.textContent);
+  expect(distances.length).toBeGreaterThan(0);
+  const metres = distances.map(t => (/([\d.]+) (m|km) away/.exec(t).slice(1))).map(([n, unit]) => unit === 'km' ? n * 1000 : Number(n));
+  expect(metres).toEqual([...metres].sort((a, b) => a - b));
+  expect(metres[metres.length - 1]).toBeLessThanOrEqual(1000);
+  window.history.replaceState(null, '', '/');
+});
+
+test('looks addresses up in the bundled gazetteer and only asks OpenStreetMap when allowed', async () => {
+  global.fetch = jest.fn(async url => ({
+    ok: true, status: 200,
+    json: async () => [{ lat: '47.37', lon: '8.54', display_name: `${new URL(url).searchParams.get('q')}, Zürich, Schweiz` }]
+  }));
+  await renderApp();
+  const search = address => {
+    fireEvent.change(screen.getByLabelText('Near address'), { target: { value: address } });
+    fireEvent.click(screen.getByRole('button', { name: 'Go' }));
+  };
+  search('Bahnhofplatz 1, 8400 Winterthur');
+  expect(await screen.findByText('near Winterthur, ZH')).toBeInTheDocument();
+  expect(window.location.search).toMatch(/^\?near=47\.499/);
+  search('Dorfstrasse 1, Muri');
+  expect(await screen.findByText(/could be Muri bei Bern BE, Muri AG/)).toBeInTheDocument();
+  search('Bahnhofstrasse 1');
+  expect(await screen.findByText('No match for “Bahnhofstrasse 1”.')).toBeInTheDocument();
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Search OpenStreetMap too' }));
+  search('Bahnhofstrasse 1');
+  expect(await screen.findByText('near Bahnhofstrasse 1, Zürich')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/^https:\/\/nominatim\.openstreetmap\.org\/search\?.*q=Bahnhofstrasse%201/),
+    expect.objectContaining({ referrerPolicy: 'strict-origin-when-cross-origin' }));
+  // At most one request a second, and none for an address already asked about.
+  search('Limmatquai 1');
+  await act(async () => { await new Promise(resolve => setTimeout(resolve, 300)); });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(await screen.findByText('near Limmatquai 1, Zürich', {}, { timeout: 2000 })).toBeInTheDocument();
+  search('Bahnhofstrasse 1');
+  expect(await screen.findByText('near Bahnhofstrasse 1, Zürich')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+test('filters by pace and converts paces to min/mi', async () => {
+  window.history.replaceState(null, '', '/?pace=9:40&unit=mi');
+  await renderApp();
+  expect(screen.getByLabelText('My pace')).toHaveValue('9:40');
+  const groups = screen.getAllByText(/min\/mi$/, { selector: 'div' }).map(el => el.textContent);
+  expect(groups.length).toBeGreaterThan(0);
+  groups.forEach(text => expect(text).toMatch(/9:(2[5-9]|[3-4]\d|5[0-5])/));
+  window.history.replaceState(null, '', '/');
+});
+
+test('searches the club directory and opens a club page', async () => {
+  window.history.replaceState(null, '', '/clubs');
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('Search clubs'), { target: { value: 'zuri rannt' } });
+  expect(screen.getAllByRole('listitem')).toHaveLength(1);
+  fireEvent.click(screen.getByRole('link', { name: 'Züri rännt' }));
+  expect(window.location.pathname).toBe('/clubs/zurirannt');
+  expect(screen.getByRole('heading', { level: 2, name: 'Züri rännt' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Upcoming' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('tab', { name: 'List' }));
+  expect(window.location.pathname).toBe('/');
+  window.history.replaceState(null, '', '/');
+});
+
+test('searches sessions and races, tolerating typos, and highlights matches', async () => {
+  window.history.replaceState(null, '', '/');
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('Search'), { target: { value: 'zurich oprea' } });
+  expect(screen.getByText((_, el) => el.textContent === 'Showing 1 session.', { selector: 'span' })).toBeInTheDocument();
+  expect(screen.getAllByText('Opera', { selector: 'mark' })).toHaveLength(1);
+  expect(window.location.search).toBe('?q=zurich+oprea');
+  fireEvent.click(screen.getByRole('tab', { name: 'Races' }));
+  expect(screen.getByLabelText('Search')).toHaveValue('zurich oprea');
+  fireEvent.change(screen.getByLabelText('Search'), { target: { value: 'zofingen' } });
+  expect(screen.getAllByText('Zofingen', { selector: 'mark' }).length).toBeGreaterThan(0);
+  fireEvent.click(screen.getByRole('button', { name: 'Clear race filters' }));
+  expect(screen.getByLabelText('Search')).toHaveValue('');
+  window.history.replaceState(null, '', '/');
+});
+
+test('downloads a session with its route as GPX', async () => {
+  const gpx = '<gpx><trk><trkseg><trkpt lat="47.366" lon="8.541"/><trkpt lat="47.350" lon="8.556"/></trkseg></trk></gpx>';
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => gpx }));
+  const blobs = [];
+  URL.createObjectURL = jest.fn(blob => { blobs.push(blob); return 'blob:gpx'; });
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  window.history.replaceState(null, '', '/?q=6:ZH');
+  await renderApp();
+  fireEvent.click(screen.getAllByRole('button', { name: 'Download GPX' })[0]);
+  await waitFor(() => expect(blobs).toHaveLength(1));
+  expect(global.fetch).toHaveBeenCalledWith('/routes/the-6-zh-club-lakeside.gpx');
+  const text = await new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blobs[0]);
+  });
+  expect(text).toContain('<wpt lat="47.3661526986" lon="8.5412040931"><name>Bürkliplatz</name></wpt>');
+  expect(text).toContain('<trkpt lat="47.35" lon="8.556"></trkpt>');
+  delete global.fetch;
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+  click.mockRestore();
+  window.history.replaceState(null, '', '/');
+});
+
+test('charts coverage of the filtered sessions and exports them as CSV', async () => {
+  const blobs = [];
+  URL.createObjectURL = jest.fn(blob => { blobs.push(blob); return 'blob:csv'; });
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  window.history.replaceState(null, '', '/?view=stats');
+  await renderApp();
+  expect(screen.getByRole('img', { name: /^Sessions by weekday and start time, busiest \w+ at \d\d:00 with \d+$/ })).toBeInTheDocument();
+  const clubs = screen.getByRole('region', { name: 'Sessions per club' });
+  fireEvent.click(within(clubs).getByRole('button', { name: 'Download CSV' }));
+  expect(click.mock.instances[0].download).toBe('switzerland-clubs.csv');
+  const csv = await new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blobs[0]);
+  });
+  expect(csv).toMatch(/^club,club_slug,sessions\r\n/);
+  expect(csv).toContain(',zurirannt,');
+  expect(within(screen.getByRole('region', { name: 'Where runs meet' })).getByRole('button', { name: 'Download PNG' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Club'), { target: { value: 'zurirannt' } });
+  expect(within(screen.getByRole('region', { name: 'Sessions per club' })).getByRole('img').getAttribute('aria-label')).toMatch(/^[^,]+: \d+$/);
+  expect(window.location.search).toBe('?view=stats&club=zurirannt');
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+  click.mockRestore();
+  window.history.replaceState(null, '', '/');
+});
+
+test('admin signs in against the API', async () => {
+  window.history.replaceState(null, '', '/admin');
+  const fetchMock = jest.fn(async url => ({
+    ok: true,
+    status: 200,
+    json: async () => (url.endsWith('/session') ? { ok: true } : [])
+  }));
+  global.fetch = fetchMock;
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  expect(await screen.findByRole('button', { name: 'New session' })).toBeInTheDocument();
+  expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe(`Basic ${btoa('admin:secret')}`);
+  sessionStorage.clear();
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+test('submits a run and warns about likely duplicates', async () => {
+  window.history.replaceState(null, '', '/submit');
+  const fetchMock = jest.fn(async () => ({ ok: true, status: 201, json: async () => ({ id: 'sub_1', status: 'pending', duplicates: [] }) }));
+  global.fetch = fetchMock;
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('Club *'), { target: { value: 'The 6:ZH Club' } });
+  fireEvent.change(screen.getByLabelText('Weekday *'), { target: { value: 'tuesday' } });
+  fireEvent.change(screen.getByLabelText('Start time *'), { target: { value: '06:15' } });
+  expect(screen.getByText(/may already be listed/)).toHaveTextContent('The 6:ZH Club (same club, day and start time)');
+  fireEvent.click(screen.getByRole('button', { name: 'Submit for review' }));
+  expect(await screen.findByRole('heading', { name: 'Thanks!' })).toBeInTheDocument();
+  expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ club: 'The 6:ZH Club', weekday: 'tuesday', start_time: '06:15' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Submit another run' }));
+  fireEvent.change(screen.getByLabelText('Repeats'), { target: { value: 'biweekly' } });
+  expect(screen.getByLabelText('First run *')).toBeRequired();
+  fireEvent.change(screen.getByLabelText('Repeats'), { target: { value: 'monthly' } });
+  expect(screen.queryByLabelText('First run *')).not.toBeInTheDocument();
+  const weeks = screen.getByRole('group', { name: 'Weeks of the month *' });
+  fireEvent.click(within(weeks).getByLabelText('last'));
+  fireEvent.click(within(weeks).getByLabelText('first'));
+  fireEvent.change(screen.getByLabelText('Club *'), { target: { value: 'Moon Runners' } });
+  fireEvent.change(screen.getByLabelText('Weekday *'), { target: { value: 'friday' } });
+  fireEvent.change(screen.getByLabelText('Start time *'), { target: { value: '20:00' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Submit for review' }));
+  expect(await screen.findByRole('heading', { name: 'Thanks!' })).toBeInTheDocument();
+  expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toMatchObject({ recurrence: 'monthly', month_weeks: [1, -1] });
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+test('words duplicate warnings and submission problems in the interface language', async () => {
+  window.history.replaceState(null, '', '/submit?lang=de');
+  const issues = [{ id: 'x', field: 'start_time', level: 'error', message: '"25:00" must be HH:MM' }];
+  global.fetch = jest.fn(async () => ({ ok: false, status: 422, json: async () => ({ error: 'invalid session', issues }) }));
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('Club *'), { target: { value: 'The 6:ZH Club' } });
+  fireEvent.change(screen.getByLabelText('Wochentag *'), { target: { value: 'tuesday' } });
+  fireEvent.change(screen.getByLabelText('Startzeit *'), { target: { value: '06:15' } });
+  expect(screen.getByText(/schon erfasst/)).toHaveTextContent('The 6:ZH Club (gleicher Club, Tag und Startzeit)');
+  fireEvent.click(screen.getByRole('button', { name: 'Zur Prüfung senden' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Bitte prüfe die markierten Felder.');
+  expect(screen.getByText('Stunden und Minuten, z. B. 18:45.')).toBeInTheDocument();
+  delete global.fetch;
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('shows an offline notice and offers waiting updates', async () => {
+  await renderApp();
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+  act(() => { window.dispatchEvent(new Event('offline')); });
+  expect(screen.getByText(/^Offline:/)).toBeInTheDocument();
+  onLine.mockReturnValue(true);
+  act(() => { window.dispatchEvent(new Event('online')); });
+  expect(screen.queryByText(/^Offline:/)).not.toBeInTheDocument();
+  onLine.mockRestore();
+
+  const waiting = { postMessage: jest.fn() };
+  const addListener = jest.fn();
+  Object.defineProperty(window.navigator, 'serviceWorker', { value: { addEventListener: addListener }, configurable: true });
+  act(() => { window.dispatchEvent(new CustomEvent('swupdate', { detail: { waiting } })); });
+  fireEvent.click(screen.getByRole('button', { name: 'Reload' }));
+  expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  expect(addListener).toHaveBeenCalledWith('controllerchange', expect.any(Function));
+  delete window.navigator.serviceWorker;
+});
+
+test('switches the interface language and remembers it', async () => {
+  window.history.replaceState(null, '', '/?view=calendar&cal=week&date=2025-03-12');
+  await renderApp();
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'de' } });
+  expect(screen.getByRole('tab', { name: 'Kalender' })).toHaveAttribute('aria-selected', 'true');
+  expect(screen.getByText(/10\. März – 16\. März 2025/)).toBeInTheDocument();
+  expect(screen.getByRole('option', { name: 'Dienstag' })).toBeInTheDocument();
+  expect(window.location.search).toBe('?lang=de&view=calendar&cal=week&date=2025-03-12');
+  expect(window.localStorage.getItem('locale')).toBe('de');
+  expect(document.documentElement.lang).toBe('de');
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('stars sessions and plans them in My week', async () => {
+  await renderApp();
+  const [star] = screen.getAllByRole('button', { name: /^Star / });
+  const label = star.getAttribute('aria-label');
+  fireEvent.click(star);
+  expect(star).toHaveAttribute('aria-pressed', 'true');
+  expect(JSON.parse(window.localStorage.getItem('favorites')).sessions).toHaveLength(1);
+  fireEvent.click(screen.getByRole('tab', { name: 'My week' }));
+  expect(window.location.search).toBe('?view=myweek');
+  expect(screen.getAllByRole('button', { name: label }).length).toBeGreaterThan(0);
+  screen.getAllByRole('button', { name: label }).forEach(b => expect(b).toHaveAttribute('aria-pressed', 'true'));
+  fireEvent.click(screen.getAllByRole('button', { name: label })[0]);
+  expect(screen.getByText(/Nothing starred yet/)).toBeInTheDocument();
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('sends reminders with the start time in the zone the times are shown in', async () => {
+  jest.useFakeTimers();
+  // Tuesday, 15 minutes and 10 seconds before The 6:ZH Club's 06:15 run (05:15 UTC).
+  jest.setSystemTime(new Date('2025-03-11T04:59:50Z'));
+  const sent = [];
+  global.Notification = class { constructor(title) { sent.push(title); } };
+  global.Notification.permission = 'granted';
+  window.localStorage.setItem('favorites', JSON.stringify({ version: 1, clubs: [], sessions: ['the-6-zh-club_tuesday_0615'], reminder_min: 15 }));
+  window.history.replaceState(null, '', '/?view=myweek&tz=viewer');
+  await renderApp();
+  act(() => { jest.advanceTimersByTime(30 * 1000); });
+  expect(sent).toEqual(['The 6:ZH Club at 05:15']);
+  jest.useRealTimers();
+  delete global.Notification;
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('keeps starred sessions of other cities in My week and their reminders', async () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2025-03-11T04:59:50Z'));
+  const sent = [];
+  global.Notification = class { constructor(title) { sent.push(title); } };
+  global.Notification.permission = 'granted';
+  window.localStorage.setItem('favorites', JSON.stringify({ version: 1, clubs: [], sessions: [], reminder_min: 15 }));
+  window.history.replaceState(null, '', '/?city=zurich&view=list&tz=viewer');
+  await renderApp();
+  fireEvent.click(screen.getByRole('button', { name: /^Star The 6:ZH Club, Tue/ }));
+  fireEvent.change(screen.getByLabelText('City'), { target: { value: 'bern' } });
+  expect(await screen.findByRole('tablist')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'Bern Running – Community Runs' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('tab', { name: 'My week' }));
+  expect(await screen.findByRole('button', { name: /^Star The 6:ZH Club, Tue/ })).toHaveAttribute('aria-pressed', 'true');
+  act(() => { jest.advanceTimersByTime(30 * 1000); });
+  expect(sent).toEqual(['The 6:ZH Club at 05:15']);
+  jest.useRealTimers();
+  delete global.Notification;
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('moves between the view tabs with the arrow keys', async () => {
+  await renderApp();
+  const list = screen.getByRole('tab', { name: 'List' });
+  expect(list).toHaveAttribute('tabindex', '0');
+  expect(screen.getByRole('tab', { name: 'Races' })).toHaveAttribute('tabindex', '-1');
+  expect(screen.getByRole('tabpanel', { name: 'List' })).toBeInTheDocument();
+  fireEvent.keyDown(list, { key: 'ArrowRight' });
+  expect(screen.getByRole('tab', { name: 'Calendar' })).toHaveAttribute('aria-selected', 'true');
+  expect(screen.getByRole('tab', { name: 'Calendar' })).toHaveFocus();
+  fireEvent.keyDown(screen.getByRole('tab', { name: 'Calendar' }), { key: 'End' });
+  expect(window.location.search).toBe('?view=myweek');
+  fireEvent.keyDown(screen.getByRole('tab', { name: 'My week' }), { key: 'ArrowRight' });
+  expect(screen.getByRole('tab', { name: 'List' })).toHaveFocus();
+  expect(window.location.search).toBe('');
+  window.history.replaceState(null, '', '/');
+});
+
+test('walks the month grid by keyboard and reads out each day', async () => {
+  window.history.replaceState(null, '', '/?view=calendar&date=2025-03-12');
+  await renderApp();
+  expect(screen.getByRole('grid', { name: 'March 2025' })).toBeInTheDocument();
+  const cell = screen.getByRole('gridcell', { name: /^Wednesday, March 12: / });
+  expect(cell).toHaveAttribute('tabindex', '0');
+  expect(cell.getAttribute('aria-label')).toMatch(/\d+ sessions?\. /);
+  fireEvent.keyDown(cell, { key: 'ArrowDown' });
+  const next = screen.getByRole('gridcell', { name: /^Wednesday, March 19: / });
+  expect(next).toHaveFocus();
+  fireEvent.keyDown(next, { key: 'PageDown' });
+  expect(screen.getByRole('grid', { name: 'April 2025' })).toBeInTheDocument();
+  const april = screen.getByRole('gridcell', { name: /^Saturday, April 19: / });
+  expect(april).toHaveFocus();
+  fireEvent.keyDown(april, { key: 'Enter' });
+  expect(window.location.search).toBe('?view=calendar&cal=agenda&date=2025-04-19');
+  window.history.replaceState(null, '', '/');
+});
+
+test('names the distance slider thumbs', async () => {
+  await renderApp();
+  const range = screen.getByRole('group', { name: /^Distance:/ });
+  expect(range).toContainElement(screen.getByRole('slider', { name: 'Minimum distance' }));
+  expect(screen.getByRole('slider', { name: 'Maximum distance' }).getAttribute('aria-valuetext')).toMatch(/^[\d.]+ km$/);
+});
+
+test.each([
+  '/', '/?view=calendar&date=2025-03-12', '/?view=calendar&cal=week&date=2025-03-12',
+  '/?view=calendar&cal=agenda&date=2025-03-12', '/?view=races', '/?view=stats', '/?view=myweek', '/clubs', '/clubs/zurirannt', '/submit'
+])('has no axe violations on %s', async url => {
+  window.history.replaceState(null, '', url);
+  const { container } = await renderApp();
+  expect(await axe(container)).toHaveNoViolations();
+  window.history.replaceState(null, '', '/');
+}, 20000);
+
+test('shows the forecast for each next run and hides rainy runs', async () => {
+  await renderApp();
+  const rain = () => screen.queryAllByText(/% chance of rain/).map(el => Number(/(\d+) % chance of rain/.exec(el.textContent)[1]));
+  expect(rain().length).toBeGreaterThan(0);
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Hide rainy runs' }));
+  expect(window.location.search).toBe('?dry=true');
+  rain().forEach(pct => expect(pct).toBeLessThan(50));
+  fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+  expect(window.location.search).toBe('');
+  window.history.replaceState(null, '', '/');
 });
@@ -0,0 +1,198 @@
+import { useEffect, useMemo, useState } from "react";
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from "react-leaflet";
+import { WEEKDAYS, RECURRENCES } from "./lib/schema";
+import { submissionToEvent, findDuplicates } from "./lib/submissions";
+import { SWITZERLAND, cityName } from "./lib/cities";
+import { useI18n } from "./i18n";
+
+// Public "Submit a run" form (served at /submit). Submissions are stored as pending by
+// scripts/api-server.mjs and only show up in the app once a moderator approves them in /admin.
+
+const EMPTY = {
+  club: "", city: "", recurrence: "weekly", weekday: "", date: "", valid_from: "", month_weeks: [], start_time: "", duration_min: "",
+  location_name: "", meeting_point_note: "", lat: "", lon: "",
+  pace_groups_min_per_km: "", distances_km: "", language: "", source_url: "", instagram_url: "",
+  contact: "", note: ""
+};
+
+const inputStyle = { height: 30, fontSize: 14, padding: "2px 6px" };
+// Weeks of the month a monthly run can be on, -1 being the last.
+const MONTH_WEEKS = [1, 2, 3, 4, 5, -1];
+
+export default function SubmitPage({ apiUrl, tileUrl, events, cities = [], city = "" }) {
+  const { t, has, locale, weekdayLabel, list } = useI18n();
+  const [form, setForm] = useState({ ...EMPTY, city });
+  const [issues, setIssues] = useState([]);
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(null); // { id, duplicates } once accepted
+  const set = name => e => setForm(prev => ({ ...prev, [name]: e.target.value }));
+  const toggleWeek = week => setForm(prev => ({
+    ...prev,
+    month_weeks: prev.month_weeks.includes(week) ? prev.month_weeks.filter(w => w !== week) : MONTH_WEEKS.filter(w => w === week || prev.month_weeks.includes(w))
+  }));
+
+  // Warn about likely duplicates while the form is filled in; the server checks again on submit.
+  const duplicates = useMemo(() => {
+    if (!form.club || !form.start_time) return [];
+    const { record } = submissionToEvent(form);
+    return findDuplicates(record, events.filter(e => e.active !== false));
+  }, [form, events]);
+
+  const submit = async e => {
+    e.preventDefault();
+    setError("");
+    try {
+      const res = await fetch(`${apiUrl}/api/submissions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        // Weeks picked before switching away from "monthly" would still be stored with the run.
+        body: JSON.stringify({ ...form, month_weeks: form.recurrence === "monthly" ? form.month_weeks : [] })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) { setSent(data); return; }
+      setIssues(data.issues || []);
+      setError(res.status === 422 ? t("submit.fixFields") : t("submit.failed", { status: res.status }));
+    } catch {
+      setError(t("submit.unreachable"));
+    }
+  };
+
+  if (sent) {
+    return (
+      <div role="status">
+        <h2>{t("submit.thanks")}</h2>
+        <p>{t("submit.pending")}</p>
+        {sent.duplicates.length > 0 && (
+          <p style={{ color: "#92400e" }}>{t("submit.similar", { clubs: list(sent.duplicates.map(d => d.club)) })}</p>
+        )}
+        <button onClick={() => { setForm({ ...EMPTY, city }); setIssues([]); setSent(null); }}>{t("submit.another")}</button>
+      </div>
+    );
+  }
+
+  // The schema's messages are English; the form words them per field instead.
+  const problem = name => {
+    const found = issues.filter(i => i.field === name);
+    if (found.length === 0) return "";
+    if (found.some(i => i.message === "is required")) return t("submit.required");
+    return has(`submit.invalid.${name}`) ? t(`submit.invalid.${name}`) : t("submit.invalid");
+  };
+  const field = (name, label, props = {}) => (
+    <label style={{ display: "grid", gap: 4, fontSize: 14 }}>
+      {label}
+      <input value={form[name]} onChange={set(name)} style={inputStyle} aria-invalid={problem(name) ? true : undefined} {...props} />
+      {problem(name) && <span style={{ color: "#b91c1c", fontSize: 12 }}>{problem(name)}</span>}
+    </label>
+  );
+  const pin = form.lat !== "" && form.lon !== "" ? [Number(form.lat), Number(form.lon)] : null;
+  const placePin = ({ lat, lng }) => setForm(prev => ({ ...prev, lat: lat.toFixed(6), lon: lng.toFixed(6) }));
+  // The map shows the chosen city, or the whole country when the pin decides the city.
+  const area = cities.find(c => c.slug === form.city) || SWITZERLAND;
+
+  return (
+    <form onSubmit={submit} style={{ display: "grid", gap: 16 }}>
+      <div>
+        <h2 style={{ margin: 0 }}>{t("submit.title")}</h2>
+        <p style={{ color: "#555", margin: "4px 0 0" }}>{t("submit.intro")}</p>
+      </div>
+
+      <fieldset style={{ display: "grid", gap: 10, gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", border: "none", padding: 0, margin: 0 }}>
+        {field("club", t("submit.club"), { required: true })}
+        <label style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          {t("submit.city")}
+          <select value={form.city} onChange={set("city")} style={inputStyle}>
+            <option value="">{t("submit.cityFromPin")}</option>
+            {cities.map(c => <option key={c.slug} value={c.slug}>{cityName(c, locale)}</option>)}
+          </select>
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          {t("submit.repeats")}
+          <select value={form.recurrence} onChange={set("recurrence")} style={inputStyle}>
+            {RECURRENCES.map(r => <option key={r} value={r}>{t(`recurrence.${r}`)}</option>)}
+          </select>
+        </label>
+        {form.recurrence === "once" ? field("date", t("submit.date"), { type: "date", required: true }) : (
+          <label style={{ display: "grid", gap: 4, fontSize: 14 }}>
+            {t("submit.weekday")}
+            <select value={form.weekday} onChange={set("weekday")} style={inputStyle} required>
+              <option value="">—</option>
+              {WEEKDAYS.map(w => <option key={w} value={w}>{weekdayLabel(w)}</option>)}
+            </select>
+            {problem("weekday") && <span style={{ color: "#b91c1c", fontSize: 12 }}>{problem("weekday")}</span>}
+          </label>
+        )}
+        {/* Every other week is counted from the first run; monthly runs need their weeks. */}
+        {form.recurrence === "biweekly" && field("valid_from", t("submit.firstRun"), { type: "date", required: true })}
+        {form.recurrence === "monthly" && (
+          <fieldset style={{ display: "grid", gap: 4, fontSize: 14, border: "none", padding: 0, margin: 0 }}>
+            <legend style={{ padding: 0, marginBottom: 4 }}>{t("submit.monthWeeks")}</legend>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              {MONTH_WEEKS.map(w => (
+                <label key={w} style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                  <input type="checkbox" checked={form.month_weeks.includes(w)} onChange={() => toggleWeek(w)} />
+                  {t(`ordinal.${w}`)}
+                </label>
+              ))}
+            </div>
+            {problem("month_weeks") && <span style={{ color: "#b91c1c", fontSize: 12 }}>{problem("month_weeks")}</span>}
+          </fieldset>
+        )}
+        {field("start_time", t("submit.startTime"), { type: "time", required: true })}
+        {field("duration_min", t("submit.duration"), { type: "number", min: 1 })}
+        {field("distances_km", t("submit.distances"), { placeholder: "5;8" })}
+        {field("pace_groups_min_per_km", t("submit.paces"), { placeholder: "5:30;6:00" })}
+        {field("language", t("submit.language"), { placeholder: "de, en" })}
+      </fieldset>
+
+      <fieldset style={{ display: "grid", gap: 10, border: "none", padding: 0, margin: 0 }}>
+        <div style={{ display: "grid", gap: 10, gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))" }}>
+          {field("location_name", t("submit.meetingPoint"))}
+          {field("meeting_point_note", t("submit.meetingNote"))}
+        </div>
+        <div style={{ fontSize: 14 }}>
+          {t("submit.pinHelp")}{" "}
+          {pin ? <span>{t("submit.pin", { lat: form.lat, lon: form.lon })}</span> : <span style={{ color: "#777" }}>{t("submit.noPin")}</span>}
+          {(problem("lat") || problem("lon")) && <span style={{ color: "#b91c1c" }}> {problem("lat") || problem("lon")}</span>}
+        </div>
+        <div style={{ height: 320, borderRadius: 12, overflow: "hidden", border: "1px solid #e5e7eb" }}>
+          <MapContainer center={pin || [area.lat, area.lon]} zoom={area.zoom} style={{ height: "100%", width: "100%" }}>
+            <TileLayer
+              attribution='&copy; OpenStreetMap contributors'
+              url={tileUrl}
+            />
+            <PinPicker pin={pin} onPlace={placePin} />
+            {!pin && <Recenter area={area} />}
+          </MapContainer>
+        </div>
+      </fieldset>
+
+      <fieldset style={{ display: "grid", gap: 10, gridTemplateColumns: "repeat(auto-fill, minmax(240px, 1fr))", border: "none", padding: 0, margin: 0 }}>
+        {field("source_url", t("submit.website"), { type: "url", placeholder: "https://" })}
+        {field("instagram_url", t("submit.instagram"), { type: "url", placeholder: "https://www.instagram.com/…" })}
+        {field("contact", t("submit.contact"), { type: "email" })}
+        {field("note", t("submit.note"))}
+      </fieldset>
+
+      {duplicates.length > 0 && (
+        <div style={{ color: "#92400e", background: "#fffbeb", border: "1px solid #fde68a", borderRadius: 8, padding: 10, fontSize: 14 }}>
+          {t("submit.duplicates", { list: duplicates.map(d => `${d.club} (${t(`submit.duplicate.${d.reason}`, { m: d.distance_m })})`).join("; ") })}
+        </div>
+      )}
+      {error && <div role="alert" style={{ color: "#b91c1c" }}>{error}</div>}
+      <div><button type="submit">{t("submit.send")}</button></div>
+    </form>
+  );
+}
+
+// Follows the city select until a pin is placed.
+function Recenter({ area }) {
+  const map = useMap();
+  useEffect(() => { map.setView([area.lat, area.lon], area.zoom); }, [area, map]);
+  return null;
+}
+
+function PinPicker({ pin, onPlace }) {
+  useMapEvents({ click: e => onPlace(e.latlng) });
+  if (!pin) return null;
+  return <Marker position={pin} draggable eventHandlers={{ dragend: e => onPlace(e.target.getLatLng()) }} />;
+}
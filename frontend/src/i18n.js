@@ -0,0 +1,116 @@
+import { createContext, createElement, Fragment, useContext } from "react";
+import { WEEKDAYS } from "./lib/schema";
+import { dateFromYmd } from "./lib/time";
+import en from "./locales/en.json";
+import de from "./locales/de.json";
+import fr from "./locales/fr.json";
+import it from "./locales/it.json";
+
+// UI languages. Messages live in src/locales/<locale>.json; keys missing from a locale fall
+// back to English. A message is either a string with {placeholders} or, for counts, an object
+// of Intl.PluralRules categories ({ "one": …, "other": … }) selected by the `n` variable.
+export const LOCALES = ["en", "de", "fr", "it"];
+export const LOCALE_NAMES = { en: "English", de: "Deutsch", fr: "Français", it: "Italiano" };
+const MESSAGES = { en, de, fr, it };
+
+// Dates and weekdays use the Swiss variants of each language ("Mo., 10. März", "lun. 10 mars").
+const INTL_LOCALES = { en: "en", de: "de-CH", fr: "fr-CH", it: "it-CH" };
+
+const STORAGE_KEY = "locale";
+
+// The saved choice, else the browser's first supported language, else English.
+export function detectLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES.includes(saved)) return saved;
+  } catch {
+    // storage disabled
+  }
+  const preferred = (navigator.languages || [navigator.language || ""]).map(l => l.slice(0, 2).toLowerCase());
+  return preferred.find(l => LOCALES.includes(l)) || "en";
+}
+
+export function saveLocale(locale) {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // storage disabled: the choice still lives in the URL
+  }
+}
+
+// 2024-01-01 was a Monday; weekday names are formatted from that week.
+const MONDAY = "2024-01-01";
+
+function capitalizeFirst(s) { return s ? s[0].toLocaleUpperCase() + s.slice(1) : s; }
+
+/**
+ * Translation and formatting helpers for one locale:
+ *   t(key, vars)              message with {placeholders}; vars may be React nodes
+ *   weekday(name, width)      "monday" -> "Montag" / "lundi" ("long" | "short")
+ *   weekdayLabel(name, width) the same, capitalized for use on its own
+ *   month(n, width)           1 -> "Jan" / "janv."
+ *   day(ymd, opts)            a "YYYY-MM-DD" date with Intl.DateTimeFormat options
+ *   list(items)               "a, b and c"
+ *   languageName(code)        "de" -> "German" / "Deutsch"
+ *   has(key)                  whether a message exists (e.g. for open-ended values like race types)
+ */
+export function createI18n(locale) {
+  const messages = MESSAGES[locale] || en;
+  const intlLocale = INTL_LOCALES[locale] || "en";
+  const plurals = new Intl.PluralRules(intlLocale);
+  const dateFormats = new Map();
+  const formatDate = (date, opts) => {
+    const key = JSON.stringify(opts);
+    if (!dateFormats.has(key)) dateFormats.set(key, new Intl.DateTimeFormat(intlLocale, { ...opts, timeZone: "UTC" }));
+    return dateFormats.get(key).format(date);
+  };
+  let languageNames = null;
+  try {
+    languageNames = new Intl.DisplayNames([intlLocale], { type: "language" });
+  } catch {
+    // older browsers: codes are shown as-is
+  }
+
+  function t(key, vars = {}) {
+    let msg = messages[key] ?? en[key] ?? key;
+    if (typeof msg === "object") msg = msg[plurals.select(vars.n ?? 0)] ?? msg.other;
+    const parts = msg.split(/\{(\w+)\}/);
+    if (parts.length === 1) return msg;
+    const filled = parts.map((p, i) => (i % 2 === 1 ? vars[p] ?? `{${p}}` : p));
+    // Plain values give a string; React elements (e.g. a <strong> count) give renderable parts.
+    return filled.every(p => typeof p !== "object") ? filled.join("") : filled.map((p, i) => createElement(Fragment, { key: i }, p));
+  }
+
+  const languageName = code => {
+    try {
+      return capitalizeFirst(languageNames?.of(code) || code.toUpperCase());
+    } catch {
+      return code.toUpperCase(); // not a language code
+    }
+  };
+
+  const weekday = (name, width = "long") => {
+    const i = WEEKDAYS.indexOf(name);
+    if (i === -1) return name || "";
+    const d = dateFromYmd(MONDAY);
+    d.setUTCDate(d.getUTCDate() + i);
+    return formatDate(d, { weekday: width });
+  };
+
+  return {
+    locale,
+    t,
+    weekday,
+    weekdayLabel: (name, width) => capitalizeFirst(weekday(name, width)),
+    month: (n, width = "short") => formatDate(new Date(Date.UTC(2024, n - 1, 1)), { month: width }),
+    day: (ymd, opts) => formatDate(dateFromYmd(ymd), opts),
+    list: items => (Intl.ListFormat ? new Intl.ListFormat(intlLocale, { type: "conjunction" }).format(items) : items.join(", ")),
+    languageName,
+    has: key => key in messages || key in en,
+    capitalize: capitalizeFirst
+  };
+}
+
+export const I18nContext = createContext(createI18n("en"));
+
+export function useI18n() { return useContext(I18nContext); }
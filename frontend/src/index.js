@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,6 +12,11 @@ root.render(
   </React.StrictMode>
 );
 
+// Cache the app, its data and viewed map tiles for offline use; App shows the update prompt.
+serviceWorkerRegistration.register({
+  onUpdate: registration => window.dispatchEvent(new CustomEvent('swupdate', { detail: registration }))
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
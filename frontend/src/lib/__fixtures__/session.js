@@ -0,0 +1,6 @@
+// Sessions for the lib tests: a normalized Tuesday 18:30 run of "Club", with `fields` on top.
+import { normalizeEvent } from "../schema.js";
+
+export function session(id, fields = {}) {
+  return normalizeEvent({ id, club: "Club", club_slug: "club", weekday: "tuesday", start_time: "18:30", ...fields }).record;
+}
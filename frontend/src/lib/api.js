@@ -0,0 +1,291 @@
+// HTTP API over the datasets, independent of the transport.
+//
+// `createApi({ store, adminPassword }).handle({ method, url, headers, body })` resolves to
+// `{ status, headers, body }`; scripts/api-server.mjs adapts it to node:http and supplies file
+// storage, the tests use an in-memory store. A store implements
+//   read(name) -> records       name is "events" | "races" | "clubs" | "cities" | "submissions"
+//   write(name, records)
+//   appendAudit(entry) / readAudit() -> entries, oldest first
+//
+// Public, read-only:
+//   GET /api/events   ?city&q&club&day&hour&language&dmin&dmax  active sessions (city: a cities.json slug)
+//   GET /api/races    ?q&from&to&type&canton&rdmin&rdmax&emin&emax
+//   GET /api/clubs    ?q
+//   POST /api/submissions                  propose a session; stored as pending for moderation
+// Admin, HTTP Basic auth with the admin password (any user name):
+//   GET  /api/admin/session                 200 when the credentials are valid
+//   GET  /api/admin/events                  all sessions, including inactive ones
+//   POST /api/admin/events                  create a session (id derived when missing)
+//   PUT  /api/admin/events/:id              update fields; `{ "active": false }` deactivates
+//   GET  /api/admin/audit?limit             newest entries first
+//   GET  /api/admin/submissions?status      newest first (default: pending), with duplicates
+//   PUT  /api/admin/submissions/:id         edit the proposed session of a pending submission
+//   POST /api/admin/submissions/:id/approve publish it as a session
+//   POST /api/admin/submissions/:id/merge   publish it under an existing club: `{ "club_slug": … }`
+//   POST /api/admin/submissions/:id/reject  `{ "reason": … }`
+// Query parameters use the same names as the app's URL state, so a link's filters can be forwarded as-is.
+import { normalizeEvent, hasErrors, WEEKDAYS } from "./schema.js";
+import { sessionMatches, compareSessions, raceMatches, compareRaces } from "./filters.js";
+import { searchRecords, sessionSearchFields, raceSearchFields, clubSearchFields } from "./search.js";
+import { sessionId } from "./importer.js";
+import { SWITZERLAND, sessionCity } from "./cities.js";
+import { SUBMISSION_STATUSES, submissionToEvent, findDuplicates, mergeIntoClub } from "./submissions.js";
+
+const MAX_NOTE_LENGTH = 1000;
+const JSON_HEADERS = { "Content-Type": "application/json; charset=utf-8" };
+
+function json(status, body) {
+  return { status, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/* ---------- Query parsing ---------- */
+function numberParam(params, name) {
+  const raw = params.get(name);
+  if (raw == null || raw === "") return undefined;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw new HttpError(400, `${name} must be a number`);
+  return n;
+}
+
+function dateParam(params, name) {
+  const raw = params.get(name);
+  if (!raw) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) throw new HttpError(400, `${name} must be YYYY-MM-DD`);
+  return raw;
+}
+
+function sessionCriteria(params) {
+  const weekday = (params.get("day") || "").toLowerCase();
+  if (weekday && !WEEKDAYS.includes(weekday)) throw new HttpError(400, `day must be one of ${WEEKDAYS.join(", ")}`);
+  const hour = params.get("hour") || "";
+  if (hour && !/^\d{1,2}$/.test(hour)) throw new HttpError(400, "hour must be 0-23");
+  const language = (params.get("language") || "").toLowerCase();
+  return { club: params.get("club") || "", weekday, hour, language, distMin: numberParam(params, "dmin"), distMax: numberParam(params, "dmax") };
+}
+
+function raceCriteria(params) {
+  return {
+    from: dateParam(params, "from"), to: dateParam(params, "to"),
+    type: (params.get("type") || "").toLowerCase(), canton: (params.get("canton") || "").toUpperCase(),
+    distMin: numberParam(params, "rdmin"), distMax: numberParam(params, "rdmax"),
+    elevMin: numberParam(params, "emin"), elevMax: numberParam(params, "emax")
+  };
+}
+
+/* ---------- Auth ---------- */
+// Compares every character so the time taken does not reveal how much of the password matched.
+function safeEqual(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+function checkAdmin(headers, adminPassword) {
+  if (!adminPassword) throw new HttpError(503, "admin is disabled: set ADMIN_PASSWORD");
+  const m = /^Basic\s+(.+)$/i.exec(headers.authorization || "");
+  let password = "";
+  try {
+    password = m ? atob(m[1]).split(":").slice(1).join(":") : "";
+  } catch {
+    password = "";
+  }
+  if (!safeEqual(password, adminPassword)) throw new HttpError(401, "wrong or missing admin password");
+}
+
+/* ---------- Audit ---------- */
+function diffFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+  return Array.from(fields)
+    .filter(f => JSON.stringify(before?.[f] ?? null) !== JSON.stringify(after[f] ?? null))
+    .map(f => ({ field: f, from: before?.[f] ?? null, to: after[f] ?? null }));
+}
+
+function auditAction(changes) {
+  if (changes.length === 1 && changes[0].field === "active") return changes[0].to ? "reactivate" : "deactivate";
+  return "update";
+}
+
+/* ---------- Handlers ---------- */
+function parseBody(body) {
+  if (body == null || body === "") return {};
+  try {
+    const value = typeof body === "string" ? JSON.parse(body) : body;
+    if (value && typeof value === "object" && !Array.isArray(value)) return value;
+  } catch {
+    // fall through
+  }
+  throw new HttpError(400, "body must be a JSON object");
+}
+
+function validated({ record, issues }) {
+  if (hasErrors(issues)) throw new HttpError(422, "invalid session", issues.filter(i => i.level === "error"));
+  return record;
+}
+
+function noteText(v) {
+  return String(v ?? "").trim().slice(0, MAX_NOTE_LENGTH);
+}
+
+export function createApi({ store, adminPassword, now = () => new Date() }) {
+  async function audit(action, id, changes, entity = "event") {
+    await store.appendAudit({ at: now().toISOString(), actor: "admin", action, entity, id, changes });
+  }
+
+  async function createEvent(record) {
+    const events = await store.read("events");
+    if (events.some(e => e.id === record.id)) throw new HttpError(409, `a session with id "${record.id}" already exists`);
+    await store.write("events", [...events, record]);
+    await audit("create", record.id, diffFields(null, record));
+    return record;
+  }
+
+  // Pending submissions are compared with the published sessions and with each other.
+  async function withDuplicates(submissions) {
+    const active = (await store.read("events")).filter(e => e.active !== false);
+    const pending = submissions.filter(s => s.status === "pending");
+    return submissions.map(s => s.status !== "pending" ? s : {
+      ...s,
+      duplicates: [
+        ...findDuplicates(s.event, active),
+        ...findDuplicates(s.event, pending.filter(p => p !== s).map(p => ({ ...p.event, id: p.id })))
+          .map(d => ({ ...d, pending: true }))
+      ]
+    });
+  }
+
+  async function reviewSubmission(id, update) {
+    const submissions = await store.read("submissions");
+    const idx = submissions.findIndex(s => s.id === id);
+    if (idx === -1) throw new HttpError(404, `no submission with id "${id}"`);
+    if (submissions[idx].status !== "pending") throw new HttpError(409, `submission "${id}" was already ${submissions[idx].status}`);
+    const { status, event, ...fields } = await update(submissions[idx]);
+    const next = { ...submissions[idx], ...fields, ...(event ? { event } : {}), ...(status ? { status, reviewed_at: now().toISOString() } : {}) };
+    await store.write("submissions", submissions.map((s, i) => (i === idx ? next : s)));
+    if (status) {
+      const action = { approved: "approve", merged: "merge", rejected: "reject" }[status];
+      await audit(action, id, [{ field: "status", from: "pending", to: status }], "submission");
+    }
+    return next;
+  }
+
+  const routes = [
+    ["GET", /^\/api\/events$/, async ({ params }) => {
+      const criteria = sessionCriteria(params);
+      const city = (params.get("city") || "").toLowerCase();
+      const cities = city && city !== SWITZERLAND.slug ? await store.read("cities") : [];
+      if (cities.length && !cities.some(c => c.slug === city)) throw new HttpError(400, `city must be one of ${[SWITZERLAND.slug, ...cities.map(c => c.slug)].join(", ")}`);
+      const events = await store.read("events");
+      const matching = events
+        .filter(e => e.active !== false && (!cities.length || sessionCity(e, cities) === city) && sessionMatches(e, criteria))
+        .sort(compareSessions);
+      return json(200, searchRecords(matching, params.get("q") || "", sessionSearchFields));
+    }],
+    ["GET", /^\/api\/races$/, async ({ params }) => {
+      const criteria = raceCriteria(params);
+      const matching = (await store.read("races")).filter(r => raceMatches(r, criteria)).sort(compareRaces);
+      return json(200, searchRecords(matching, params.get("q") || "", raceSearchFields));
+    }],
+    ["GET", /^\/api\/clubs$/, async ({ params }) => {
+      return json(200, searchRecords(await store.read("clubs"), params.get("q") || "", clubSearchFields));
+    }],
+    ["GET", /^\/api\/admin\/session$/, async () => json(200, { ok: true }), { admin: true }],
+    ["GET", /^\/api\/admin\/events$/, async () => json(200, (await store.read("events")).sort(compareSessions)), { admin: true }],
+    ["POST", /^\/api\/submissions$/, async ({ body }) => {
+      const raw = parseBody(body);
+      const event = validated(submissionToEvent(raw));
+      const submissions = await store.read("submissions");
+      const taken = new Set(submissions.map(s => s.id));
+      let id = `sub_${now().getTime().toString(36)}`;
+      for (let n = 2; taken.has(id); n++) id = `sub_${now().getTime().toString(36)}_${n}`;
+      const submission = { id, status: "pending", submitted_at: now().toISOString(), contact: noteText(raw.contact), note: noteText(raw.note), event };
+      await store.write("submissions", [...submissions, submission]);
+      const [{ duplicates }] = await withDuplicates([submission]);
+      return json(201, { id, status: "pending", duplicates });
+    }],
+    ["POST", /^\/api\/admin\/events$/, async ({ body }) => {
+      const raw = parseBody(body);
+      if (!raw.id && raw.club_slug && raw.start_time) {
+        const { record } = normalizeEvent(raw);
+        raw.id = sessionId(record.club_slug, record.recurrence === "once" && record.date ? record.date : record.weekday, record.start_time);
+      }
+      return json(201, await createEvent(validated(normalizeEvent(raw))));
+    }, { admin: true }],
+    ["PUT", /^\/api\/admin\/events\/([^/]+)$/, async ({ body, match }) => {
+      const id = decodeURIComponent(match[1]);
+      const patch = parseBody(body);
+      if (patch.id != null && patch.id !== id) throw new HttpError(400, "the id of a session cannot be changed");
+      const events = await store.read("events");
+      const idx = events.findIndex(e => e.id === id);
+      if (idx === -1) throw new HttpError(404, `no session with id "${id}"`);
+      const record = validated(normalizeEvent({ ...events[idx], ...patch, id }));
+      const changes = diffFields(events[idx], record);
+      if (changes.length === 0) return json(200, record);
+      await store.write("events", events.map((e, i) => (i === idx ? record : e)));
+      await audit(auditAction(changes), id, changes);
+      return json(200, record);
+    }, { admin: true }],
+    ["GET", /^\/api\/admin\/audit$/, async ({ params }) => {
+      const limit = numberParam(params, "limit") ?? 100;
+      return json(200, (await store.readAudit()).slice(-limit).reverse());
+    }, { admin: true }],
+    ["GET", /^\/api\/admin\/submissions$/, async ({ params }) => {
+      const status = params.get("status") || "pending";
+      if (status !== "all" && !SUBMISSION_STATUSES.includes(status)) throw new HttpError(400, `status must be all or one of ${SUBMISSION_STATUSES.join(", ")}`);
+      const submissions = await withDuplicates(await store.read("submissions"));
+      return json(200, submissions.filter(s => status === "all" || s.status === status).reverse());
+    }, { admin: true }],
+    ["PUT", /^\/api\/admin\/submissions\/([^/]+)$/, async ({ body, match }) => {
+      const patch = parseBody(body);
+      const next = await reviewSubmission(decodeURIComponent(match[1]), s => ({ event: validated(submissionToEvent({ ...s.event, ...patch })) }));
+      return json(200, (await withDuplicates([next]))[0]);
+    }, { admin: true }],
+    ["POST", /^\/api\/admin\/submissions\/([^/]+)\/approve$/, async ({ match }) => {
+      return json(200, await reviewSubmission(decodeURIComponent(match[1]), async s => {
+        const record = await createEvent(s.event);
+        return { status: "approved", event_id: record.id };
+      }));
+    }, { admin: true }],
+    ["POST", /^\/api\/admin\/submissions\/([^/]+)\/merge$/, async ({ body, match }) => {
+      const { club_slug: slug } = parseBody(body);
+      const clubs = await store.read("clubs");
+      // Clubs without a profile yet are still known by their sessions.
+      const club = clubs.find(c => c.slug === slug)
+        || (await store.read("events")).filter(e => e.club_slug === slug).map(e => ({ slug, name: e.club, instagram_url: e.instagram_url }))[0];
+      if (!club) throw new HttpError(400, `unknown club "${slug}"`);
+      return json(200, await reviewSubmission(decodeURIComponent(match[1]), async s => {
+        const record = await createEvent(validated(mergeIntoClub(s.event, club)));
+        return { status: "merged", event: record, event_id: record.id };
+      }));
+    }, { admin: true }],
+    ["POST", /^\/api\/admin\/submissions\/([^/]+)\/reject$/, async ({ body, match }) => {
+      const { reason } = parseBody(body);
+      return json(200, await reviewSubmission(decodeURIComponent(match[1]), () => ({ status: "rejected", review_note: noteText(reason) })));
+    }, { admin: true }]
+  ];
+
+  async function handle({ method = "GET", url = "/", headers = {}, body } = {}) {
+    const { pathname, searchParams } = new URL(url, "http://localhost");
+    try {
+      const known = routes.filter(([, pattern]) => pattern.test(pathname));
+      if (known.length === 0) throw new HttpError(404, "not found");
+      const route = known.find(([m]) => m === method);
+      if (!route) throw new HttpError(405, `use ${known.map(([m]) => m).join(" or ")}`);
+      const [, pattern, handler, options = {}] = route;
+      if (options.admin) checkAdmin(headers, adminPassword);
+      return await handler({ params: searchParams, body, match: pattern.exec(pathname) });
+    } catch (err) {
+      if (err instanceof HttpError) return json(err.status, { error: err.message, ...(err.details ? { issues: err.details } : {}) });
+      throw err;
+    }
+  }
+
+  return { handle };
+}
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+import { createApi } from "./api.js";
+import { session } from "./__fixtures__/session.js";
+
+function memoryStore() {
+  const data = {
+    events: [
+      session("club_tuesday_0615", { city: "zurich", start_time: "06:15", distances_km: [6] }),
+      session("club_thursday_1900", { weekday: "thursday", start_time: "19:00", distances_km: [10], language: "EN/DE", lat: 46.95, lon: 7.44 }),
+      session("old_monday_1800", { club_slug: "old", weekday: "monday", start_time: "18:00", distances_km: [6], active: false })
+    ],
+    races: [
+      { id: "a", name: "A", type: ["trail"], canton: "VS", start_date: "2025-09-19", end_date: "2025-09-20", distances_km: [42], elevation_gain_m: [2500] },
+      { id: "b", name: "B", type: ["run"], canton: "ZH", start_date: "2025-04-06", end_date: "2025-04-06", distances_km: [10], elevation_gain_m: [] }
+    ],
+    clubs: [
+      { slug: "club", name: "Club", description: "", instagram_url: "https://www.instagram.com/club/" },
+      { slug: "zurirannt", name: "Zürirännt", description: "Runs along the Limmat", instagram_url: "" }
+    ],
+    cities: [
+      { slug: "zurich", name: "Zurich", bounds: [47.32, 8.44, 47.44, 8.63] },
+      { slug: "bern", name: "Bern", bounds: [46.91, 7.37, 46.99, 7.5] }
+    ],
+    submissions: [],
+    audit: []
+  };
+  return {
+    data,
+    read: async name => data[name].map(r => ({ ...r })),
+    write: async (name, records) => { data[name] = records; },
+    appendAudit: async entry => { data.audit.push(entry); },
+    readAudit: async () => data.audit
+  };
+}
+
+const admin = { authorization: `Basic ${btoa("admin:secret")}` };
+const setup = () => {
+  const store = memoryStore();
+  const api = createApi({ store, adminPassword: "secret", now: () => new Date("2025-09-01T10:00:00Z") });
+  const call = async (method, url, { headers, body } = {}) => {
+    const res = await api.handle({ method, url, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: JSON.parse(res.body) };
+  };
+  return { store, call };
+};
+
+test("filters active sessions like the app", async () => {
+  const { call } = setup();
+  expect((await call("GET", "/api/events")).body.map(e => e.id)).toEqual(["club_tuesday_0615", "club_thursday_1900"]);
+  expect((await call("GET", "/api/events?day=thursday")).body.map(e => e.id)).toEqual(["club_thursday_1900"]);
+  expect((await call("GET", "/api/events?hour=6&dmax=8")).body.map(e => e.id)).toEqual(["club_tuesday_0615"]);
+  expect((await call("GET", "/api/events?language=de")).body.map(e => e.id)).toEqual(["club_tuesday_0615", "club_thursday_1900"]);
+  expect((await call("GET", "/api/events?language=fr")).body.map(e => e.id)).toEqual(["club_tuesday_0615"]);
+  expect((await call("GET", "/api/events?club=old")).body).toEqual([]);
+  expect((await call("GET", "/api/events?q=clubb&day=tuesday")).body.map(e => e.id)).toEqual(["club_tuesday_0615"]);
+  expect((await call("GET", "/api/events?dmin=abc")).status).toBe(400);
+});
+
+test("narrows sessions to a city, by its field or the meeting point", async () => {
+  const { call } = setup();
+  expect((await call("GET", "/api/events?city=zurich")).body.map(e => e.id)).toEqual(["club_tuesday_0615"]);
+  expect((await call("GET", "/api/events?city=Bern&hour=19")).body.map(e => e.id)).toEqual(["club_thursday_1900"]);
+  expect((await call("GET", "/api/events?city=switzerland")).body).toHaveLength(2);
+  const unknown = await call("GET", "/api/events?city=atlantis");
+  expect(unknown.status).toBe(400);
+  expect(unknown.body.error).toBe("city must be one of switzerland, zurich, bern");
+});
+
+test("filters races and clubs", async () => {
+  const { call } = setup();
+  expect((await call("GET", "/api/races")).body.map(r => r.id)).toEqual(["b", "a"]);
+  expect((await call("GET", "/api/races?from=2025-09-20&type=trail&emin=2000")).body.map(r => r.id)).toEqual(["a"]);
+  expect((await call("GET", "/api/races?canton=zh")).body.map(r => r.id)).toEqual(["b"]);
+  expect((await call("GET", "/api/races?q=trail")).body.map(r => r.id)).toEqual(["a"]);
+  expect((await call("GET", "/api/clubs")).body).toHaveLength(2);
+  expect((await call("GET", "/api/clubs?q=clu")).body.map(c => c.slug)).toEqual(["club"]);
+  expect((await call("GET", "/api/clubs?q=zurirannt")).body.map(c => c.slug)).toEqual(["zurirannt"]);
+  expect((await call("GET", "/api/clubs?q=limat")).body.map(c => c.slug)).toEqual(["zurirannt"]);
+  expect((await call("GET", "/api/nope")).status).toBe(404);
+});
+
+test("protects admin routes with the password", async () => {
+  const { call } = setup();
+  expect((await call("GET", "/api/admin/events")).status).toBe(401);
+  expect((await call("GET", "/api/admin/events", { headers: { authorization: `Basic ${btoa("admin:wrong")}` } })).status).toBe(401);
+  const all = await call("GET", "/api/admin/events", { headers: admin });
+  expect(all.body.map(e => e.id)).toContain("old_monday_1800");
+  const disabled = await createApi({ store: memoryStore(), adminPassword: "" }).handle({ url: "/api/admin/session", headers: admin });
+  expect(disabled.status).toBe(503);
+});
+
+test("creates, validates, edits and deactivates sessions with an audit trail", async () => {
+  const { store, call } = setup();
+  const created = await call("POST", "/api/admin/events", { headers: admin, body: { club: "New", club_slug: "new", weekday: "Friday", start_time: "7" } });
+  expect(created.status).toBe(201);
+  expect(created.body).toMatchObject({ id: "new_friday_0700", weekday: "friday", start_time: "07:00", active: true });
+  expect((await call("POST", "/api/admin/events", { headers: admin, body: { club: "New", club_slug: "new", weekday: "friday", start_time: "07:00" } })).status).toBe(409);
+
+  const invalid = await call("POST", "/api/admin/events", { headers: admin, body: { id: "x", club: "X", club_slug: "x", weekday: "funday", start_time: "07:00" } });
+  expect(invalid.status).toBe(422);
+  expect(invalid.body.issues.map(i => i.field)).toEqual(["weekday"]);
+
+  const edited = await call("PUT", "/api/admin/events/club_tuesday_0615", { headers: admin, body: { duration_min: 45 } });
+  expect(edited.body.duration_min).toBe(45);
+  await call("PUT", "/api/admin/events/club_tuesday_0615", { headers: admin, body: { active: false } });
+  expect((await call("GET", "/api/events")).body.map(e => e.id)).toEqual(["club_thursday_1900", "new_friday_0700"]);
+  expect((await call("PUT", "/api/admin/events/missing", { headers: admin, body: {} })).status).toBe(404);
+
+  const log = await call("GET", "/api/admin/audit", { headers: admin });
+  expect(log.body.map(e => `${e.action} ${e.id}`)).toEqual([
+    "deactivate club_tuesday_0615", "update club_tuesday_0615", "create new_friday_0700"
+  ]);
+  expect(log.body[1].changes).toEqual([{ field: "duration_min", from: null, to: 45 }]);
+  expect(store.data.audit[0].at).toBe("2025-09-01T10:00:00.000Z");
+});
+
+test("accepts biweekly and monthly submissions with their schedule", async () => {
+  const { store, call } = setup();
+  const proposal = { club: "Lake Runners", weekday: "tuesday", start_time: "06:15" };
+  const biweekly = { ...proposal, recurrence: "biweekly" };
+  expect((await call("POST", "/api/submissions", { body: biweekly })).body.issues.map(i => i.field)).toEqual(["valid_from"]);
+  expect((await call("POST", "/api/submissions", { body: { ...biweekly, valid_from: "2025-09-02" } })).status).toBe(201);
+  const monthly = { ...proposal, club: "Moon Runners", recurrence: "monthly" };
+  expect((await call("POST", "/api/submissions", { body: monthly })).body.issues.map(i => i.field)).toEqual(["month_weeks"]);
+  expect((await call("POST", "/api/submissions", { body: { ...monthly, month_weeks: [1, -1] } })).status).toBe(201);
+  expect(store.data.submissions.map(s => s.event)).toEqual([
+    expect.objectContaining({ recurrence: "biweekly", valid_from: "2025-09-02" }),
+    expect.objectContaining({ recurrence: "monthly", month_weeks: [1, -1] })
+  ]);
+});
+
+test("moderates community submissions", async () => {
+  const { store, call } = setup();
+  const proposal = { club: "Lake Runners", weekday: "tuesday", start_time: "06:15", lat: 47.3662, lon: 8.5412, distances_km: "5;8", contact: "me@example.com", active: false };
+  const submitted = await call("POST", "/api/submissions", { body: proposal });
+  expect(submitted.status).toBe(201);
+  expect(submitted.body.duplicates).toEqual([]);
+  expect(store.data.submissions[0].event).toMatchObject({ id: "lake-runners_tuesday_0615", club_slug: "lake-runners", distances_km: [5, 8], active: true });
+  expect((await call("POST", "/api/submissions", { body: { club: "X", weekday: "someday", start_time: "06:15" } })).status).toBe(422);
+  expect((await call("GET", "/api/admin/submissions")).status).toBe(401);
+
+  await call("POST", "/api/submissions", { body: { ...proposal, club: "Other", lat: 47.3665 } });
+  const queue = await call("GET", "/api/admin/submissions", { headers: admin });
+  expect(queue.body.map(s => s.event.club)).toEqual(["Other", "Lake Runners"]);
+  expect(queue.body[0].duplicates).toEqual([{ id: submitted.body.id, club: "Lake Runners", reason: "nearby", distance_m: 33, pending: true }]);
+
+  const [other, lake] = queue.body;
+  const edited = await call("PUT", `/api/admin/submissions/${other.id}`, { headers: admin, body: { start_time: "06:30" } });
+  expect(edited.body).toMatchObject({ event: { id: "other_tuesday_0630" }, duplicates: [] });
+  const merged = await call("POST", `/api/admin/submissions/${other.id}/merge`, { headers: admin, body: { club_slug: "club" } });
+  expect(merged.body).toMatchObject({ status: "merged", event_id: "club_tuesday_0630", event: { club: "Club", instagram_url: "https://www.instagram.com/club/" } });
+  expect((await call("POST", `/api/admin/submissions/${lake.id}/merge`, { headers: admin, body: { club_slug: "nope" } })).status).toBe(400);
+
+  await call("POST", `/api/admin/submissions/${lake.id}/reject`, { headers: admin, body: { reason: "same as an existing run" } });
+  expect((await call("POST", `/api/admin/submissions/${lake.id}/approve`, { headers: admin })).status).toBe(409);
+  expect((await call("GET", "/api/admin/submissions?status=rejected", { headers: admin })).body[0].review_note).toBe("same as an existing run");
+  expect((await call("GET", "/api/events?club=club")).body.map(e => e.id)).toContain("club_tuesday_0630");
+
+  const log = await call("GET", "/api/admin/audit", { headers: admin });
+  expect(log.body.map(e => `${e.entity} ${e.action}`)).toEqual(["submission reject", "submission merge", "event create"]);
+});
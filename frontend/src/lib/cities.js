@@ -0,0 +1,52 @@
+// Cities the app can be switched to (src/data/cities.json, see CITY_SCHEMA) and the
+// whole-Switzerland view that lists every session.
+//
+// A session belongs to the city in its `city` field, or, when that is empty, to the city whose
+// bounds contain its meeting point. scripts/normalize-data.mjs writes each city's sessions to
+// src/data/sessions/<slug>.normalized.json so the app only loads the city it shows.
+
+// Not a city: the view over all sessions, framed on the whole country.
+export const SWITZERLAND = {
+  slug: "switzerland", name: "Switzerland", name_de: "Schweiz", name_fr: "Suisse", name_it: "Svizzera",
+  canton: "", lat: 46.8182, lon: 8.2275, zoom: 8, bounds: [45.818, 5.956, 47.808, 10.492]
+};
+
+/** True when `point` ({ lat, lon }) lies within `bounds` ([south, west, north, east]). */
+export function inBounds(point, [south, west, north, east]) {
+  return point.lat != null && point.lon != null
+    && point.lat >= south && point.lat <= north && point.lon >= west && point.lon <= east;
+}
+
+/** Slug of the city a session belongs to, or null when it is in none of `cities`. */
+export function sessionCity(session, cities) {
+  if (session.city) return session.city;
+  return cities.find(c => inBounds(session, c.bounds))?.slug || null;
+}
+
+/** slug -> the sessions of each city (every city has an entry, possibly empty), in their original order. */
+export function sessionsByCity(sessions, cities) {
+  const out = new Map(cities.map(c => [c.slug, []]));
+  sessions.forEach(e => out.get(sessionCity(e, cities))?.push(e));
+  return out;
+}
+
+// Under src/data: sessions/<slug>.normalized.json for each city.
+export const CITY_DIR = "sessions";
+
+/**
+ * `[file, sessions]` for every city's session file (file relative to src/data), as written by
+ * scripts/normalize-data.mjs and by the API server after admin edits.
+ */
+export function cityFiles(sessions, cities) {
+  return Array.from(sessionsByCity(sessions, cities), ([slug, records]) => [`${CITY_DIR}/${slug}.normalized.json`, records]);
+}
+
+/** The city's name in `locale`, falling back to the English one. */
+export function cityName(city, locale) {
+  return city[`name_${locale}`] || city.name;
+}
+
+/** [[south, west], [north, east]], the corner pair Leaflet takes for bounds. */
+export function leafletBounds({ bounds: [south, west, north, east] }) {
+  return [[south, west], [north, east]];
+}
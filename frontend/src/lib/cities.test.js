@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+import cities from "../data/cities.normalized.json";
+import { SWITZERLAND, inBounds, sessionCity, sessionsByCity, cityFiles, cityName, leafletBounds } from "./cities.js";
+import { session } from "./__fixtures__/session.js";
+
+test("places sessions by their city field, else by the meeting point", () => {
+  expect(sessionCity(session("a", { city: "bern", lat: 47.37, lon: 8.54 }), cities)).toBe("bern");
+  expect(sessionCity(session("b", { lat: 46.2, lon: 6.15 }), cities)).toBe("geneva");
+  expect(sessionCity(session("c", { lat: 46.85, lon: 9.53 }), cities)).toBeNull();
+  expect(sessionCity(session("d"), cities)).toBeNull();
+});
+
+test("splits sessions per city, keeping cities without sessions", () => {
+  const byCity = sessionsByCity([
+    session("a", { city: "zurich" }), session("b", { lat: 47.56, lon: 7.59 }), session("c", { lat: 46.85, lon: 9.53 }), session("d", { city: "zurich" })
+  ], cities);
+  expect(Array.from(byCity.keys())).toEqual(cities.map(c => c.slug));
+  expect(byCity.get("zurich").map(e => e.id)).toEqual(["a", "d"]);
+  expect(byCity.get("basel").map(e => e.id)).toEqual(["b"]);
+  expect(byCity.get("lugano")).toEqual([]);
+  const files = new Map(cityFiles([session("a", { city: "zurich" })], cities));
+  expect(files.get("sessions/zurich.normalized.json").map(e => e.id)).toEqual(["a"]);
+  expect(files.get("sessions/bern.normalized.json")).toEqual([]);
+});
+
+test("frames every city within Switzerland and names it per language", () => {
+  cities.forEach(c => {
+    expect(inBounds(c, c.bounds)).toBe(true);
+    expect(inBounds(c, SWITZERLAND.bounds)).toBe(true);
+  });
+  const geneva = cities.find(c => c.slug === "geneva");
+  expect(cityName(geneva, "de")).toBe("Genf");
+  expect(cityName(geneva, "en")).toBe("Geneva");
+  expect(cityName(SWITZERLAND, "fr")).toBe("Suisse");
+  expect(leafletBounds(geneva)).toEqual([[46.16, 6.08], [46.25, 6.2]]);
+});
@@ -0,0 +1,72 @@
+// Starred clubs and sessions. They live in the browser (localStorage) and move between
+// devices as a JSON export:
+//   { "version": 1, "clubs": ["zurirannt"], "sessions": ["coffee-run_saturday_0900"], "reminder_min": 15 }
+// A session is starred on its own id or through its club; reminder_min (0 = off) is how long
+// before a starred session the browser notification fires.
+import { expandOccurrencesInRange } from "./occurrences.js";
+
+export const FAVORITES_VERSION = 1;
+export const REMINDER_MINUTES = [5, 10, 15, 30, 60, 120];
+
+export function emptyFavorites() {
+  return { version: FAVORITES_VERSION, clubs: [], sessions: [], reminder_min: 0 };
+}
+
+function idList(v) {
+  if (!Array.isArray(v)) return [];
+  return Array.from(new Set(v.filter(x => typeof x === "string").map(x => x.trim()).filter(Boolean)));
+}
+
+// Cleans a stored or imported value: unknown fields are dropped and malformed entries ignored.
+export function normalizeFavorites(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return emptyFavorites();
+  const reminder = Number(raw.reminder_min);
+  return {
+    version: FAVORITES_VERSION,
+    clubs: idList(raw.clubs),
+    sessions: idList(raw.sessions),
+    reminder_min: REMINDER_MINUTES.includes(reminder) ? reminder : 0
+  };
+}
+
+// Reads an export; throws when the text isn't one.
+export function parseFavorites(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("not a JSON file");
+  }
+  if (!raw || typeof raw !== "object" || !(Array.isArray(raw.clubs) || Array.isArray(raw.sessions))) {
+    throw new Error("no starred clubs or sessions in this file");
+  }
+  return normalizeFavorites(raw);
+}
+
+// Importing adds to what is already starred; the imported reminder setting wins when it has one.
+export function mergeFavorites(current, imported) {
+  return normalizeFavorites({
+    clubs: [...current.clubs, ...imported.clubs],
+    sessions: [...current.sessions, ...imported.sessions],
+    reminder_min: imported.reminder_min || current.reminder_min
+  });
+}
+
+// `kind` is "clubs" or "sessions".
+export function toggleFavorite(favorites, kind, id) {
+  const list = favorites[kind];
+  return { ...favorites, [kind]: list.includes(id) ? list.filter(x => x !== id) : [...list, id] };
+}
+
+export function isStarred(favorites, e) {
+  return favorites.sessions.includes(e.id) || favorites.clubs.includes(e.club_slug);
+}
+
+/**
+ * Occurrences of `sessions` whose reminder time (start minus `minutes`) falls in (since, until],
+ * so polling with consecutive windows notifies about each occurrence once.
+ */
+export function dueReminders(sessions, minutes, since, until) {
+  const lead = minutes * 60 * 1000;
+  return expandOccurrencesInRange(sessions, new Date(since.getTime() + lead + 1), new Date(until.getTime() + lead + 1));
+}
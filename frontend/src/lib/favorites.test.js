@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+import { emptyFavorites, normalizeFavorites, parseFavorites, mergeFavorites, toggleFavorite, isStarred, dueReminders } from "./favorites.js";
+import { session } from "./__fixtures__/session.js";
+
+test("normalizes stored and imported favorites", () => {
+  expect(normalizeFavorites(null)).toEqual(emptyFavorites());
+  expect(normalizeFavorites({ clubs: ["a", " a ", 3, ""], sessions: "x", reminder_min: "15", extra: true }))
+    .toEqual({ version: 1, clubs: ["a"], sessions: [], reminder_min: 15 });
+  expect(normalizeFavorites({ reminder_min: 7 }).reminder_min).toBe(0);
+});
+
+test("imports exports and rejects other files", () => {
+  const exported = JSON.stringify({ version: 1, clubs: ["club"], sessions: ["s1"], reminder_min: 30 });
+  expect(parseFavorites(exported)).toEqual({ version: 1, clubs: ["club"], sessions: ["s1"], reminder_min: 30 });
+  expect(() => parseFavorites("{oops")).toThrow("not a JSON file");
+  expect(() => parseFavorites("[1, 2]")).toThrow("no starred clubs or sessions");
+
+  const merged = mergeFavorites({ ...emptyFavorites(), sessions: ["s0", "s1"], reminder_min: 10 }, parseFavorites(exported));
+  expect(merged).toEqual({ version: 1, clubs: ["club"], sessions: ["s0", "s1"], reminder_min: 30 });
+});
+
+test("stars sessions directly or through their club", () => {
+  let favs = toggleFavorite(emptyFavorites(), "sessions", "s1");
+  expect(isStarred(favs, session("s1"))).toBe(true);
+  expect(isStarred(favs, session("s2"))).toBe(false);
+  favs = toggleFavorite(favs, "clubs", "club");
+  expect(isStarred(favs, session("s2"))).toBe(true);
+  favs = toggleFavorite(toggleFavorite(favs, "clubs", "club"), "sessions", "s1");
+  expect(favs).toEqual(emptyFavorites());
+});
+
+test("finds reminders due in a polling window", () => {
+  // Tuesday 2025-03-11 18:30 in Zurich is 17:30 UTC; a 15 minute reminder is due at 17:15 UTC.
+  const sessions = [session("s1")];
+  const due = (from, to) => dueReminders(sessions, 15, new Date(from), new Date(to)).map(o => o.startISO);
+  expect(due("2025-03-11T17:14:00Z", "2025-03-11T17:15:00Z")).toEqual(["2025-03-11T17:30:00.000Z"]);
+  expect(due("2025-03-11T17:15:00Z", "2025-03-11T17:16:00Z")).toEqual([]);
+  expect(due("2025-03-11T16:00:00Z", "2025-03-11T17:14:59Z")).toEqual([]);
+});
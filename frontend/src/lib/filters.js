@@ -0,0 +1,60 @@
+// Session and race filters shared by the app and the API server (scripts/api-server.mjs),
+// so `?club=…&day=…&hour=…&language=…&dmin=…&dmax=…` selects the same records in both places.
+import { WEEKDAYS } from "./schema.js";
+
+const weekdayOrder = Object.fromEntries(WEEKDAYS.map((w, i) => [w, i]));
+
+// Records without values (unknown distance/elevation) are kept rather than hidden.
+export function withinRange(values, min, max) {
+  if (!values || values.length === 0) return true;
+  return values.some(x => (min == null || x >= min) && (max == null || x <= max));
+}
+
+// Language codes of a session's free-text `language` ("EN/DE", "de, en") -> ["en", "de"]
+export function sessionLanguages(e) {
+  return (e.language || "").split(/[;,/]/).map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Session filters: `club` (club_slug), `weekday`, `hour` ("06" / "6"), `language` ("de"),
+ * `distMin`/`distMax` (km). Empty or missing criteria match everything.
+ */
+export function sessionMatches(e, { club, weekday, hour, language, distMin, distMax } = {}) {
+  if (club && e.club_slug !== club) return false;
+  if (weekday && e.weekday !== weekday) return false;
+  if (hour && !(e.start_time || "").startsWith(`${String(hour).padStart(2, "0")}:`)) return false;
+  // Like unknown distances, sessions that don't say which language they run in are kept.
+  if (language && sessionLanguages(e).length > 0 && !sessionLanguages(e).includes(language)) return false;
+  return withinRange(e.distances_km, distMin, distMax);
+}
+
+export function compareSessions(a, b) {
+  const wd = (weekdayOrder[a.weekday] ?? 99) - (weekdayOrder[b.weekday] ?? 99);
+  if (wd !== 0) return wd;
+  return (a.start_time || "").localeCompare(b.start_time || "");
+}
+
+export function raceWithinDateRange(r, from, to) {
+  if (!from && !to) return true;
+  if (!r.start_date) return false; // undated races can't match a date range
+  const end = r.end_date || r.start_date;
+  return (!from || end >= from) && (!to || r.start_date <= to);
+}
+
+/**
+ * Race filters: `from`/`to` ("YYYY-MM-DD", overlapping the race dates), `type`, `canton`,
+ * `distMin`/`distMax` (km) and `elevMin`/`elevMax` (m).
+ */
+export function raceMatches(r, { from, to, type, canton, distMin, distMax, elevMin, elevMax } = {}) {
+  if (type && !(r.type || []).includes(type)) return false;
+  if (canton && r.canton !== canton) return false;
+  if (!raceWithinDateRange(r, from, to)) return false;
+  return withinRange(r.distances_km, distMin, distMax) && withinRange(r.elevation_gain_m, elevMin, elevMax);
+}
+
+// Dated races first, by date then name
+export function compareRaces(a, b) {
+  const d = (a.start_date || "9999").localeCompare(b.start_date || "9999");
+  if (d !== 0) return d;
+  return (a.name || "").localeCompare(b.name || "");
+}
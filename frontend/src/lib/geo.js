@@ -0,0 +1,57 @@
+// Distance and clustering helpers for the map and the "near me" filter.
+// Coordinates are plain { lat, lon } numbers in WGS84 degrees.
+
+const EARTH_RADIUS_KM = 6371.0088;
+const TILE_SIZE = 256;
+
+const rad = deg => (deg * Math.PI) / 180;
+
+// Great-circle distance in kilometres.
+export function haversineKm(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// "47.3769,8.5417" <-> { lat, lon }; used for the `near` query parameter.
+export function parseLatLon(v) {
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(v || "");
+  if (!m) return undefined;
+  const lat = Number(m[1]), lon = Number(m[2]);
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : undefined;
+}
+
+export function formatLatLon({ lat, lon }) {
+  return `${lat.toFixed(4)},${lon.toFixed(4)}`;
+}
+
+// Web Mercator pixel position at `zoom`, as used by Leaflet's default CRS.
+export function projectToPixels({ lat, lon }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin(rad(Math.max(-85.0511, Math.min(85.0511, lat))));
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+/**
+ * Greedy screen-space clustering: each point joins the first cluster whose seed lies within
+ * `radiusPx` at `zoom`, otherwise it seeds a new one. Points are `{ lat, lon, ... }`.
+ * Returns `[{ lat, lon, points }]` with lat/lon at the cluster's mean position.
+ */
+export function clusterPoints(points, zoom, radiusPx = 48) {
+  const clusters = [];
+  points.forEach(p => {
+    const px = projectToPixels(p, zoom);
+    const hit = clusters.find(c => Math.hypot(c.seed.x - px.x, c.seed.y - px.y) <= radiusPx);
+    if (hit) hit.points.push(p);
+    else clusters.push({ seed: px, points: [p] });
+  });
+  return clusters.map(({ points: members }) => ({
+    lat: members.reduce((s, p) => s + p.lat, 0) / members.length,
+    lon: members.reduce((s, p) => s + p.lon, 0) / members.length,
+    points: members
+  }));
+}
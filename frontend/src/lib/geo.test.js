@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+import { haversineKm, parseLatLon, formatLatLon, clusterPoints } from "./geo.js";
+
+const burkliplatz = { lat: 47.3661526986, lon: 8.5412040931 };
+const enge = { lat: 47.36055199288568, lon: 8.534155645353515 };
+const bern = { lat: 46.948, lon: 7.4474 };
+
+test("measures great-circle distances", () => {
+  expect(haversineKm(burkliplatz, burkliplatz)).toBe(0);
+  expect(haversineKm(burkliplatz, enge)).toBeCloseTo(0.8, 1);
+  expect(haversineKm(burkliplatz, bern)).toBeCloseTo(94.9, 1);
+});
+
+test("parses and formats the near parameter", () => {
+  expect(parseLatLon("47.3769, 8.5417")).toEqual({ lat: 47.3769, lon: 8.5417 });
+  expect(parseLatLon("91,8")).toBeUndefined();
+  expect(parseLatLon("zurich")).toBeUndefined();
+  expect(formatLatLon(burkliplatz)).toBe("47.3662,8.5412");
+});
+
+test("clusters nearby points at low zoom only", () => {
+  const points = [burkliplatz, enge, bern];
+  expect(clusterPoints(points, 8).map(c => c.points.length)).toEqual([2, 1]);
+  expect(clusterPoints(points, 16).map(c => c.points.length)).toEqual([1, 1, 1]);
+  const [zurich] = clusterPoints(points, 8);
+  expect(zurich.lat).toBeCloseTo((burkliplatz.lat + enge.lat) / 2, 6);
+});
@@ -0,0 +1,160 @@
+// Offline geocoding of race places against the bundled gazetteer (src/data/gazetteer.csv),
+// used by scripts/geocode-races.mjs, and of the addresses typed into the app's "near" filter.
+//
+// Gazetteer rows are `{ zip, name, canton, lat, lon, aliases }` with aliases separated by ";".
+// Places are compared by folded name ("Zurich" finds Zürich, "St." and "Saint" are the same),
+// narrowed by the ", XX" canton suffix or a leading postcode ("8400 Winterthur"); a race without
+// a place is looked up by the town in its name ("Powerman Zofingen"). A lookup ends as
+//   resolved    one locality; `note` says when that was a guess (a typo, or taken from the name)
+//   ambiguous   several localities fit ("Muri" without a canton, "Zurich/St. Moritz")
+//   unresolved  nothing fits
+// and only resolved races get coordinates.
+import { CANTONS, toList, toNumberOrNull, toText } from "./schema.js";
+import { foldText, editDistance } from "./search.js";
+import { haversineKm } from "./geo.js";
+
+// Parts of one place ("Wetzikon / Kempten") further apart than this are different places.
+const SAME_PLACE_KM = 10;
+
+export function placeKey(s) {
+  return foldText(s).replace(/[^a-z0-9]+/g, " ").trim().replace(/\b(saint|sankt)\b/g, "st");
+}
+
+export function localityLabel(e) { return `${e.name} ${e.canton}`; }
+
+const unique = list => Array.from(new Set(list));
+
+// Typed gazetteer rows (aliases as a list) without the ones lacking a name or coordinates; this
+// is what src/data/gazetteer.normalized.json holds for the app.
+export function normalizeGazetteer(rows) {
+  return rows
+    .map(row => ({
+      zip: toText(row.zip), name: toText(row.name), canton: toText(row.canton).toUpperCase(),
+      lat: toNumberOrNull(row.lat), lon: toNumberOrNull(row.lon), aliases: toList(row.aliases)
+    }))
+    .filter(row => row.name && row.lat != null && row.lon != null);
+}
+
+export function createGazetteer(rows) {
+  const entries = [];
+  const byKey = new Map();
+  const byZip = new Map();
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    if (!map.get(key).includes(entry)) map.get(key).push(entry);
+  };
+  for (const { aliases, ...entry } of normalizeGazetteer(rows)) {
+    entries.push(entry);
+    [entry.name, ...aliases].forEach(name => add(byKey, placeKey(name), entry));
+    if (entry.zip) add(byZip, entry.zip, entry);
+  }
+  return { entries, byKey, byZip };
+}
+
+// Localities for one place name, optionally within a canton. `typo` is set when the name only
+// matched after allowing for a misspelling.
+function lookup(gazetteer, text, canton) {
+  const inCanton = list => (canton ? list.filter(e => e.canton === canton) : list);
+  const zip = /^(\d{4})\s+(.+)$/.exec(text);
+  if (zip) {
+    const byZip = inCanton(gazetteer.byZip.get(zip[1]) || []);
+    if (byZip.length === 1) return { candidates: byZip, typo: false };
+    text = zip[2];
+  }
+  const key = placeKey(text);
+  const exact = inCanton(gazetteer.byKey.get(key) || []);
+  if (exact.length || key.length < 5) return { candidates: exact, typo: false };
+  const max = key.length >= 8 ? 2 : 1;
+  const near = [];
+  for (const [other, list] of gazetteer.byKey) {
+    if (editDistance(key, other, max) <= max) near.push(...inCanton(list));
+  }
+  return { candidates: unique(near), typo: true };
+}
+
+/** Looks up a place as written in the data ("Wetzikon / Kempten, ZH"); `canton` narrows it further. */
+export function geocodePlace(gazetteer, place, canton = "") {
+  let text = toText(place);
+  const suffix = /,\s*([A-Za-z]{2})$/.exec(text);
+  if (suffix && CANTONS.includes(suffix[1].toUpperCase())) {
+    canton = canton || suffix[1].toUpperCase();
+    text = text.slice(0, suffix.index);
+  }
+  const found = text.split("/").map(s => s.trim()).filter(Boolean)
+    .map(part => ({ part, ...lookup(gazetteer, part, canton) }))
+    .filter(f => f.candidates.length > 0);
+  if (found.length === 0) return { status: "unresolved", match: null, candidates: [], note: "" };
+  if (found.some(f => f.candidates.length > 1)) {
+    return { status: "ambiguous", match: null, candidates: unique(found.flatMap(f => f.candidates)), note: "" };
+  }
+  const picks = unique(found.map(f => f.candidates[0]));
+  if (picks.some(e => haversineKm(picks[0], e) > SAME_PLACE_KM)) {
+    return { status: "ambiguous", match: null, candidates: picks, note: "" };
+  }
+  const { part, typo } = found[0];
+  return { status: "resolved", match: picks[0], candidates: picks, note: typo ? `read "${part}" as ${localityLabel(picks[0])}` : "" };
+}
+
+// Localities named in free text, preferring the longest name ("Yverdon-les-Bains" over "Yverdon").
+function localitiesIn(gazetteer, text) {
+  const padded = ` ${placeKey(text)} `;
+  let best = [];
+  let bestLength = 0;
+  for (const [key, list] of gazetteer.byKey) {
+    if (key.length < bestLength || !padded.includes(` ${key} `)) continue;
+    if (key.length > bestLength) {
+      best = [];
+      bestLength = key.length;
+    }
+    best.push(...list);
+  }
+  return unique(best);
+}
+
+export function geocodeRace(gazetteer, race) {
+  const canton = toText(race.canton).toUpperCase();
+  if (toText(race.place)) return geocodePlace(gazetteer, race.place, canton);
+  const candidates = localitiesIn(gazetteer, race.name).filter(e => !canton || e.canton === canton);
+  if (candidates.length === 1) return { status: "resolved", match: candidates[0], candidates, note: "place taken from the race name" };
+  return { status: candidates.length ? "ambiguous" : "unresolved", match: null, candidates, note: "" };
+}
+
+/**
+ * Looks up an address typed by a user: a place as geocodePlace reads it, else the one locality
+ * named in it ("Bahnhofplatz 1, 8400 Winterthur"). Only as precise as the locality.
+ */
+export function geocodeAddress(gazetteer, address) {
+  const result = geocodePlace(gazetteer, address);
+  if (result.status !== "unresolved") return result;
+  const candidates = localitiesIn(gazetteer, address);
+  if (candidates.length === 1) return { status: "resolved", match: candidates[0], candidates, note: "" };
+  return { status: candidates.length ? "ambiguous" : "unresolved", match: null, candidates, note: "" };
+}
+
+// The race with a resolved locality filled in; values already in the data are kept.
+export function enrichRace(race, { status, match }) {
+  if (status !== "resolved") return race;
+  const located = toNumberOrNull(race.lat) != null && toNumberOrNull(race.lon) != null;
+  return {
+    ...race,
+    place: toText(race.place) || `${match.name}, ${match.canton}`,
+    canton: toText(race.canton) || match.canton,
+    lat: located ? race.lat : match.lat,
+    lon: located ? race.lon : match.lon
+  };
+}
+
+/**
+ * Geocodes every race that has no coordinates yet. Returns the enriched races (same order) and
+ * one result per geocoded race: `{ id, place, name, status, match, candidates, note }`.
+ */
+export function enrichRaces(races, gazetteer) {
+  const results = [];
+  const enriched = races.map(race => {
+    if (toNumberOrNull(race.lat) != null && toNumberOrNull(race.lon) != null) return race;
+    const result = geocodeRace(gazetteer, race);
+    results.push({ id: race.id, place: toText(race.place), name: race.name, ...result });
+    return enrichRace(race, result);
+  });
+  return { races: enriched, results };
+}
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import { createGazetteer, normalizeGazetteer, geocodePlace, geocodeAddress, geocodeRace, enrichRaces, placeKey } from "./geocode.js";
+
+const gazetteer = createGazetteer([
+  { zip: "8001", name: "Zürich", canton: "ZH", lat: "47.3769", lon: "8.5417", aliases: "Zurigo" },
+  { zip: "7500", name: "St. Moritz", canton: "GR", lat: "46.4980", lon: "9.8390", aliases: "" },
+  { zip: "8620", name: "Wetzikon", canton: "ZH", lat: "47.3260", lon: "8.7980", aliases: "" },
+  { zip: "5630", name: "Muri", canton: "AG", lat: "47.2745", lon: "8.3383", aliases: "" },
+  { zip: "3074", name: "Muri bei Bern", canton: "BE", lat: "46.9318", lon: "7.4886", aliases: "Muri" },
+  { zip: "8200", name: "Schaffhausen", canton: "SH", lat: "47.6970", lon: "8.6340", aliases: "" },
+  { zip: "1400", name: "Yverdon-les-Bains", canton: "VD", lat: "46.7785", lon: "6.6411", aliases: "Yverdon" },
+  { zip: "1618", name: "Châtel-St-Denis", canton: "FR", lat: "46.5270", lon: "6.9010", aliases: "" }
+]);
+const name = result => result.match?.name;
+
+test("matches places by folded name, canton suffix and postcode", () => {
+  expect(placeKey("Châtel-Saint-Denis")).toBe("chatel st denis");
+  expect(name(geocodePlace(gazetteer, "Zurich"))).toBe("Zürich");
+  expect(name(geocodePlace(gazetteer, "Châtel-Saint-Denis, FR"))).toBe("Châtel-St-Denis");
+  expect(name(geocodePlace(gazetteer, "Muri, AG"))).toBe("Muri");
+  expect(name(geocodePlace(gazetteer, "3074 Muri"))).toBe("Muri bei Bern");
+  expect(geocodePlace(gazetteer, "Muri")).toMatchObject({ status: "ambiguous", match: null });
+  expect(geocodePlace(gazetteer, "Zurich, GR").status).toBe("unresolved");
+});
+
+test("resolves typos and split places but flags far-apart parts", () => {
+  expect(geocodePlace(gazetteer, "Schaffausen, SH")).toMatchObject({
+    status: "resolved", note: 'read "Schaffausen" as Schaffhausen SH'
+  });
+  expect(geocodePlace(gazetteer, "Wetzikon / Kempten, ZH")).toMatchObject({ status: "resolved", note: "" });
+  const split = geocodePlace(gazetteer, "Zurich/St. Moritz");
+  expect(split.status).toBe("ambiguous");
+  expect(split.candidates.map(e => e.name)).toEqual(["Zürich", "St. Moritz"]);
+  expect(geocodePlace(gazetteer, "Saastal, VS").status).toBe("unresolved");
+});
+
+test("falls back to the town in the race name", () => {
+  expect(geocodeRace(gazetteer, { name: "Triathlon d’Yverdon-les-Bains", place: "nan", canton: "" })).toMatchObject({
+    status: "resolved", note: "place taken from the race name"
+  });
+  expect(geocodeRace(gazetteer, { name: "Jungfrau Marathon", place: "", canton: "" }).status).toBe("unresolved");
+});
+
+test("finds the locality in a typed address", () => {
+  expect(name(geocodeAddress(gazetteer, "Zurigo"))).toBe("Zürich");
+  expect(name(geocodeAddress(gazetteer, "Rue des Remparts 5, 1400 Yverdon-les-Bains"))).toBe("Yverdon-les-Bains");
+  expect(geocodeAddress(gazetteer, "Dorfstrasse 1, Muri").status).toBe("ambiguous");
+  expect(geocodeAddress(gazetteer, "Bahnhofstrasse 1").status).toBe("unresolved");
+  // Rows as the app bundles them build the same gazetteer.
+  const bundled = createGazetteer(JSON.parse(JSON.stringify(normalizeGazetteer([
+    { zip: "8001", name: "Zürich", canton: "zh", lat: "47.3769", lon: "8.5417", aliases: "Zurigo" },
+    { zip: "", name: "Nowhere", canton: "", lat: "", lon: "" }
+  ]))));
+  expect(bundled.entries).toEqual([{ zip: "8001", name: "Zürich", canton: "ZH", lat: 47.3769, lon: 8.5417 }]);
+  expect(name(geocodeAddress(bundled, "Zurigo"))).toBe("Zürich");
+});
+
+test("writes coordinates and cantons back without overwriting data", () => {
+  const races = [
+    { id: "a", name: "Triathlon Yverdon", place: "nan", canton: "", lat: null, lon: null },
+    { id: "b", name: "Lauf", place: "Zurich", canton: "", lat: 47.4, lon: 8.5 },
+    { id: "c", name: "Run", place: "Muri", canton: "", lat: null, lon: null }
+  ];
+  const { races: enriched, results } = enrichRaces(races, gazetteer);
+  expect(enriched[0]).toEqual({ id: "a", name: "Triathlon Yverdon", place: "Yverdon-les-Bains, VD", canton: "VD", lat: 46.7785, lon: 6.6411 });
+  expect(enriched[1]).toBe(races[1]);
+  expect(enriched[2]).toBe(races[2]);
+  expect(results.map(r => [r.id, r.status])).toEqual([["a", "resolved"], ["c", "ambiguous"]]);
+});
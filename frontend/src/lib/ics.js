@@ -0,0 +1,178 @@
+// iCalendar (RFC 5545) export for sessions and races.
+//
+// Sessions become recurring events in their own zone, Europe/Zurich by default
+// (DTSTART;TZID + RRULE with INTERVAL/BYDAY/BYMONTH/UNTIL and EXDATE mirroring the
+// session's recurrence rule; one-offs get no RRULE), races become all-day events spanning
+// start_date..end_date. Used by the app's download buttons and by
+// scripts/build-calendar.mjs for the subscribable feed.
+import { ZURICH_TZ, addDays, dateInZone, zonedTimeToUtc } from "./time.js";
+import { nextOccurrence } from "./occurrences.js";
+import { formatPace } from "./pace.js";
+
+const BYDAY = { monday: "MO", tuesday: "TU", wednesday: "WE", thursday: "TH", friday: "FR", saturday: "SA", sunday: "SU" };
+
+// Current CET/CEST rules; enough for any client that doesn't ship its own tz database.
+const VTIMEZONE_ZURICH = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${ZURICH_TZ}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE"
+];
+
+/* ---------- Formatting ---------- */
+export function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function utf8Length(ch) {
+  const cp = ch.codePointAt(0);
+  return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, never splitting a UTF-8 sequence.
+export function foldLine(line) {
+  const out = [];
+  let current = "", size = 0;
+  for (const ch of line) {
+    const n = utf8Length(ch);
+    if (size + n > (out.length ? 74 : 75)) { out.push(current); current = ""; size = 0; }
+    current += ch;
+    size += n;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+const pad = n => String(n).padStart(2, "0");
+const compactDate = ymd => ymd.replaceAll("-", "");
+
+function utcStamp(d) {
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+function seasonMonths([from, to]) {
+  const months = [];
+  for (let m = from; months.length < 12; m = m % 12 + 1) {
+    months.push(m);
+    if (m === to) break;
+  }
+  return months;
+}
+
+// RRULE value for a session's recurrence, or null for one-off sessions.
+export function recurrenceRule(e) {
+  const byday = BYDAY[e.weekday];
+  const tz = e.timezone || ZURICH_TZ;
+  let rule;
+  switch (e.recurrence || "weekly") {
+    case "once": return null;
+    case "biweekly": rule = `FREQ=WEEKLY;INTERVAL=2;BYDAY=${byday}`; break;
+    case "monthly": rule = `FREQ=MONTHLY;BYDAY=${e.month_weeks.map(w => `${w}${byday}`).join(",")}`; break;
+    default: rule = `FREQ=WEEKLY;BYDAY=${byday}`;
+  }
+  if (e.season_months?.length === 2) rule += `;BYMONTH=${seasonMonths(e.season_months).join(",")}`;
+  // UNTIL must be in UTC when DTSTART carries a TZID
+  if (e.valid_until) rule += `;UNTIL=${utcStamp(zonedTimeToUtc(e.valid_until, "23:59", tz))}`;
+  return rule;
+}
+
+/* ---------- Components ---------- */
+function describeSession(e) {
+  return [
+    e.pace_groups_s_per_km?.length ? `Pace groups: ${e.pace_groups_s_per_km.map(formatPace).join(" / ")} min/km` : "",
+    e.distances_km?.length ? `Distance: ${e.distances_km.join(" / ")} km` : "",
+    e.meeting_point_note ? `Meeting point: ${e.meeting_point_note}` : "",
+    e.instagram_url ? `Instagram: ${e.instagram_url}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+export function sessionToVevent(e, { from = new Date(), now = new Date() } = {}) {
+  if (!BYDAY[e.weekday]) return [];
+  const [hh = "00", mm = "00"] = (e.start_time || "00:00").split(":");
+  const tz = e.timezone || ZURICH_TZ;
+  // Start at the first real occurrence from the day of `from` on; sessions that are over are left out.
+  const first = nextOccurrence(e, zonedTimeToUtc(dateInZone(from, tz), "00:00", tz));
+  if (!first) return [];
+  const wallTime = date => `${compactDate(date)}T${pad(hh)}${pad(mm)}00`;
+  const rule = recurrenceRule(e);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${e.id}@runningcommunities`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `DTSTART;TZID=${tz}:${wallTime(first.localDate)}`,
+    `DURATION:PT${e.duration_min || 60}M`,
+    ...(rule ? [`RRULE:${rule}`] : []),
+    ...(rule && e.exception_dates?.length ? [`EXDATE;TZID=${tz}:${e.exception_dates.map(wallTime).join(",")}`] : []),
+    `SUMMARY:${escapeText(`${e.club} run`)}`
+  ];
+  if (e.location_name) lines.push(`LOCATION:${escapeText(e.location_name)}`);
+  if (Number.isFinite(e.lat) && Number.isFinite(e.lon)) lines.push(`GEO:${e.lat};${e.lon}`);
+  const description = describeSession(e);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (e.source_url) lines.push(`URL:${e.source_url}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+export function raceToVevent(r, { now = new Date() } = {}) {
+  if (!r.start_date) return [];
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${r.id}@runningcommunities`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `DTSTART;VALUE=DATE:${compactDate(r.start_date)}`,
+    // DTEND is exclusive for all-day events
+    `DTEND;VALUE=DATE:${compactDate(addDays(r.end_date || r.start_date, 1))}`,
+    `SUMMARY:${escapeText(r.name)}`,
+    "TRANSP:TRANSPARENT"
+  ];
+  if (r.place) lines.push(`LOCATION:${escapeText(r.place)}`);
+  if (Number.isFinite(r.lat) && Number.isFinite(r.lon)) lines.push(`GEO:${r.lat};${r.lon}`);
+  const description = [
+    r.distances_km?.length ? `Distance: ${r.distances_km.join(" / ")} km` : "",
+    r.elevation_gain_m?.length ? `Elevation gain: ${r.elevation_gain_m.join(" / ")} m` : ""
+  ].filter(Boolean).join("\n");
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (r.website) lines.push(`URL:${r.website}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Builds a complete VCALENDAR document (CRLF line endings, folded lines).
+ * `from` anchors the first occurrence of weekly sessions; `now` is used for DTSTAMP.
+ */
+export function buildCalendar({ sessions = [], races = [], name = "Running communities", from = new Date(), now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//runningcommunities//community runs//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${ZURICH_TZ}`,
+    // Other zones are referenced by IANA name only; calendar clients resolve those themselves.
+    ...(sessions.some(e => (e.timezone || ZURICH_TZ) === ZURICH_TZ) ? VTIMEZONE_ZURICH : []),
+    ...sessions.flatMap(e => sessionToVevent(e, { from, now })),
+    ...races.flatMap(r => raceToVevent(r, { now })),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
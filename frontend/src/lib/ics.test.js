@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { buildCalendar, foldLine, escapeText, recurrenceRule } from "./ics.js";
+
+const now = new Date("2025-09-01T10:00:00Z");
+const session = {
+  id: "the-6-zh-club_tuesday_0615", club: "The 6:ZH Club", weekday: "tuesday", start_time: "06:15",
+  duration_min: 40, location_name: "Bürkliplatz", lat: 47.3661526986, lon: 8.5412040931,
+  pace_groups_min_per_km: ["6:00", "6:30"], pace_groups_s_per_km: [360, 390], distances_km: [6], source_url: "https://the6zhclub.com/"
+};
+
+test("exports a weekly session in Zurich time", () => {
+  const ics = buildCalendar({ sessions: [session], from: now, now });
+  expect(ics).toContain("BEGIN:VTIMEZONE\r\nTZID:Europe/Zurich");
+  expect(ics).toContain("DTSTART;TZID=Europe/Zurich:20250902T061500\r\n");
+  expect(ics).toContain("DURATION:PT40M\r\n");
+  expect(ics).toContain("RRULE:FREQ=WEEKLY;BYDAY=TU\r\n");
+  expect(ics).toContain("LOCATION:Bürkliplatz\r\n");
+  expect(ics).toContain("GEO:47.3661526986;8.5412040931\r\n");
+  expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+});
+
+test("exports races as all-day events with an exclusive end date", () => {
+  const ics = buildCalendar({
+    races: [
+      { id: "wildstrubel", name: "Wildstrubel by UTMB", start_date: "2025-09-19", end_date: "2025-09-20", place: "Crans-Montana, VS" },
+      { id: "tba", name: "Undated", start_date: null }
+    ],
+    now
+  });
+  expect(ics).toContain("DTSTART;VALUE=DATE:20250919\r\nDTEND;VALUE=DATE:20250921\r\n");
+  expect(ics).toContain("LOCATION:Crans-Montana\\, VS");
+  expect(ics).not.toContain("UID:tba@");
+  expect(ics).not.toContain("VTIMEZONE");
+});
+
+test("starts on the first matching day in Zurich", () => {
+  // 23:30 UTC on Monday is already Tuesday in Zurich, and the same day's run still counts
+  expect(buildCalendar({ sessions: [session], from: new Date("2025-09-01T23:30:00Z"), now })).toContain("DTSTART;TZID=Europe/Zurich:20250902T061500");
+  expect(buildCalendar({ sessions: [session], from: new Date("2025-09-02T08:00:00Z"), now })).toContain("DTSTART;TZID=Europe/Zurich:20250902T061500");
+  expect(buildCalendar({ sessions: [{ ...session, weekday: "monday" }], from: new Date("2025-09-02T08:00:00Z"), now })).toContain("DTSTART;TZID=Europe/Zurich:20250908T061500");
+});
+
+test("maps recurrence rules to RRULE and EXDATE", () => {
+  expect(recurrenceRule({ ...session, recurrence: "biweekly", valid_from: "2025-09-01" })).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=TU");
+  expect(recurrenceRule({ ...session, weekday: "sunday", recurrence: "monthly", month_weeks: [1, -1] })).toBe("FREQ=MONTHLY;BYDAY=1SU,-1SU");
+  expect(recurrenceRule({ ...session, season_months: [11, 2], valid_until: "2026-02-24" })).toBe("FREQ=WEEKLY;BYDAY=TU;BYMONTH=11,12,1,2;UNTIL=20260224T225900Z");
+  expect(recurrenceRule({ ...session, recurrence: "once", date: "2025-12-13" })).toBeNull();
+
+  const ics = buildCalendar({ sessions: [{ ...session, weekday: "wednesday", exception_dates: ["2025-12-24"] }], from: now, now });
+  expect(ics).toContain("DTSTART;TZID=Europe/Zurich:20250903T061500\r\n");
+  expect(ics).toContain("EXDATE;TZID=Europe/Zurich:20251224T061500\r\n");
+  const once = buildCalendar({ sessions: [{ ...session, weekday: "saturday", recurrence: "once", date: "2025-12-13" }], from: now, now });
+  expect(once).toContain("DTSTART;TZID=Europe/Zurich:20251213T061500\r\n");
+  expect(once).not.toContain("RRULE:FREQ=WEEKLY");
+  expect(buildCalendar({ sessions: [{ ...session, valid_until: "2025-08-01" }], from: now, now })).not.toContain("BEGIN:VEVENT");
+});
+
+test("escapes text and folds long lines by octets", () => {
+  expect(escapeText("a,b;c\\d\ne")).toBe("a\\,b\\;c\\\\d\\ne");
+  const folded = foldLine(`DESCRIPTION:${"ü".repeat(60)}`);
+  folded.split("\r\n").forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+  expect(folded.replaceAll("\r\n ", "")).toBe(`DESCRIPTION:${"ü".repeat(60)}`);
+});
@@ -0,0 +1,182 @@
+// Spreadsheet → session conversion used by scripts/import-sessions.mjs.
+//
+// Understands the layouts we keep in spreadsheets:
+//   - the events_phase0 layout (id, club, club_slug, weekday, start_time, …)
+//   - the first draft layout (club, days "tuesday;thursday", recurrence, start_time_local "6:15" | "10", …)
+// Rows are expanded to one session per weekday and validated with the event schema.
+import { RECURRENCES, normalizeDate, normalizeEvent, normalizeTime, toList, toText } from "./schema.js";
+
+/* ---------- Text / CSV ---------- */
+
+// Spreadsheet exports come as UTF-8 or Windows-1252 (Latin-1); pick whichever decodes cleanly.
+export function decodeText(bytes) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes).replace(/^\uFEFF/, "");
+  } catch {
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF. Returns objects keyed by the header row.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter(r => r.some(c => c.trim() !== ""));
+  const keys = header.map(h => h.trim());
+  return body.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""])));
+}
+
+/* ---------- Row → sessions ---------- */
+
+export function slugify(s) {
+  return toText(s)
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Excel stores times as a fraction of a day (0.2604… = 06:15); a bare number ≥ 1 is an hour ("10").
+export function importTime(v) {
+  if (typeof v === "number") {
+    if (v >= 0 && v < 1) {
+      const mins = Math.round(v * 24 * 60);
+      return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+    }
+    return normalizeTime(String(v));
+  }
+  return normalizeTime(v);
+}
+
+// One-off sessions are keyed by their date instead of the weekday.
+export function sessionId(slug, weekdayOrDate, startTime) {
+  return `${slug}_${weekdayOrDate}_${startTime.replace(":", "")}`;
+}
+
+// Columns copied straight through when a sheet has them; anything else is ignored.
+const PASSTHROUGH = [
+  "city", "duration_min", "location_name", "lat", "lon", "pace_groups_min_per_km", "distances_km",
+  "language", "source_url", "instagram_url", "meeting_point_note", "active",
+  "pace_groups_min_per_mi", "month_weeks", "valid_from", "valid_until", "season_months", "exception_dates"
+];
+
+/**
+ * Converts one spreadsheet row into normalized sessions (one per weekday).
+ * Only columns present in the row are set, so merging does not blank out fields the sheet lacks.
+ * Returns `{ sessions, issues }`; issues use the same `{ id, field, level, message }` shape as the schema.
+ */
+export function rowToSessions(row, label = "row") {
+  const issues = [];
+  const has = k => k in row && toText(row[k]) !== "";
+
+  const recurrence = toText(row.recurrence).toLowerCase();
+  if (recurrence && !RECURRENCES.includes(recurrence)) {
+    issues.push({ id: label, field: "recurrence", level: "error", message: `"${recurrence}" is not supported (${RECURRENCES.join(", ")})` });
+    return { sessions: [], issues };
+  }
+  const date = normalizeDate(row.date);
+
+  const club = toText(row.club);
+  const slug = toText(row.club_slug) || slugify(club);
+  const startTime = importTime(has("start_time") ? row.start_time : row.start_time_local);
+  // One-off rows may leave the weekday out; the schema derives it from the date.
+  const days = toList(has("days") ? row.days : row.weekday).map(d => d.toLowerCase());
+  if (recurrence === "once" && days.length === 0) days.push("");
+  if (days.length === 0) {
+    issues.push({ id: label, field: "days", level: "error", message: "is required" });
+  }
+
+  const sessions = [];
+  days.forEach(weekday => {
+    const raw = { club, club_slug: slug, weekday, start_time: startTime };
+    if (recurrence) raw.recurrence = recurrence;
+    if (date) raw.date = date;
+    // A sheet-provided id only makes sense for single-day rows.
+    raw.id = has("id") && days.length === 1 ? toText(row.id) : sessionId(slug, recurrence === "once" && date ? date : weekday, startTime);
+    PASSTHROUGH.forEach(k => { if (has(k)) raw[k] = row[k]; });
+
+    const { record, issues: found } = normalizeEvent(raw);
+    const errors = found.filter(i => i.level === "error");
+    issues.push(...errors.map(i => ({ ...i, id: `${label} (${raw.id})` })));
+    if (errors.length === 0) {
+      sessions.push(Object.fromEntries(Object.keys(raw).map(k => [k, record[k]])));
+    }
+  });
+  return { sessions, issues };
+}
+
+// Sheets we can't turn into sessions (e.g. the race calendar) are recognised by their header.
+export function isSessionSheet(rows) {
+  const keys = new Set(Object.keys(rows[0] || {}));
+  return keys.has("club") && (keys.has("days") || keys.has("weekday"));
+}
+
+/* ---------- Merge ---------- */
+
+const matchKey = e => `${e.club_slug}|${e.recurrence === "once" ? e.date : e.weekday}|${e.start_time}`;
+
+// Spreadsheets round coordinates differently; ~10 cm is not a change worth reporting.
+function sameField(field, a, b) {
+  if ((field === "lat" || field === "lon") && typeof a === "number" && typeof b === "number") {
+    return Math.abs(a - b) < 1e-6;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merges imported sessions into the existing events list.
+ * A session matches an existing record by id, or by club_slug + weekday + start_time (keeping the old id).
+ * Returns the merged list and a diff `{ added: [id], changed: [{ id, fields: [{ field, from, to }] }], unchanged: n }`.
+ */
+export function mergeSessions(existing, imported) {
+  const merged = existing.map(e => ({ ...e }));
+  const original = merged.map(e => normalizeEvent(e).record);
+  const current = original.map(e => ({ ...e }));
+  const byId = new Map(current.map((e, i) => [e.id, i]));
+  const byKey = new Map(current.map((e, i) => [matchKey(e), i]));
+  const added = [];
+  const touched = new Set();
+
+  imported.forEach(s => {
+    const idx = byId.get(s.id) ?? byKey.get(matchKey(s));
+    if (idx == null) {
+      merged.push(s);
+      current.push({ ...s });
+      byId.set(s.id, merged.length - 1);
+      byKey.set(matchKey(s), merged.length - 1);
+      added.push(s.id);
+      return;
+    }
+    touched.add(idx);
+    Object.entries(s).forEach(([field, value]) => {
+      if (field === "id" || sameField(field, current[idx][field], value)) return;
+      current[idx][field] = value;
+      merged[idx][field] = value;
+    });
+  });
+
+  const diff = { added, changed: [], unchanged: 0 };
+  touched.forEach(idx => {
+    const fields = Object.keys(current[idx])
+      .filter(f => !sameField(f, original[idx][f], current[idx][f]))
+      .map(f => ({ field: f, from: original[idx][f], to: current[idx][f] }));
+    if (fields.length) diff.changed.push({ id: merged[idx].id, fields });
+    else diff.unchanged++;
+  });
+  return { events: merged, diff };
+}
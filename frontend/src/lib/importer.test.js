@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+import { decodeText, parseCsv, rowToSessions, mergeSessions, importTime, slugify } from "./importer.js";
+
+test("decodes Latin-1 exports and parses quoted CSV", () => {
+  const latin1 = Uint8Array.from('club,location_name\n"B\xfcrkli, ZH",Enge \r\n', c => c.charCodeAt(0));
+  expect(parseCsv(decodeText(latin1))).toEqual([{ club: "Bürkli, ZH", location_name: "Enge " }]);
+  expect(decodeText(new TextEncoder().encode("\uFEFFclub\nZürich"))).toBe("club\nZürich");
+});
+
+test("normalizes spreadsheet times", () => {
+  expect(importTime("10")).toBe("10:00");
+  expect(importTime("6:15")).toBe("06:15");
+  expect(importTime(10)).toBe("10:00");
+  expect(importTime(0.2604166666666667)).toBe("06:15");
+});
+
+test("expands multi-day rows into one session per weekday with stable ids", () => {
+  const { sessions, issues } = rowToSessions({
+    club: "The 6:ZH Club", days: "tuesday;Thursday", recurrence: "weekly",
+    start_time_local: "6:15", duration_min: "40", pace_groups_min_per_km: "6;6:30", location_name: "Bürkliplatz "
+  });
+  expect(issues).toEqual([]);
+  expect(sessions.map(s => s.id)).toEqual(["the-6-zh-club_tuesday_0615", "the-6-zh-club_thursday_0615"]);
+  expect(sessions[0]).toMatchObject({
+    club_slug: "the-6-zh-club", weekday: "tuesday", start_time: "06:15",
+    duration_min: 40, pace_groups_min_per_km: ["6:00", "6:30"], location_name: "Bürkliplatz"
+  });
+  expect(sessions[0]).not.toHaveProperty("distances_km");
+});
+
+test("rejects unsupported recurrences", () => {
+  const { sessions, issues } = rowToSessions({ club: "X", days: "monday", recurrence: "yearly", start_time_local: "7" }, "row 2");
+  expect(sessions).toEqual([]);
+  expect(issues[0]).toMatchObject({ id: "row 2", field: "recurrence", level: "error" });
+});
+
+test("imports monthly and one-off rows", () => {
+  const monthly = rowToSessions({ club: "X", days: "sunday", recurrence: "monthly", month_weeks: "1", start_time_local: "9", season_months: "Apr-Oct" });
+  expect(monthly.issues).toEqual([]);
+  expect(monthly.sessions[0]).toMatchObject({ id: "x_sunday_0900", recurrence: "monthly", month_weeks: [1], season_months: [4, 10] });
+
+  const once = rowToSessions({ club: "X", recurrence: "once", date: "13.12.2025", start_time_local: "10" });
+  expect(once.issues).toEqual([]);
+  expect(once.sessions[0]).toMatchObject({ id: "x_2025-12-13_1000", weekday: "saturday", date: "2025-12-13" });
+});
+
+test("merges by id or club/weekday/time and reports a diff", () => {
+  const existing = [
+    { id: "legacy-id", club: "Club", club_slug: "club", weekday: "monday", start_time: "18:45", lat: 47.3661526986, lon: 8.54 }
+  ];
+  const { sessions } = rowToSessions({ club: "Club", days: "monday;friday", start_time_local: "18:45", lat: "47.3661527", lon: "8.54", duration_min: 45 });
+  const { events, diff } = mergeSessions(existing, sessions);
+  expect(diff.added).toEqual(["club_friday_1845"]);
+  expect(diff.changed).toEqual([{ id: "legacy-id", fields: [{ field: "duration_min", from: null, to: 45 }] }]);
+  expect(events).toHaveLength(2);
+  expect(events[0]).toMatchObject({ id: "legacy-id", duration_min: 45, lat: 47.3661526986 });
+});
+
+test("slugify strips accents and punctuation", () => {
+  expect(slugify("Züri Rännt")).toBe("zuri-rannt");
+  expect(slugify("The 6:ZH Club")).toBe("the-6-zh-club");
+});
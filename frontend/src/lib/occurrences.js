@@ -0,0 +1,83 @@
+// Expansion of recurring sessions into dated occurrences.
+//
+// Sessions repeat on their weekday, narrowed by the recurrence rule (weekly, biweekly,
+// monthly, once), the valid_from/valid_until window, season_months and exception_dates.
+// A session's weekday and start_time are wall-clock values in its own zone
+// (`timezone`, default Europe/Zurich), so "Monday 18:45" stays 18:45 in Zurich
+// on both sides of a DST switch and only its UTC instant moves.
+import { ZURICH_TZ, addDays, dateFromYmd, dateInZone, dayOfWeek, zonedTimeToUtc } from "./time.js";
+
+const JS_DOW = { sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6 };
+const DAY_MS = 24 * 3600 * 1000;
+
+export function eventTimeZone(e) {
+  return e.timezone || ZURICH_TZ;
+}
+
+function inSeason(months, month) {
+  if (!months || months.length !== 2) return true;
+  const [from, to] = months;
+  return from <= to ? month >= from && month <= to : month >= from || month <= to;
+}
+
+// Whether session `e` takes place on `ymd`, a date in its own zone that already falls on its weekday.
+export function occursOn(e, ymd) {
+  if (e.valid_from && ymd < e.valid_from) return false;
+  if (e.valid_until && ymd > e.valid_until) return false;
+  if (e.exception_dates?.includes(ymd)) return false;
+  if (!inSeason(e.season_months, Number(ymd.slice(5, 7)))) return false;
+  switch (e.recurrence || "weekly") {
+    case "once":
+      return ymd === e.date;
+    case "biweekly": {
+      // Week 0 is the one containing the first occurrence on or after valid_from.
+      const days = Math.round((dateFromYmd(ymd) - dateFromYmd(e.valid_from || ymd)) / DAY_MS);
+      return Math.floor(days / 7) % 2 === 0;
+    }
+    case "monthly": {
+      const nth = Math.ceil(Number(ymd.slice(8)) / 7);
+      const last = addDays(ymd, 7).slice(5, 7) !== ymd.slice(5, 7);
+      return (e.month_weeks || []).some(w => w === nth || (w === -1 && last));
+    }
+    default:
+      return true;
+  }
+}
+
+// True once a session can no longer occur: a past one-off date or valid_until.
+export function hasEnded(e, from = new Date()) {
+  const last = e.recurrence === "once" ? e.date : e.valid_until;
+  return Boolean(last) && last < dateInZone(from, eventTimeZone(e));
+}
+
+/**
+ * All occurrences of `baseEvents` with start instants in [start, end).
+ * Each occurrence is the session plus `localDate` ("YYYY-MM-DD" in the session's zone),
+ * `timeZone`, `startDate` (Date) and `startISO` (UTC), sorted by start.
+ */
+export function expandOccurrencesInRange(baseEvents, start, end) {
+  const results = [];
+  baseEvents.forEach(e => {
+    const dow = JS_DOW[e.weekday];
+    if (dow == null) return;
+    const tz = eventTimeZone(e);
+    // The range is given in instants; walk the session zone's calendar with a day of slack on each side.
+    const first = addDays(dateInZone(start, tz), -1);
+    const last = addDays(dateInZone(end, tz), 1);
+    for (let day = addDays(first, (dow - dayOfWeek(first) + 7) % 7); day <= last; day = addDays(day, 7)) {
+      if (!occursOn(e, day)) continue;
+      const dt = zonedTimeToUtc(day, e.start_time || "00:00", tz);
+      if (dt < start || dt >= end) continue;
+      results.push({ ...e, timeZone: tz, localDate: day, startDate: dt, startISO: dt.toISOString() });
+    }
+  });
+  results.sort((a,b) => a.startDate - b.startDate);
+  return results;
+}
+
+// The next occurrence at or after `from` within a year, or null (no valid weekday, ended, or out of season).
+export function nextOccurrence(e, from = new Date()) {
+  const soon = expandOccurrencesInRange([e], from, new Date(from.getTime() + 8 * DAY_MS))[0];
+  if (soon) return soon;
+  return expandOccurrencesInRange([e], from, new Date(from.getTime() + 366 * DAY_MS))[0] || null;
+}
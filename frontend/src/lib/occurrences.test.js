@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { expandOccurrencesInRange, nextOccurrence, hasEnded } from "./occurrences.js";
+import { zonedTimeToUtc, timeInZone, dateInZone } from "./time.js";
+
+const monday = { id: "adidas-runners_1845", weekday: "monday", start_time: "18:45" };
+const sunday = { id: "early", weekday: "sunday", start_time: "02:30" };
+const iso = list => list.map(o => o.startISO);
+
+test("keeps Zurich wall time across the spring DST switch", () => {
+  const occ = expandOccurrencesInRange([monday], new Date("2025-03-24T00:00:00Z"), new Date("2025-04-08T00:00:00Z"));
+  expect(iso(occ)).toEqual([
+    "2025-03-24T17:45:00.000Z", // CET, UTC+1
+    "2025-03-31T16:45:00.000Z", // CEST, UTC+2 (switch on Sun 30 March)
+    "2025-04-07T16:45:00.000Z"
+  ]);
+  expect(occ.map(o => timeInZone(o.startDate, "Europe/Zurich"))).toEqual(["18:45", "18:45", "18:45"]);
+});
+
+test("keeps Zurich wall time across the autumn DST switch", () => {
+  const occ = expandOccurrencesInRange([monday], new Date("2025-10-20T00:00:00Z"), new Date("2025-10-28T00:00:00Z"));
+  expect(iso(occ)).toEqual(["2025-10-20T16:45:00.000Z", "2025-10-27T17:45:00.000Z"]);
+  expect(occ.map(o => o.localDate)).toEqual(["2025-10-20", "2025-10-27"]);
+});
+
+test("resolves times inside the switch itself", () => {
+  // 02:30 does not exist on 30 March and happens twice on 26 October
+  expect(zonedTimeToUtc("2025-03-30", "02:30", "Europe/Zurich").toISOString()).toBe("2025-03-30T01:30:00.000Z");
+  expect(zonedTimeToUtc("2025-10-26", "02:30", "Europe/Zurich").toISOString()).toBe("2025-10-26T01:30:00.000Z");
+  const occ = expandOccurrencesInRange([sunday], new Date("2025-03-29T00:00:00Z"), new Date("2025-04-07T00:00:00Z"));
+  expect(iso(occ)).toEqual(["2025-03-30T01:30:00.000Z", "2025-04-06T00:30:00.000Z"]);
+});
+
+test("shows Zurich sessions in the viewer's zone", () => {
+  // The US switches on 9 March, Europe on 30 March: the gap is 5 h before and 6 h after.
+  const occ = expandOccurrencesInRange([monday], new Date("2025-03-03T00:00:00Z"), new Date("2025-04-01T00:00:00Z"));
+  expect(occ.map(o => timeInZone(o.startDate, "America/New_York"))).toEqual(["12:45", "13:45", "13:45", "13:45", "12:45"]);
+  // An early run can fall on the previous day elsewhere
+  const early = expandOccurrencesInRange([{ weekday: "tuesday", start_time: "06:15" }], new Date("2025-07-01T00:00:00Z"), new Date("2025-07-02T00:00:00Z"));
+  expect(dateInZone(early[0].startDate, "America/Los_Angeles")).toBe("2025-06-30");
+});
+
+test("honours a per-session timezone", () => {
+  const london = { weekday: "monday", start_time: "18:45", timezone: "Europe/London" };
+  const occ = expandOccurrencesInRange([london], new Date("2025-07-07T00:00:00Z"), new Date("2025-07-08T00:00:00Z"));
+  expect(iso(occ)).toEqual(["2025-07-07T17:45:00.000Z"]);
+  expect(occ[0].timeZone).toBe("Europe/London");
+});
+
+test("finds the next occurrence", () => {
+  expect(nextOccurrence(monday, new Date("2025-07-07T17:00:00Z")).startISO).toBe("2025-07-14T16:45:00.000Z");
+  expect(nextOccurrence({ weekday: "someday" })).toBeNull();
+});
+
+describe("recurrence rules", () => {
+  const dates = (e, from, to) => expandOccurrencesInRange([e], new Date(`${from}T00:00:00Z`), new Date(`${to}T00:00:00Z`)).map(o => o.localDate);
+  const thursday = { weekday: "thursday", start_time: "19:00" };
+
+  test("every other week counted from valid_from", () => {
+    const e = { ...thursday, recurrence: "biweekly", valid_from: "2025-09-01" };
+    expect(dates(e, "2025-08-20", "2025-10-10")).toEqual(["2025-09-04", "2025-09-18", "2025-10-02"]);
+  });
+
+  test("nth and last weekday of the month", () => {
+    const first = { weekday: "sunday", start_time: "09:00", recurrence: "monthly", month_weeks: [1] };
+    expect(dates(first, "2025-08-01", "2025-11-01")).toEqual(["2025-08-03", "2025-09-07", "2025-10-05"]);
+    const last = { ...first, month_weeks: [-1] };
+    expect(dates(last, "2025-08-01", "2025-11-01")).toEqual(["2025-08-31", "2025-09-28", "2025-10-26"]);
+  });
+
+  test("seasons, validity windows and exception dates", () => {
+    const summer = { ...thursday, season_months: [4, 10] };
+    expect(dates(summer, "2025-10-20", "2025-11-10")).toEqual(["2025-10-23", "2025-10-30"]);
+    const winter = { ...thursday, season_months: [11, 3] };
+    expect(dates(winter, "2025-10-20", "2025-11-10")).toEqual(["2025-11-06"]);
+    const bounded = { weekday: "wednesday", start_time: "19:00", valid_from: "2025-12-10", valid_until: "2025-12-31", exception_dates: ["2025-12-24"] };
+    expect(dates(bounded, "2025-12-01", "2026-01-15")).toEqual(["2025-12-10", "2025-12-17", "2025-12-31"]);
+  });
+
+  test("one-off sessions occur once and then end", () => {
+    const special = { weekday: "saturday", start_time: "10:00", recurrence: "once", date: "2025-12-13" };
+    expect(dates(special, "2025-11-01", "2026-02-01")).toEqual(["2025-12-13"]);
+    expect(nextOccurrence(special, new Date("2025-11-01T00:00:00Z")).localDate).toBe("2025-12-13");
+    expect(hasEnded(special, new Date("2025-12-13T20:00:00Z"))).toBe(false);
+    expect(hasEnded(special, new Date("2025-12-14T08:00:00Z"))).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+// Pace values and conversions.
+//
+// Paces are stored as whole seconds per kilometre (`pace_groups_s_per_km`, derived by the
+// schema from the "m:ss" min/km or min/mi source fields) and only turned back into
+// "m:ss" strings for display, in whichever unit the viewer picked.
+
+export const KM_PER_MILE = 1.609344;
+export const PACE_UNITS = ["km", "mi"];
+
+// "5:30" -> 330; anything that is not m:ss -> null.
+export function parsePace(s) {
+  const m = /^\s*(\d{1,2}):([0-5]\d)\s*$/.exec(s ?? "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+export function formatPace(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Seconds per km <-> seconds per `unit` ("km" | "mi").
+export function toUnit(secPerKm, unit) {
+  return unit === "mi" ? secPerKm * KM_PER_MILE : secPerKm;
+}
+
+export function fromUnit(secPerUnit, unit) {
+  return unit === "mi" ? secPerUnit / KM_PER_MILE : secPerUnit;
+}
+
+// "27:30" or "1:02:05"
+export function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = s % 60;
+  const pad = n => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(sec)}` : `${m}:${pad(sec)}`;
+}
+
+// Whether any pace group of `e` is within ±`toleranceSecPerKm` of `secPerKm`.
+export function hasPaceNear(e, secPerKm, toleranceSecPerKm) {
+  return (e.pace_groups_s_per_km || []).some(p => Math.abs(p - secPerKm) <= toleranceSecPerKm);
+}
+
+/**
+ * Estimated finish times per distance: `[{ distanceKm, fastest, slowest }]` in seconds,
+ * from the session's fastest and slowest pace group. Empty when either side is missing.
+ */
+export function finishTimes(e) {
+  const paces = e.pace_groups_s_per_km || [];
+  if (paces.length === 0) return [];
+  const fastest = Math.min(...paces), slowest = Math.max(...paces);
+  return (e.distances_km || []).map(d => ({ distanceKm: d, fastest: Math.round(d * fastest), slowest: Math.round(d * slowest) }));
+}
@@ -0,0 +1,37 @@
+/**
+ * @jest-environment node
+ */
+import { parsePace, formatPace, toUnit, fromUnit, formatDuration, hasPaceNear, finishTimes } from "./pace.js";
+
+test("parses and formats m:ss paces", () => {
+  expect(parsePace("5:30")).toBe(330);
+  expect(parsePace(" 6:05 ")).toBe(365);
+  expect(parsePace("5:75")).toBeNull();
+  expect(parsePace("fast")).toBeNull();
+  expect(formatPace(330)).toBe("5:30");
+  expect(formatPace(364.6)).toBe("6:05");
+});
+
+test("converts between min/km and min/mi", () => {
+  expect(formatPace(toUnit(360, "mi"))).toBe("9:39");
+  expect(Math.round(fromUnit(parsePace("9:39"), "mi"))).toBe(360);
+  expect(toUnit(360, "km")).toBe(360);
+});
+
+test("matches sessions with a pace group within the tolerance", () => {
+  const e = { pace_groups_s_per_km: [330, 360] };
+  expect(hasPaceNear(e, 345, 15)).toBe(true);
+  expect(hasPaceNear(e, 375, 15)).toBe(true);
+  expect(hasPaceNear(e, 376, 15)).toBe(false);
+  expect(hasPaceNear({}, 345, 15)).toBe(false);
+});
+
+test("estimates finish times per distance", () => {
+  expect(finishTimes({ pace_groups_s_per_km: [360, 330], distances_km: [5, 21.1] })).toEqual([
+    { distanceKm: 5, fastest: 1650, slowest: 1800 },
+    { distanceKm: 21.1, fastest: 6963, slowest: 7596 }
+  ]);
+  expect(finishTimes({ pace_groups_s_per_km: [], distances_km: [5] })).toEqual([]);
+  expect(formatDuration(1650)).toBe("27:30");
+  expect(formatDuration(7596)).toBe("2:06:36");
+});
@@ -0,0 +1,124 @@
+// Courses of sessions and races, read from the GPX or GeoJSON file in their `route_url`
+// (usually a /routes/… file in public/). Used by the app (map polylines, GPX downloads) and by
+// scripts/normalize-data.mjs, which checks the files against distances_km / elevation_gain_m.
+//
+// A route is a list of points `{ lat, lon, ele }`; ele is null when the file has no elevations.
+import { haversineKm } from "./geo.js";
+
+// Elevation changes smaller than this are GPS noise and don't count as climbing.
+const CLIMB_THRESHOLD_M = 3;
+
+// How far the listed values may be from the ones measured on the track.
+const DISTANCE_TOLERANCE = { km: 0.5, share: 0.1 };
+const ELEVATION_TOLERANCE = { m: 30, share: 0.15 };
+
+function number(v) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+function point(lat, lon, ele) {
+  lat = number(lat);
+  lon = number(lon);
+  return lat == null || lon == null ? null : { lat, lon, ele: number(ele) };
+}
+
+// Track points, or route points for files that only have a planned route. Parsed with regular
+// expressions rather than DOMParser so it also runs in Node.
+export function parseGpx(text) {
+  const read = tag => Array.from(text.matchAll(new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, "g")), m => {
+    const attr = name => new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(m[1])?.[1];
+    return point(attr("lat"), attr("lon"), /<ele>\s*([^<]*?)\s*<\/ele>/.exec(m[2] || "")?.[1]);
+  }).filter(Boolean);
+  const track = read("trkpt");
+  return track.length ? track : read("rtept");
+}
+
+// LineString and MultiLineString coordinates ([lon, lat, ele?]) of a geometry, feature or collection.
+export function parseGeoJson(value) {
+  const json = typeof value === "string" ? JSON.parse(value) : value;
+  const lines = [];
+  (function collect(g) {
+    if (!g || typeof g !== "object") return;
+    if (g.type === "FeatureCollection") (g.features || []).forEach(collect);
+    else if (g.type === "Feature") collect(g.geometry);
+    else if (g.type === "GeometryCollection") (g.geometries || []).forEach(collect);
+    else if (g.type === "LineString") lines.push(g.coordinates);
+    else if (g.type === "MultiLineString") lines.push(...g.coordinates);
+  })(json);
+  return lines.flat().map(c => (Array.isArray(c) ? point(c[1], c[0], c[2]) : null)).filter(Boolean);
+}
+
+/** Points of a GPX or GeoJSON file; throws when the text is neither or has no course in it. */
+export function parseRoute(text) {
+  let points;
+  try {
+    points = text.trimStart().startsWith("<") ? parseGpx(text) : parseGeoJson(text);
+  } catch {
+    throw new Error("not a GPX or GeoJSON file");
+  }
+  if (points.length < 2) throw new Error("no track in this file");
+  return points;
+}
+
+/** Length in km and elevation gain in m (null without elevations) of a route. */
+export function routeStats(points) {
+  let km = 0;
+  for (let i = 1; i < points.length; i++) km += haversineKm(points[i - 1], points[i]);
+  const elevations = points.map(p => p.ele).filter(ele => ele != null);
+  let gain = null;
+  if (elevations.length >= 2) {
+    gain = 0;
+    let ref = elevations[0];
+    for (const ele of elevations) {
+      if (ele - ref >= CLIMB_THRESHOLD_M) {
+        gain += ele - ref;
+        ref = ele;
+      } else if (ref - ele >= CLIMB_THRESHOLD_M) ref = ele;
+    }
+    gain = Math.round(gain);
+  }
+  return { lengthKm: Math.round(km * 100) / 100, elevationGainM: gain };
+}
+
+const near = (listed, measured, abs, share) => Math.abs(listed - measured) <= Math.max(abs, measured * share);
+
+/**
+ * Where a record's listed distances or elevation gains disagree with its route: one
+ * `{ field, listed, measured }` per field when none of the listed values is close to the track.
+ * Fields that are empty are not checked.
+ */
+export function routeMismatches(record, stats) {
+  const out = [];
+  const distances = record.distances_km || [];
+  if (distances.length && !distances.some(d => near(d, stats.lengthKm, DISTANCE_TOLERANCE.km, DISTANCE_TOLERANCE.share))) {
+    out.push({ field: "distances_km", listed: distances, measured: stats.lengthKm });
+  }
+  const gains = record.elevation_gain_m || [];
+  if (gains.length && stats.elevationGainM != null && !gains.some(g => near(g, stats.elevationGainM, ELEVATION_TOLERANCE.m, ELEVATION_TOLERANCE.share))) {
+    out.push({ field: "elevation_gain_m", listed: gains, measured: stats.elevationGainM });
+  }
+  return out;
+}
+
+const escapeXml = s => String(s).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+/**
+ * A GPX 1.1 document with an optional `waypoint` ({ lat, lon, name }, e.g. the meeting point)
+ * and the route `points` as a track.
+ */
+export function toGpx({ name, description = "", waypoint = null, points = [] }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Swiss Running" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name>${description ? `<desc>${escapeXml(description)}</desc>` : ""}</metadata>`
+  ];
+  if (waypoint) lines.push(`  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}"><name>${escapeXml(waypoint.name || name)}</name></wpt>`);
+  if (points.length) {
+    lines.push(`  <trk><name>${escapeXml(name)}</name><trkseg>`);
+    points.forEach(p => lines.push(`    <trkpt lat="${p.lat}" lon="${p.lon}">${p.ele != null ? `<ele>${p.ele}</ele>` : ""}</trkpt>`));
+    lines.push("  </trkseg></trk>");
+  }
+  lines.push("</gpx>");
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+import { parseGpx, parseGeoJson, parseRoute, routeStats, routeMismatches, toGpx } from "./routes.js";
+
+// About 1.11 km due north, climbing 20 m with a little GPS jitter on the way.
+const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Loop</name><trkseg>
+    <trkpt lat="47.3700" lon="8.5400"><ele>410</ele></trkpt>
+    <trkpt lon="8.5400" lat="47.3750"><ele>421.5</ele></trkpt>
+    <trkpt lat='47.3760' lon='8.5400'><ele>420</ele></trkpt>
+    <trkpt lat="47.3800" lon="8.5400"><ele>430</ele><time>2025-01-01T00:00:00Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+test("reads GPX tracks and GeoJSON lines", () => {
+  expect(parseGpx(gpx)).toHaveLength(4);
+  expect(parseGpx(gpx)[1]).toEqual({ lat: 47.375, lon: 8.54, ele: 421.5 });
+  expect(parseGpx('<gpx><rte><rtept lat="1" lon="2"/><rtept lat="1.1" lon="2"/></rte></gpx>')).toEqual([
+    { lat: 1, lon: 2, ele: null }, { lat: 1.1, lon: 2, ele: null }
+  ]);
+  const geojson = { type: "FeatureCollection", features: [{ type: "Feature", geometry: { type: "LineString", coordinates: [[8.54, 47.37, 410], [8.54, 47.38]] } }] };
+  expect(parseGeoJson(JSON.stringify(geojson))).toEqual([{ lat: 47.37, lon: 8.54, ele: 410 }, { lat: 47.38, lon: 8.54, ele: null }]);
+  expect(() => parseRoute("{oops")).toThrow("not a GPX or GeoJSON file");
+  expect(() => parseRoute("<gpx></gpx>")).toThrow("no track in this file");
+});
+
+test("measures length and climbing, ignoring small wobbles", () => {
+  expect(routeStats(parseRoute(gpx))).toEqual({ lengthKm: 1.11, elevationGainM: 20 });
+  expect(routeStats([{ lat: 0, lon: 0, ele: null }, { lat: 0, lon: 0.01, ele: null }]).elevationGainM).toBeNull();
+});
+
+test("flags listed distances and climbs that don't match the track", () => {
+  const stats = { lengthKm: 6.2, elevationGainM: 40 };
+  expect(routeMismatches({ distances_km: [5, 6], elevation_gain_m: [] }, stats)).toEqual([]);
+  expect(routeMismatches({ distances_km: [10], elevation_gain_m: [200] }, stats)).toEqual([
+    { field: "distances_km", listed: [10], measured: 6.2 },
+    { field: "elevation_gain_m", listed: [200], measured: 40 }
+  ]);
+});
+
+test("writes GPX with the meeting point and the track", () => {
+  const out = toGpx({ name: "Run & Coffee", waypoint: { lat: 47.37, lon: 8.54, name: "Letten" }, points: parseRoute(gpx) });
+  expect(out).toContain("<name>Run &amp; Coffee</name>");
+  expect(out).toContain('<wpt lat="47.37" lon="8.54"><name>Letten</name></wpt>');
+  expect(parseRoute(out)).toEqual(parseRoute(gpx));
+});
@@ -0,0 +1,366 @@
+// Record schemas for the hand-edited datasets in src/data.
+//
+// Each field spec has a `normalize` step that coerces the loose shapes found in
+// the source files (strings vs arrays, "nan", stray whitespace, "True") into one
+// canonical shape, and an optional `check` that returns true or an error message.
+// Shared by the app, the data scripts and their tests, so keep this module free
+// of browser/Node-only APIs and use explicit file extensions in imports.
+import { ZURICH_TZ, dayOfWeek, isTimeZone } from "./time.js";
+import { fromUnit, parsePace } from "./pace.js";
+import { sessionCity } from "./cities.js";
+
+export const WEEKDAYS = ["monday","tuesday","wednesday","thursday","friday","saturday","sunday"];
+
+// How a session repeats: every week, every other week (counted from valid_from),
+// on given weeks of the month (month_weeks, -1 = last), or once on `date`.
+export const RECURRENCES = ["weekly","biweekly","monthly","once"];
+
+export const CANTONS = [
+  "AG","AI","AR","BE","BL","BS","FR","GE","GL","GR","JU","LU","NE",
+  "NW","OW","SG","SH","SO","SZ","TG","TI","UR","VD","VS","ZG","ZH"
+];
+
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------- Coercions ---------- */
+export function toText(v) {
+  if (v == null) return "";
+  const s = String(v).trim();
+  return s.toLowerCase() === "nan" || s.toLowerCase() === "null" ? "" : s;
+}
+
+export function toNumberOrNull(v) {
+  if (v == null || v === "") return null;
+  const n = typeof v === "number" ? v : Number(String(v).trim().replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+export function toList(v) {
+  if (Array.isArray(v)) return v.map(toText).filter(Boolean);
+  return toText(v).split(/[;,|]/).map(s => s.trim()).filter(Boolean);
+}
+
+export function toNumberList(v) {
+  if (Array.isArray(v)) return v.map(toNumberOrNull).filter(n => n != null);
+  if (typeof v === "number") return Number.isFinite(v) ? [v] : [];
+  return toList(v).map(toNumberOrNull).filter(n => n != null);
+}
+
+export function toBoolean(v, fallback = true) {
+  if (typeof v === "boolean") return v;
+  const s = toText(v).toLowerCase();
+  if (["true","yes","1"].includes(s)) return true;
+  if (["false","no","0"].includes(s)) return false;
+  return fallback;
+}
+
+// "6" -> "06:00", "6:15" -> "06:15", "18.45" -> "18:45". Unparseable input is kept as-is for `check` to report.
+export function normalizeTime(v) {
+  const s = toText(v);
+  const m = /^(\d{1,2})(?:[:.h](\d{1,2}))?$/.exec(s);
+  if (!m) return s;
+  return `${m[1].padStart(2, "0")}:${(m[2] || "0").padStart(2, "0")}`;
+}
+
+// Pace strings share the time syntax but are not zero-padded: "6" -> "6:00".
+export function normalizePace(v) {
+  const m = /^(\d{1,2})(?::(\d{1,2}))?$/.exec(toText(v));
+  return m ? `${Number(m[1])}:${(m[2] || "0").padStart(2, "0")}` : toText(v);
+}
+
+export function normalizeDate(v) {
+  const s = toText(v);
+  if (!s) return null;
+  const m = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(s); // Swiss dd.mm.yyyy
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return s.slice(0, 10);
+}
+
+const MONTHS = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"];
+
+// Seasons as an inclusive [from, to] month pair: "4-10", "Apr–Oct", [4, 10]. "Nov-Mar" wraps over the new year.
+export function normalizeMonthRange(v) {
+  const parts = Array.isArray(v) ? v : toText(v).split(/\s*[-–;,]\s*/).filter(Boolean);
+  return parts.map(p => {
+    const i = MONTHS.indexOf(toText(p).slice(0, 3).toLowerCase());
+    return i === -1 ? toNumberOrNull(p) : i + 1;
+  });
+}
+
+/* ---------- Checks ---------- */
+const isValidTime = v => /^([01]\d|2[0-3]):[0-5]\d$/.test(v) || "must be HH:MM";
+const isValidPace = v => /^\d{1,2}:[0-5]\d$/.test(v);
+const isLat = v => v == null || (v >= -90 && v <= 90) || "must be a latitude between -90 and 90";
+const isLon = v => v == null || (v >= -180 && v <= 180) || "must be a longitude between -180 and 180";
+const isPositiveList = v => v.every(n => n > 0) || "must contain positive numbers only";
+const isNonNegativeList = v => v.every(n => n >= 0) || "must not contain negative numbers";
+const isMonthWeekList = v => v.every(n => [1, 2, 3, 4, 5, -1].includes(n)) || "must contain week numbers 1-5 or -1 (last)";
+const isMonthRange = v => v.length === 0 || (v.length === 2 && v.every(n => Number.isInteger(n) && n >= 1 && n <= 12)) || "must be a from-to pair of months";
+
+function isUrl(v) {
+  if (!v) return true;
+  try {
+    const u = new URL(v);
+    return u.protocol === "http:" || u.protocol === "https:" || "must be an http(s) URL";
+  } catch {
+    return "must be an http(s) URL";
+  }
+}
+
+// A GPX/GeoJSON course: a path under public/ ("/routes/letten.gpx") or an http(s) URL.
+function isRouteUrl(v) {
+  if (!v) return true;
+  if (!/\.(gpx|geojson)$/i.test(v.split(/[?#]/)[0])) return "must point to a .gpx or .geojson file";
+  return v.startsWith("/") || isUrl(v) === true || "must be a /routes/… path or an http(s) URL";
+}
+
+function isDate(v) {
+  if (v == null) return true;
+  if (!DATE_RE.test(v)) return "must be YYYY-MM-DD";
+  const d = new Date(`${v}T00:00:00Z`);
+  return (!Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v) || "is not a real calendar date";
+}
+
+function isEmail(v) {
+  return !v || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) || "must be an email address";
+}
+
+function isDateList(v) {
+  const bad = v.find(d => isDate(d) !== true);
+  return bad === undefined || `${JSON.stringify(bad)} must be YYYY-MM-DD`;
+}
+
+/* ---------- Schemas ---------- */
+export const EVENT_SCHEMA = {
+  id:                     { required: true, normalize: toText },
+  club:                   { required: true, normalize: toText },
+  club_slug:              { required: true, normalize: v => toText(v).toLowerCase(), check: v => SLUG_RE.test(v) || "must be a lowercase ascii slug (a-z, 0-9, -)" },
+  // A slug from cities.json; when empty the city is found from the meeting point (see lib/cities.js).
+  city:                   { normalize: v => toText(v).toLowerCase(), check: v => !v || SLUG_RE.test(v) || "must be a lowercase ascii slug (a-z, 0-9, -)" },
+  // Required unless recurrence is "once", where it is derived from `date`.
+  weekday:                { normalize: v => toText(v).toLowerCase(), check: v => !v || WEEKDAYS.includes(v) || `must be one of ${WEEKDAYS.join(", ")}` },
+  start_time:             { required: true, normalize: normalizeTime, check: isValidTime },
+  recurrence:             { normalize: v => toText(v).toLowerCase() || "weekly", check: v => RECURRENCES.includes(v) || `must be one of ${RECURRENCES.join(", ")}` },
+  month_weeks:            { normalize: toNumberList, check: isMonthWeekList },
+  date:                   { normalize: normalizeDate, check: isDate },
+  valid_from:             { normalize: normalizeDate, check: isDate },
+  valid_until:            { normalize: normalizeDate, check: isDate },
+  season_months:          { normalize: normalizeMonthRange, check: isMonthRange },
+  exception_dates:        { normalize: v => toList(v).map(normalizeDate), check: isDateList },
+  timezone:               { normalize: v => toText(v) || ZURICH_TZ, check: v => isTimeZone(v) || "must be an IANA time zone such as Europe/Zurich" },
+  duration_min:           { normalize: toNumberOrNull, check: v => v == null || (Number.isInteger(v) && v > 0) || "must be a positive whole number of minutes" },
+  location_name:          { normalize: toText },
+  meeting_point_note:     { normalize: toText },
+  lat:                    { normalize: toNumberOrNull, check: isLat },
+  lon:                    { normalize: toNumberOrNull, check: isLon },
+  pace_groups_min_per_km: { normalize: v => toList(v).map(normalizePace), check: v => v.every(isValidPace) || "must be a list of m:ss paces" },
+  pace_groups_min_per_mi: { normalize: v => toList(v).map(normalizePace), check: v => v.every(isValidPace) || "must be a list of m:ss paces" },
+  // Derived from the two fields above: seconds per km, ascending
+  pace_groups_s_per_km:   { normalize: toNumberList },
+  distances_km:           { normalize: toNumberList, check: isPositiveList },
+  route_url:              { normalize: toText, check: isRouteUrl },
+  language:               { normalize: toText },
+  source_url:             { normalize: toText, check: isUrl },
+  instagram_url:          { normalize: toText, check: isUrl },
+  active:                 { normalize: v => toBoolean(v, true) }
+};
+
+export const RACE_SCHEMA = {
+  id:               { required: true, normalize: toText },
+  name:             { required: true, normalize: toText },
+  type:             { normalize: v => toList(v).map(t => t.toLowerCase()) },
+  start_date:       { normalize: normalizeDate, check: isDate },
+  end_date:         { normalize: normalizeDate, check: isDate },
+  place:            { normalize: toText },
+  canton:           { normalize: v => toText(v).toUpperCase(), check: v => !v || CANTONS.includes(v) || "must be a two-letter Swiss canton code" },
+  website:          { normalize: toText, check: isUrl },
+  guide_url:        { normalize: toText, check: isUrl },
+  distances_km:     { normalize: toNumberList, check: isPositiveList },
+  elevation_gain_m: { normalize: toNumberList, check: isNonNegativeList },
+  route_url:        { normalize: toText, check: isRouteUrl },
+  instagram_url:    { normalize: toText, check: isUrl },
+  lat:              { normalize: toNumberOrNull, check: isLat },
+  lon:              { normalize: toNumberOrNull, check: isLon },
+  is_multiday:      { normalize: v => toBoolean(v, false) }
+};
+
+export const CLUB_SCHEMA = {
+  slug:                    { required: true, normalize: v => toText(v).toLowerCase(), check: v => SLUG_RE.test(v) || "must be a lowercase ascii slug (a-z, 0-9, -)" },
+  name:                    { required: true, normalize: toText },
+  description:             { normalize: toText },
+  logo_url:                { normalize: toText, check: isUrl },
+  languages:               { normalize: v => toList(v).map(l => l.toLowerCase()) },
+  contact_email:           { normalize: toText, check: isEmail },
+  website:                 { normalize: toText, check: isUrl },
+  instagram_url:           { normalize: toText, check: isUrl },
+  // [fastest, slowest]; when empty the app shows the range of the club's session pace groups
+  typical_pace_min_per_km: { normalize: v => toList(v).map(normalizePace), check: v => (v.length === 0 || (v.length === 2 && v.every(isValidPace))) || "must be a fastest;slowest pair of m:ss paces" }
+};
+
+export const CITY_SCHEMA = {
+  slug:    { required: true, normalize: v => toText(v).toLowerCase(), check: v => SLUG_RE.test(v) || "must be a lowercase ascii slug (a-z, 0-9, -)" },
+  // English name; name_de/_fr/_it are shown in those interface languages when set
+  name:    { required: true, normalize: toText },
+  name_de: { normalize: toText },
+  name_fr: { normalize: toText },
+  name_it: { normalize: toText },
+  // Races in this canton are what the Races tab shows by default for the city
+  canton:  { required: true, normalize: v => toText(v).toUpperCase(), check: v => CANTONS.includes(v) || "must be a two-letter Swiss canton code" },
+  lat:     { required: true, normalize: toNumberOrNull, check: isLat },
+  lon:     { required: true, normalize: toNumberOrNull, check: isLon },
+  zoom:    { normalize: v => toNumberOrNull(v) ?? 12, check: v => (Number.isInteger(v) && v >= 1 && v <= 18) || "must be a map zoom level from 1 to 18" },
+  // [south, west, north, east]: the area the map shows and whose meeting points belong to the city
+  bounds:  { normalize: toNumberList, check: v => (v.length === 4 && v[0] < v[2] && v[1] < v[3]) || "must be south;west;north;east with south < north and west < east" }
+};
+
+/* ---------- Record-level rules ---------- */
+function finishEvent(e, issue) {
+  if (e.recurrence === "once") {
+    if (!e.date) issue("error", "date", "is required for one-off sessions");
+    else {
+      const weekday = WEEKDAYS[(dayOfWeek(e.date) + 6) % 7];
+      if (e.weekday && e.weekday !== weekday) issue("warning", "weekday", `derived from date as ${weekday}`);
+      e.weekday = weekday;
+    }
+  } else {
+    if (!e.weekday) issue("error", "weekday", "is required");
+    if (e.date) issue("warning", "date", `is only used by one-off sessions (recurrence is ${e.recurrence})`);
+  }
+  if (e.recurrence === "monthly" && e.month_weeks.length === 0) issue("error", "month_weeks", "is required for monthly sessions");
+  if (e.recurrence === "biweekly" && !e.valid_from) issue("error", "valid_from", "is required for biweekly sessions (it fixes which weeks are on)");
+  if (e.valid_from && e.valid_until && e.valid_until < e.valid_from) issue("error", "valid_until", "must not be before valid_from");
+  const paces = [
+    ...e.pace_groups_min_per_km.map(parsePace),
+    ...e.pace_groups_min_per_mi.map(p => Math.round(fromUnit(parsePace(p), "mi")))
+  ].filter(n => n != null);
+  const derived = Array.from(new Set(paces)).sort((a,b) => a - b);
+  if (e.pace_groups_s_per_km.length && JSON.stringify(derived) !== JSON.stringify(e.pace_groups_s_per_km)) {
+    issue("warning", "pace_groups_s_per_km", "is derived from pace_groups_min_per_km / pace_groups_min_per_mi");
+  }
+  e.pace_groups_s_per_km = derived;
+  if ((e.lat == null) !== (e.lon == null)) issue("error", "lat", "lat and lon must be set together");
+}
+
+function finishRace(r, issue) {
+  if (!r.start_date) issue("warning", "start_date", "race has no date and will not appear on the calendar");
+  if (r.start_date && !r.end_date) r.end_date = r.start_date;
+  if (r.start_date && r.end_date && r.end_date < r.start_date) issue("error", "end_date", "must not be before start_date");
+  const multiday = Boolean(r.start_date && r.end_date && r.end_date > r.start_date);
+  if (multiday !== r.is_multiday) {
+    issue("warning", "is_multiday", `derived from dates as ${multiday}`);
+    r.is_multiday = multiday;
+  }
+  // Places are entered as "Town, XX"; fill in a missing canton from that suffix.
+  const suffix = /,\s*([A-Z]{2})$/.exec(r.place);
+  if (!r.canton && suffix && CANTONS.includes(suffix[1])) r.canton = suffix[1];
+  if ((r.lat == null) !== (r.lon == null)) issue("error", "lat", "lat and lon must be set together");
+}
+
+function finishCity(c, issue) {
+  const [south, west, north, east] = c.bounds;
+  if (c.bounds.length === 4 && c.lat != null && c.lon != null && !(c.lat >= south && c.lat <= north && c.lon >= west && c.lon <= east)) {
+    issue("error", "lat", "the centre must lie within bounds");
+  }
+}
+
+/* ---------- Normalization ---------- */
+function sameValue(a, b) { return JSON.stringify(a) === JSON.stringify(b); }
+
+/**
+ * Normalizes one record against a schema.
+ * Returns the normalized record plus a list of issues `{ id, field, level, message }`;
+ * level "error" means the record is unusable as-is, "warning" means a value was rewritten.
+ */
+export function normalizeRecord(raw, schema, finish, key = "id") {
+  const id = toText(raw?.[key]) || `(missing ${key})`;
+  const issues = [];
+  const issue = (level, field, message) => issues.push({ id, field, level, message });
+  const record = {};
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = spec.normalize(raw?.[field]);
+    record[field] = value;
+    if (spec.required && (value === "" || value == null)) {
+      issue("error", field, "is required");
+      continue;
+    }
+    const ok = spec.check ? spec.check(value) : true;
+    if (ok !== true) issue("error", field, `${JSON.stringify(value)} ${ok}`);
+    else if (field in (raw || {}) && !sameValue(raw[field], value)) {
+      issue("warning", field, `normalized ${JSON.stringify(raw[field])} → ${JSON.stringify(value)}`);
+    }
+  }
+  // Fields outside the schema are passed through untouched so new columns are not lost.
+  for (const [field, value] of Object.entries(raw || {})) {
+    if (field in schema) continue;
+    record[field] = value;
+    issue("warning", field, "is not part of the schema");
+  }
+  if (finish) finish(record, issue);
+  return { record, issues };
+}
+
+function normalizeDataset(rows, schema, finish, key = "id") {
+  const records = [];
+  const issues = [];
+  const seen = new Set();
+  (Array.isArray(rows) ? rows : []).forEach(raw => {
+    const res = normalizeRecord(raw, schema, finish, key);
+    if (seen.has(res.record[key])) {
+      res.issues.push({ id: res.record[key], field: key, level: "error", message: "is not unique" });
+    }
+    seen.add(res.record[key]);
+    records.push(res.record);
+    issues.push(...res.issues);
+  });
+  return { records, issues };
+}
+
+// Filled in by finishEvent, so never worth writing back to the source file.
+const DERIVED_EVENT_FIELDS = ["pace_groups_s_per_km"];
+
+/**
+ * A normalized session in the shape of the hand-edited source file, for writing edits back to
+ * events_phase0.json: fields that still normalize to the same value keep their source spelling
+ * (a "5:30;6:00" pace list stays a string), and derived fields and fields left at their default
+ * are dropped unless `original`, the session as it is in the file, has them.
+ */
+export function sourceEvent(record, original = {}) {
+  const out = {};
+  for (const [field, value] of Object.entries(record)) {
+    const spec = EVENT_SCHEMA[field];
+    if (field in original && sameValue(spec ? spec.normalize(original[field]) : original[field], value)) out[field] = original[field];
+    else if (DERIVED_EVENT_FIELDS.includes(field)) continue;
+    else if (spec && !(field in original) && sameValue(spec.normalize(undefined), value)) continue;
+    else out[field] = value;
+  }
+  return out;
+}
+
+// A single session with the record-level rules applied (one-off weekdays, recurrence requirements).
+export function normalizeEvent(raw) { return normalizeRecord(raw, EVENT_SCHEMA, finishEvent); }
+export function normalizeEvents(rows) { return normalizeDataset(rows, EVENT_SCHEMA, finishEvent); }
+export function normalizeRaces(rows) { return normalizeDataset(rows, RACE_SCHEMA, finishRace); }
+export function normalizeClubs(rows) { return normalizeDataset(rows, CLUB_SCHEMA, null, "slug"); }
+export function normalizeCities(rows) { return normalizeDataset(rows, CITY_SCHEMA, finishCity, "slug"); }
+
+// Sessions whose club_slug has no entry in the club directory (their club page falls back to session data).
+export function checkClubReferences(events, clubs) {
+  const known = new Set(clubs.map(c => c.slug));
+  return events
+    .filter(e => e.club_slug && !known.has(e.club_slug))
+    .map(e => ({ id: e.id, field: "club_slug", level: "warning", message: `"${e.club_slug}" is not in clubs.json` }));
+}
+
+// Sessions naming a city that is not in cities.json (an error: no city view would list them), and
+// sessions without a city whose meeting point is in no city (only the whole-Switzerland view lists those).
+export function checkCityReferences(events, cities) {
+  const known = new Set(cities.map(c => c.slug));
+  return events.flatMap(e => {
+    if (e.city) return known.has(e.city) ? [] : [{ id: e.id, field: "city", level: "error", message: `"${e.city}" is not in cities.json` }];
+    return sessionCity(e, cities) ? [] : [{ id: e.id, field: "city", level: "warning", message: "is empty and the meeting point is in no city; only the whole-Switzerland view lists it" }];
+  });
+}
+
+export function hasErrors(issues) { return issues.some(i => i.level === "error"); }
@@ -0,0 +1,139 @@
+import { normalizeEvents, normalizeRaces, normalizeClubs, normalizeCities, checkClubReferences, checkCityReferences, normalizeTime, sourceEvent, hasErrors } from "./schema.js";
+import rawEvents from "../data/events_phase0.json";
+import rawRaces from "../data/races.json";
+import rawClubs from "../data/clubs.json";
+import rawCities from "../data/cities.json";
+import normalizedEvents from "../data/events.normalized.json";
+import normalizedRaces from "../data/races.normalized.json";
+import normalizedClubs from "../data/clubs.normalized.json";
+import normalizedCities from "../data/cities.normalized.json";
+
+const baseEvent = {
+  id: "club_monday_1845", club: "Club", club_slug: "club", weekday: "monday", start_time: "18:45"
+};
+
+test("every source record validates without errors", () => {
+  const events = normalizeEvents(rawEvents);
+  const races = normalizeRaces(rawRaces);
+  expect(events.issues.filter(i => i.level === "error")).toEqual([]);
+  expect(races.issues.filter(i => i.level === "error")).toEqual([]);
+  expect(normalizeClubs(rawClubs).issues.filter(i => i.level === "error")).toEqual([]);
+  expect(normalizeCities(rawCities).issues.filter(i => i.level === "error")).toEqual([]);
+});
+
+test("every session belongs to a club in the directory", () => {
+  expect(checkClubReferences(normalizedEvents, normalizedClubs)).toEqual([]);
+});
+
+test("every session belongs to a known city", () => {
+  expect(checkCityReferences(normalizedEvents, normalizedCities)).toEqual([]);
+  const issues = checkCityReferences([
+    { id: "a", city: "atlantis" }, { id: "b", city: "", lat: 46.85, lon: 9.53 }, { id: "c", city: "", lat: 47.37, lon: 8.54 }
+  ], normalizedCities);
+  expect(issues.map(i => [i.id, i.level])).toEqual([["a", "error"], ["b", "warning"]]);
+  const { issues: bad } = normalizeCities([{ slug: "x", name: "X", canton: "ZH", lat: 46, lon: 8, bounds: "47;8;47.5;9" }]);
+  expect(bad.filter(i => i.level === "error")).toEqual([{ id: "x", field: "lat", level: "error", message: "the centre must lie within bounds" }]);
+});
+
+test("normalized files are up to date with the sources", () => {
+  expect(normalizeEvents(rawEvents).records).toEqual(normalizedEvents);
+  expect(normalizeRaces(rawRaces).records).toEqual(normalizedRaces);
+  expect(normalizeClubs(rawClubs).records).toEqual(normalizedClubs);
+  expect(normalizeCities(rawCities).records).toEqual(normalizedCities);
+});
+
+test("coerces mixed string/array shapes and trims text", () => {
+  const { records, issues } = normalizeEvents([{
+    ...baseEvent,
+    location_name: "Bürkliplatz ",
+    pace_groups_min_per_km: "6;6:30",
+    distances_km: "5, 8.5",
+    active: "True"
+  }]);
+  expect(records[0]).toMatchObject({
+    location_name: "Bürkliplatz",
+    pace_groups_min_per_km: ["6:00", "6:30"],
+    distances_km: [5, 8.5],
+    active: true
+  });
+  expect(hasErrors(issues)).toBe(false);
+  expect(issues.map(i => i.field)).toEqual(
+    expect.arrayContaining(["location_name", "pace_groups_min_per_km", "distances_km", "active"])
+  );
+});
+
+test("reports bad fields by id", () => {
+  const { issues } = normalizeEvents([
+    { ...baseEvent, weekday: "funday", start_time: "25:00", lat: 47.3, route_url: "/routes/loop.kml" },
+    { ...baseEvent }
+  ]);
+  const errors = issues.filter(i => i.level === "error").map(i => `${i.id} ${i.field}`);
+  expect(errors).toEqual([
+    "club_monday_1845 weekday",
+    "club_monday_1845 start_time",
+    "club_monday_1845 route_url",
+    "club_monday_1845 lat",
+    "club_monday_1845 id"
+  ]);
+});
+
+test("validates recurrence rules", () => {
+  const { records, issues } = normalizeEvents([
+    { ...baseEvent, id: "once", weekday: "", recurrence: "once", date: "13.12.2025" },
+    { ...baseEvent, id: "season", season_months: "Apr–Oct", exception_dates: "2025-12-24; 31.12.2025" },
+    { ...baseEvent, id: "monthly", recurrence: "monthly" },
+    { ...baseEvent, id: "biweekly", recurrence: "Biweekly" },
+    { ...baseEvent, id: "window", valid_from: "2025-10-01", valid_until: "2025-09-01" }
+  ]);
+  expect(records[0]).toMatchObject({ weekday: "saturday", date: "2025-12-13" });
+  expect(records[1]).toMatchObject({ recurrence: "weekly", season_months: [4, 10], exception_dates: ["2025-12-24", "2025-12-31"] });
+  const errors = issues.filter(i => i.level === "error").map(i => `${i.id} ${i.field}`);
+  expect(errors).toEqual(["monthly month_weeks", "biweekly valid_from", "window valid_until"]);
+});
+
+test("derives seconds per km from min/km and min/mi paces", () => {
+  const { records } = normalizeEvents([
+    { ...baseEvent, pace_groups_min_per_km: "6;5:30" },
+    { ...baseEvent, id: "miles", pace_groups_min_per_mi: "9:39" }
+  ]);
+  expect(records[0].pace_groups_s_per_km).toEqual([330, 360]);
+  expect(records[1].pace_groups_s_per_km).toEqual([360]);
+});
+
+test("writes edited sessions back in their source shape", () => {
+  const { records } = normalizeEvents(rawEvents);
+  expect(records.map((e, i) => sourceEvent(e, rawEvents[i]))).toEqual(rawEvents);
+
+  const original = { ...baseEvent, pace_groups_min_per_km: "6;5:30", active: true };
+  const [record] = normalizeEvents([original]).records;
+  expect(sourceEvent({ ...record, start_time: "19:00", duration_min: 45 }, original))
+    .toEqual({ ...original, start_time: "19:00", duration_min: 45 });
+  expect(sourceEvent({ ...record, pace_groups_min_per_km: ["5:00"], pace_groups_s_per_km: [300] }, original))
+    .toEqual({ ...original, pace_groups_min_per_km: ["5:00"] });
+  expect(sourceEvent(record)).toEqual({ ...baseEvent, pace_groups_min_per_km: ["6:00", "5:30"] });
+});
+
+test("normalizes race places, cantons and dates", () => {
+  const { records, issues } = normalizeRaces([
+    { id: "a", name: "A", type: "run;trail", place: "nan", start_date: "2025-09-07", end_date: "", lat: null, lon: null },
+    { id: "b", name: "B", type: "run", place: "Arosa, GR", canton: "", start_date: "13.09.2025", end_date: "2025-09-14" }
+  ]);
+  expect(records[0]).toMatchObject({ type: ["run", "trail"], place: "", end_date: "2025-09-07", is_multiday: false });
+  expect(records[1]).toMatchObject({ canton: "GR", start_date: "2025-09-13", is_multiday: true });
+  expect(hasErrors(issues)).toBe(false);
+});
+
+test("validates club profiles keyed by slug", () => {
+  const { records, issues } = normalizeClubs([
+    { slug: "coffee-run", name: "Coffee Run", languages: "EN;de", typical_pace_min_per_km: "5:30;6" },
+    { slug: "coffee-run", name: "Again", contact_email: "nope" }
+  ]);
+  expect(records[0]).toMatchObject({ languages: ["en", "de"], typical_pace_min_per_km: ["5:30", "6:00"] });
+  expect(issues.filter(i => i.level === "error").map(i => `${i.id} ${i.field}`)).toEqual(["coffee-run contact_email", "coffee-run slug"]);
+});
+
+test("normalizeTime pads hours and minutes", () => {
+  expect(normalizeTime("10")).toBe("10:00");
+  expect(normalizeTime("6:15")).toBe("06:15");
+  expect(normalizeTime(" 18.45 ")).toBe("18:45");
+});
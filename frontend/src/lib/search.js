@@ -0,0 +1,128 @@
+// Free-text search over sessions and races, shared by the app and the API (`?q=`).
+//
+// Text is compared folded: lowercase, without accents or umlauts, so "zurich" finds "Zürich".
+// Every query word has to match a word of some field, exactly, as a prefix, inside it (3+
+// letters) or within a typo or two ("zofigen" finds "Zofingen"). Better matches in weightier
+// fields (a club name over a meeting point) rank first.
+
+export function foldText(s) {
+  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/ß/g, "ss").toLowerCase();
+}
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+export function queryTerms(query) {
+  return Array.from(new Set(foldText(query).match(WORD) || []));
+}
+
+// Allowed typos per query word: none for short words, one from 4 letters, two from 8.
+function maxTypos(term) { return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0; }
+
+// Optimal string alignment distance (insert, delete, substitute, swap neighbours), or
+// max + 1 once it is certain to exceed `max`.
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well a folded query word matches a folded text word, from 1 (same word) to 0 (no match),
+// and which part of the word to highlight.
+function matchWord(term, word) {
+  if (word === term) return { quality: 1, start: 0, end: word.length };
+  if (word.startsWith(term)) return { quality: 0.8, start: 0, end: term.length };
+  const at = term.length >= 3 ? word.indexOf(term) : -1;
+  if (at !== -1) return { quality: 0.5, start: at, end: at + term.length };
+  const typos = maxTypos(term);
+  if (typos > 0) {
+    // The whole word, or its beginning while the rest is still being typed
+    const whole = editDistance(term, word, typos);
+    if (whole <= typos) return { quality: 0.4 - whole * 0.1, start: 0, end: word.length };
+    if (word.length > term.length && editDistance(term, word.slice(0, term.length), typos) <= typos) {
+      return { quality: 0.2, start: 0, end: term.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Relevance of a record for `query`, given its searchable `fields` as [text, weight] pairs:
+ * 0 when some query word matches nowhere, otherwise the sum over the query words of their best
+ * match quality times field weight. An empty query scores 1 for everything.
+ */
+export function searchScore(query, fields) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return 1;
+  const words = fields.map(([text, weight]) => [foldText(text).match(WORD) || [], weight]);
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [list, weight] of words) {
+      for (const word of list) best = Math.max(best, (matchWord(term, word)?.quality || 0) * weight);
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+  return score;
+}
+
+export const sessionSearchFields = e => [[e.club, 3], [e.location_name, 2]];
+export const raceSearchFields = r => [[r.name, 3], [r.place, 2], [(r.type || []).join(" ").replaceAll("_", " "), 1]];
+export const clubSearchFields = c => [[c.name, 3], [c.slug.replaceAll("-", " "), 2], [c.description, 1]];
+
+// Records matching `query`, best first; ties keep their order. An empty query returns them all.
+export function searchRecords(records, query, fieldsOf) {
+  if (queryTerms(query).length === 0) return records;
+  return records
+    .map((record, i) => ({ record, i, score: searchScore(query, fieldsOf(record)) }))
+    .filter(x => x.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(x => x.record);
+}
+
+/**
+ * [start, end) ranges of `text` to highlight for `query`, in the original (unfolded) text,
+ * sorted and merged.
+ */
+export function highlightRanges(text, query) {
+  const terms = queryTerms(query);
+  if (!text || terms.length === 0) return [];
+  // Fold character by character so positions in the folded text map back to the original.
+  let folded = "";
+  const origin = [];
+  for (let i = 0; i < text.length; i++) {
+    for (const ch of foldText(text[i])) {
+      folded += ch;
+      origin.push(i);
+    }
+  }
+  const ranges = [];
+  for (const m of folded.matchAll(WORD)) {
+    for (const term of terms) {
+      const hit = matchWord(term, m[0]);
+      if (hit) ranges.push([origin[m.index + hit.start], origin[m.index + hit.end - 1] + 1]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  return merged;
+}
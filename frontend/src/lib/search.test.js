@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+import { foldText, searchScore, searchRecords, highlightRanges, sessionSearchFields, raceSearchFields } from "./search.js";
+
+const sessions = [
+  { id: "a", club: "Adidas Runners Zürich", location_name: "Kaisin.Enge" },
+  { id: "b", club: "The Run Club Zurich", location_name: "Zürich Opera House" },
+  { id: "c", club: "Coffee Run", location_name: "Oberer Letten" }
+];
+const races = [
+  { id: "z", name: "1. Zofingen 5000", place: "Zofingen, AG", type: ["run"] },
+  { id: "t", name: "12. Arosa Trailrun", place: "Arosa, GR", type: ["run", "trail"] },
+  { id: "x", name: "Cross Nationals", place: "Bern, BE", type: ["cross_country"] }
+];
+const ids = (records, q, fields) => searchRecords(records, q, fields).map(r => r.id);
+
+test("folds accents, umlauts and case", () => {
+  expect(foldText("Züri rännt")).toBe("zuri rannt");
+  expect(foldText("Course pédestre")).toBe("course pedestre");
+  expect(foldText("Straße")).toBe("strasse");
+});
+
+test("finds sessions by club or location, ignoring accents", () => {
+  expect(ids(sessions, "Opera", sessionSearchFields)).toEqual(["b"]);
+  expect(ids(sessions, "enge", sessionSearchFields)).toEqual(["a"]);
+  expect(ids(sessions, "Zurich", sessionSearchFields)).toEqual(["a", "b"]);
+  expect(ids(sessions, "run zurich opera", sessionSearchFields)).toEqual(["b"]);
+  expect(ids(sessions, "", sessionSearchFields)).toEqual(["a", "b", "c"]);
+});
+
+test("finds races by name, place or type and tolerates typos", () => {
+  expect(ids(races, "Zofingen", raceSearchFields)).toEqual(["z"]);
+  expect(ids(races, "zofigen", raceSearchFields)).toEqual(["z"]);
+  expect(ids(races, "trail", raceSearchFields)).toEqual(["t"]);
+  expect(ids(races, "cross country", raceSearchFields)).toEqual(["x"]);
+  expect(ids(races, "nowhere", raceSearchFields)).toEqual([]);
+});
+
+test("ranks exact and name matches above fuzzy and place matches", () => {
+  const clubs = [
+    { id: "place", club: "Lake Runners", location_name: "Letten" },
+    { id: "typo", club: "Lettn Crew", location_name: "" },
+    { id: "name", club: "Letten Runners", location_name: "" }
+  ];
+  expect(ids(clubs, "letten", sessionSearchFields)).toEqual(["name", "place", "typo"]);
+  expect(searchScore("xyz", sessionSearchFields(clubs[0]))).toBe(0);
+});
+
+test("highlights matches in the original text", () => {
+  expect(highlightRanges("Zürich Opera House", "zurich op")).toEqual([[0, 6], [7, 9]]);
+  expect(highlightRanges("Kaisin.Enge", "enge")).toEqual([[7, 11]]);
+  expect(highlightRanges("Zofingen, AG", "zofigen")).toEqual([[0, 8]]);
+  expect(highlightRanges("Coffee Run", "")).toEqual([]);
+});
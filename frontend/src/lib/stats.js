@@ -0,0 +1,107 @@
+// Coverage statistics for the Stats view: when, how far, how fast, who and where sessions run.
+// Everything is counted from the sessions passed in (the app passes its filtered list), so the
+// charts answer questions like "no Wednesday morning runs around Langstrasse" for the current
+// selection. Times are each session's own start_time, i.e. local to the run.
+import { WEEKDAYS } from "./schema.js";
+import { toUnit } from "./pace.js";
+import { SWITZERLAND } from "./cities.js";
+
+/** "06" for a session starting at 06:15, or null when it has no usable start time. */
+export function startHour(session) {
+  const hh = (session.start_time || "").split(":")[0];
+  return /^\d{1,2}$/.test(hh) ? hh.padStart(2, "0") : null;
+}
+
+/** Start hours ("06", "18", …) of the sessions, ascending and without repeats. */
+export function sessionHours(sessions) {
+  return Array.from(new Set(sessions.map(startHour).filter(Boolean))).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Sessions per weekday and start hour: `counts[d][h]` for WEEKDAYS[d] (Monday first) and hour h,
+ * plus `max`, the busiest slot. Sessions without a weekday or start time are left out.
+ */
+export function weekdayHourMatrix(sessions) {
+  const counts = WEEKDAYS.map(() => Array(24).fill(0));
+  sessions.forEach(e => {
+    const d = WEEKDAYS.indexOf(e.weekday);
+    const h = startHour(e);
+    if (d !== -1 && h != null && Number(h) < 24) counts[d][Number(h)]++;
+  });
+  return { counts, max: Math.max(0, ...counts.flat()) };
+}
+
+/**
+ * Values counted into bins of `step` from `min` up to `max`: `[{ from, to, count }]`, the last
+ * bin taking values equal to `max`. Without a range, the bins run in whole steps from the step the
+ * smallest value is in to the one the largest is in.
+ */
+export function histogram(values, { step, min, max } = {}) {
+  if (values.length === 0 && (min == null || max == null)) return [];
+  const lo = min ?? Math.floor(Math.min(...values) / step) * step;
+  const hi = max ?? (Math.floor(Math.max(...values) / step) + 1) * step;
+  const size = Math.max(1, Math.ceil((hi - lo) / step));
+  const bins = Array.from({ length: size }, (_, i) => ({ from: lo + i * step, to: Math.min(hi, lo + (i + 1) * step), count: 0 }));
+  values.forEach(v => {
+    if (v < lo || v > hi) return;
+    bins[Math.min(size - 1, Math.floor((v - lo) / step))].count++;
+  });
+  return bins;
+}
+
+/** Listed distances (km) of the sessions; a session offering 5 and 10 km counts once in each bin. */
+export function distanceDistribution(sessions, options) {
+  return histogram(sessions.flatMap(e => Array.from(new Set(e.distances_km || []))), options);
+}
+
+/** Pace groups of the sessions in seconds per `unit` ("km" or "mi"), each group counted once. */
+export function paceDistribution(sessions, { unit = "km", ...options } = {}) {
+  return histogram(sessions.flatMap(e => (e.pace_groups_s_per_km || []).map(p => toUnit(p, unit))), options);
+}
+
+/** `[{ slug, club, count }]`, busiest club first, then by name. */
+export function sessionsPerClub(sessions) {
+  const bySlug = new Map();
+  sessions.forEach(e => {
+    if (!bySlug.has(e.club_slug)) bySlug.set(e.club_slug, { slug: e.club_slug, club: e.club, count: 0 });
+    bySlug.get(e.club_slug).count++;
+  });
+  return Array.from(bySlug.values()).sort((a, b) => b.count - a.count || a.club.localeCompare(b.club));
+}
+
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Meeting points counted on a grid of roughly `cellKm` squares: `[{ south, west, north, east,
+ * count, ids }]` for the cells that have sessions, busiest first. The longitude step is sized at
+ * `lat` (the city's centre) rather than at the sessions, and cells line up on whole multiples of
+ * the steps, so a place stays in the same cell whatever the filters leave in.
+ */
+export function densityGrid(sessions, cellKm = 1, lat = SWITZERLAND.lat) {
+  const located = sessions.filter(e => Number.isFinite(e.lat) && Number.isFinite(e.lon));
+  if (located.length === 0) return [];
+  const dLat = cellKm / KM_PER_DEGREE;
+  const dLon = cellKm / (KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180));
+  const cells = new Map();
+  located.forEach(e => {
+    const row = Math.floor(e.lat / dLat);
+    const col = Math.floor(e.lon / dLon);
+    const key = `${row},${col}`;
+    if (!cells.has(key)) {
+      cells.set(key, { south: row * dLat, west: col * dLon, north: (row + 1) * dLat, east: (col + 1) * dLon, count: 0, ids: [] });
+    }
+    const cell = cells.get(key);
+    cell.count++;
+    cell.ids.push(e.id);
+  });
+  return Array.from(cells.values()).sort((a, b) => b.count - a.count || a.south - b.south || a.west - b.west);
+}
+
+/** RFC 4180 CSV: a header row and one line per row, quoting fields with commas, quotes or line breaks. */
+export function toCsv(header, rows) {
+  const field = v => {
+    const s = v == null ? "" : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map(row => row.map(field).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import { sessionHours, weekdayHourMatrix, histogram, distanceDistribution, paceDistribution, sessionsPerClub, densityGrid, toCsv } from "./stats.js";
+import { session } from "./__fixtures__/session.js";
+
+test("counts sessions per weekday and start hour", () => {
+  const sessions = [
+    session("a", { weekday: "wednesday" }),
+    session("b", { weekday: "wednesday", start_time: "18:45" }),
+    session("c", { weekday: "monday", start_time: "6:15" }),
+    session("d", { start_time: "" })
+  ];
+  const { counts, max } = weekdayHourMatrix(sessions);
+  expect(counts[2][18]).toBe(2);
+  expect(counts[0][6]).toBe(1);
+  expect(counts.flat().reduce((a, b) => a + b)).toBe(3);
+  expect(max).toBe(2);
+  expect(weekdayHourMatrix([]).max).toBe(0);
+  expect(sessionHours(sessions)).toEqual(["06", "18"]);
+});
+
+test("bins distances and paces", () => {
+  expect(histogram([1, 4, 5, 10], { step: 5, min: 0, max: 10 })).toEqual([
+    { from: 0, to: 5, count: 2 },
+    { from: 5, to: 10, count: 2 }
+  ]);
+  expect(histogram([], { step: 5 })).toEqual([]);
+  const sessions = [session("a", { distances_km: [5, 5, 10] }), session("b", { distances_km: [7] })];
+  expect(distanceDistribution(sessions, { step: 5, min: 0, max: 15 }).map(b => b.count)).toEqual([0, 2, 1]);
+  const paced = [session("a", { pace_groups_min_per_km: "5:00;5:30" }), session("b", { pace_groups_min_per_km: "6:00" })];
+  expect(paceDistribution(paced, { step: 30 }).map(b => [b.from, b.count])).toEqual([[300, 1], [330, 1], [360, 1]]);
+  expect(paceDistribution(paced, { step: 60, unit: "mi" })[0].from).toBe(480);
+});
+
+test("ranks clubs by sessions", () => {
+  const sessions = [
+    session("a", { club: "Zeta", club_slug: "zeta" }),
+    session("b", { club: "Alpha", club_slug: "alpha" }),
+    session("c", { club: "Zeta", club_slug: "zeta" }),
+    session("d", { club: "Beta", club_slug: "beta" })
+  ];
+  expect(sessionsPerClub(sessions)).toEqual([
+    { slug: "zeta", club: "Zeta", count: 2 },
+    { slug: "alpha", club: "Alpha", count: 1 },
+    { slug: "beta", club: "Beta", count: 1 }
+  ]);
+});
+
+test("counts meeting points on a grid", () => {
+  const sessions = [
+    session("a", { lat: 47.3667, lon: 8.5450 }),
+    session("b", { lat: 47.3668, lon: 8.5452 }),
+    session("c", { lat: 47.3900, lon: 8.5100 }),
+    session("d", { lat: null, lon: null })
+  ];
+  const cells = densityGrid(sessions, 1, 47.37);
+  expect(cells.map(c => c.count)).toEqual([2, 1]);
+  expect(cells[0].ids).toEqual(["a", "b"]);
+  expect(cells[0].south).toBeLessThanOrEqual(47.3667);
+  expect(cells[0].north).toBeGreaterThan(47.3668);
+  expect(cells[0].north - cells[0].south).toBeCloseTo(1 / 111.32);
+  // Filtering down to one session leaves its cell where it was.
+  expect(densityGrid(sessions.slice(2), 1, 47.37)).toEqual([cells[1]]);
+  expect(densityGrid([], 1)).toEqual([]);
+});
+
+test("writes CSV with quoted fields", () => {
+  expect(toCsv(["club", "sessions"], [["Lauftreff, Kreis 4", 3], ['The "6"', null]]))
+    .toBe('club,sessions\r\n"Lauftreff, Kreis 4",3\r\n"The ""6""",\r\n');
+});
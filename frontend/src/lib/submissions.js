@@ -0,0 +1,59 @@
+// Community submissions: runs sent in through the public "Submit a run" form.
+//
+// A submission wraps a proposed session until a moderator approves, rejects or merges it
+// (see the /api/submissions routes in api.js):
+//   { id, status: "pending"|"approved"|"rejected"|"merged", submitted_at, contact, note,
+//     event, duplicates: [{ id, club, reason, distance_m, pending }], reviewed_at, review_note, event_id }
+import { normalizeEvent } from "./schema.js";
+import { slugify, sessionId } from "./importer.js";
+import { haversineKm } from "./geo.js";
+
+export const SUBMISSION_STATUSES = ["pending", "approved", "rejected", "merged"];
+
+// Meeting points closer than this are treated as the same place.
+export const DUPLICATE_RADIUS_KM = 0.3;
+
+// Session fields a submitter may fill in; everything else (id, active, derived fields) is ours.
+export const SUBMISSION_FIELDS = [
+  "club", "club_slug", "city", "recurrence", "weekday", "date", "start_time", "duration_min",
+  "location_name", "meeting_point_note", "lat", "lon", "pace_groups_min_per_km", "distances_km",
+  "language", "source_url", "instagram_url", "valid_from", "valid_until", "month_weeks", "exception_dates"
+];
+
+/**
+ * Normalizes submitted form fields into a session: unknown fields are dropped, the club slug
+ * and id are derived the way the importer does. Returns `{ record, issues }` from the schema.
+ */
+export function submissionToEvent(fields) {
+  const raw = Object.fromEntries(SUBMISSION_FIELDS.filter(k => fields[k] != null).map(k => [k, fields[k]]));
+  if (!raw.club_slug) raw.club_slug = slugify(raw.club);
+  raw.active = true;
+  const { record } = normalizeEvent({ ...raw, id: "pending" });
+  raw.id = sessionId(record.club_slug, record.recurrence === "once" && record.date ? record.date : record.weekday, record.start_time);
+  return normalizeEvent(raw);
+}
+
+/**
+ * Sessions that look like the same run as `candidate`: same weekday (or date, for one-offs) and
+ * start time, and either the same club_slug or a meeting point within `radiusKm`.
+ * Returns `[{ id, club, reason }]` with reason "same_club" or "nearby" (then with `distance_m`
+ * between the meeting points); the app and the admin word the reasons themselves.
+ */
+export function findDuplicates(candidate, sessions, radiusKm = DUPLICATE_RADIUS_KM) {
+  const day = e => (e.recurrence === "once" ? e.date : e.weekday);
+  return sessions
+    .filter(e => e !== candidate && day(e) === day(candidate) && e.start_time === candidate.start_time)
+    .flatMap(e => {
+      if (e.club_slug === candidate.club_slug) return [{ id: e.id, club: e.club, reason: "same_club" }];
+      if ([e.lat, e.lon, candidate.lat, candidate.lon].some(v => v == null)) return [];
+      const km = haversineKm(e, candidate);
+      return km <= radiusKm ? [{ id: e.id, club: e.club, reason: "nearby", distance_m: Math.round(km * 1000) }] : [];
+    });
+}
+
+// Attributes a submitted session to an existing club, keeping the club's own name and links.
+export function mergeIntoClub(event, club) {
+  const merged = { ...event, club: club.name, club_slug: club.slug };
+  if (!merged.instagram_url && club.instagram_url) merged.instagram_url = club.instagram_url;
+  return submissionToEvent(merged);
+}
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+import { submissionToEvent, findDuplicates, mergeIntoClub } from "./submissions.js";
+
+const existing = [
+  { id: "the-6-zh-club_tuesday_0615", club: "The 6:ZH Club", club_slug: "the-6-zh-club", weekday: "tuesday", start_time: "06:15", lat: 47.3661526986, lon: 8.5412040931 },
+  { id: "coffee-run_1900", club: "Coffee Run", club_slug: "coffee-run", weekday: "tuesday", start_time: "19:00", lat: 47.3867, lon: 8.5333 }
+];
+
+test("turns form fields into a normalized session", () => {
+  const { record, issues } = submissionToEvent({ club: "Züri Sunrise", weekday: "Tuesday", start_time: "6:15", pace_groups_min_per_km: "5:30; 6:00", id: "ignored", source: "x" });
+  expect(issues.filter(i => i.level === "error")).toEqual([]);
+  expect(record).toMatchObject({ id: "zuri-sunrise_tuesday_0615", club_slug: "zuri-sunrise", weekday: "tuesday", start_time: "06:15", pace_groups_s_per_km: [330, 360], active: true });
+  expect(record.source).toBeUndefined();
+  expect(submissionToEvent({ club: "", start_time: "06:15" }).issues.map(i => i.field)).toEqual(expect.arrayContaining(["club"]));
+});
+
+test("detects duplicates by club, day, start time and distance", () => {
+  const sameClub = { club_slug: "the-6-zh-club", weekday: "tuesday", start_time: "06:15" };
+  expect(findDuplicates(sameClub, existing).map(d => d.reason)).toEqual(["same_club"]);
+  const nearby = { club_slug: "sunrise", weekday: "tuesday", start_time: "06:15", lat: 47.3664, lon: 8.5414 };
+  expect(findDuplicates(nearby, existing)).toEqual([{ id: "the-6-zh-club_tuesday_0615", club: "The 6:ZH Club", reason: "nearby", distance_m: 31 }]);
+  expect(findDuplicates({ ...nearby, lat: 47.3769, lon: 8.5417 }, existing)).toEqual([]);
+  expect(findDuplicates({ ...nearby, start_time: "06:30" }, existing)).toEqual([]);
+});
+
+test("merges a submission into an existing club", () => {
+  const { record } = submissionToEvent({ club: "6ZH", weekday: "thursday", start_time: "06:15" });
+  const merged = mergeIntoClub(record, { slug: "the-6-zh-club", name: "The 6:ZH Club", instagram_url: "https://www.instagram.com/the6zhclub/" }).record;
+  expect(merged).toMatchObject({ id: "the-6-zh-club_thursday_0615", club: "The 6:ZH Club", instagram_url: "https://www.instagram.com/the6zhclub/" });
+});
@@ -0,0 +1,88 @@
+// Time-zone helpers built on Intl, so wall-clock times can be anchored to an explicit
+// IANA zone (sessions are "18:45 in Zurich") regardless of the viewer's own zone.
+// Calendar dates are passed around as "YYYY-MM-DD" strings to keep them zone-free.
+
+export const ZURICH_TZ = "Europe/Zurich";
+
+const pad = n => String(n).padStart(2, "0");
+
+const formatters = new Map();
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", weekday: "long",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function viewerTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+export function isTimeZone(tz) {
+  try {
+    formatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in `timeZone`.
+export function zonedParts(date, timeZone) {
+  const p = {};
+  formatter(timeZone).formatToParts(date).forEach(({ type, value }) => { p[type] = value; });
+  return {
+    year: +p.year, month: +p.month, day: +p.day,
+    hour: +p.hour % 24, minute: +p.minute, second: +p.second,
+    weekday: p.weekday.toLowerCase()
+  };
+}
+
+export function dateInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+export function timeInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// Minutes `timeZone` is ahead of UTC at `date` (+60 for CET, +120 for CEST).
+export function offsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant at which the wall clock in `timeZone` shows `ymd` `hh:mm`.
+ * Times skipped by a spring-forward switch resolve to the same offset later (02:30 → 03:30);
+ * times repeated by a fall-back switch resolve to the second occurrence.
+ */
+export function zonedTimeToUtc(ymd, time, timeZone) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const [hh = 0, mm = 0] = (time || "00:00").split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  const guess = wall - offsetMinutes(new Date(wall), timeZone) * 60000;
+  return new Date(wall - offsetMinutes(new Date(guess), timeZone) * 60000);
+}
+
+/* ---------- "YYYY-MM-DD" arithmetic (UTC based, zone-free) ---------- */
+export function addDays(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday, like Date#getDay
+export function dayOfWeek(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
+
+export function dateFromYmd(ymd) {
+  return new Date(`${ymd}T00:00:00Z`);
+}
@@ -0,0 +1,55 @@
+// Query-string (de)serialization for view and filter state.
+//
+// A spec maps state keys to `{ param, fallback, parse, replace }`:
+//   param    query-string name
+//   fallback value used when the param is missing or invalid
+//   parse    string -> value, or undefined when the string is not acceptable
+//   replace  true for high-frequency controls (sliders) that should not add history entries
+// Values equal to their fallback are left out of the query string.
+
+export function oneOf(allowed) {
+  return v => (allowed.includes(v) ? v : undefined);
+}
+
+export function numberIn(min, max) {
+  return v => {
+    const n = Number(v);
+    return v !== "" && Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+  };
+}
+
+export function isoDate(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) ? v : undefined;
+}
+
+export function readParams(search, spec) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  for (const [key, { param, fallback, parse }] of Object.entries(spec)) {
+    const raw = params.get(param);
+    const parsed = raw == null ? undefined : parse(raw);
+    values[key] = parsed === undefined ? fallback : parsed;
+  }
+  return values;
+}
+
+export function writeParams(values, spec) {
+  const params = new URLSearchParams();
+  for (const [key, { param, fallback }] of Object.entries(spec)) {
+    const v = values[key];
+    if (v === fallback || v === "" || v == null) continue;
+    params.set(param, String(v));
+  }
+  return params.toString();
+}
+
+// True when only `replace` params differ, i.e. the change should replace the history entry.
+export function onlyReplaceableChanged(prev, next, spec) {
+  return Object.entries(spec).every(([key, { replace }]) => replace || prev[key] === next[key]);
+}
+
+// Resets a min/max pair to its fallbacks when a link has them the wrong way round.
+export function orderedRange(values, minKey, maxKey, spec) {
+  if (values[minKey] <= values[maxKey]) return values;
+  return { ...values, [minKey]: spec[minKey].fallback, [maxKey]: spec[maxKey].fallback };
+}
@@ -0,0 +1,32 @@
+import { oneOf, numberIn, isoDate, readParams, writeParams, onlyReplaceableChanged, orderedRange } from "./urlState.js";
+
+const spec = {
+  view:    { param: "view", fallback: "list", parse: oneOf(["list", "map"]) },
+  weekday: { param: "day",  fallback: "", parse: oneOf(["saturday"]) },
+  from:    { param: "from", fallback: "", parse: isoDate },
+  distMin: { param: "dmin", fallback: 5, parse: numberIn(5, 12), replace: true },
+  distMax: { param: "dmax", fallback: 12, parse: numberIn(5, 12), replace: true }
+};
+
+test("reads valid params and falls back on invalid ones", () => {
+  expect(readParams("?view=map&day=saturday&dmax=8", spec))
+    .toEqual({ view: "map", weekday: "saturday", from: "", distMin: 5, distMax: 8 });
+  expect(readParams("?view=table&day=caturday&from=2025-13-45&dmin=abc&dmax=99", spec))
+    .toEqual({ view: "list", weekday: "", from: "", distMin: 5, distMax: 12 });
+});
+
+test("writes only non-default values", () => {
+  expect(writeParams({ view: "map", weekday: "saturday", from: "", distMin: 5, distMax: 8 }, spec))
+    .toBe("view=map&day=saturday&dmax=8");
+  expect(writeParams({ view: "list", weekday: "", from: "", distMin: 5, distMax: 12 }, spec)).toBe("");
+});
+
+test("distinguishes slider-only changes", () => {
+  const base = readParams("", spec);
+  expect(onlyReplaceableChanged(base, { ...base, distMax: 8 }, spec)).toBe(true);
+  expect(onlyReplaceableChanged(base, { ...base, view: "map" }, spec)).toBe(false);
+});
+
+test("resets an inverted range", () => {
+  expect(orderedRange({ distMin: 10, distMax: 6 }, "distMin", "distMax", spec)).toEqual({ distMin: 5, distMax: 12 });
+});
@@ -0,0 +1,151 @@
+// Forecasts for upcoming runs: temperature, chance of rain and wind at a session's start.
+//
+// A provider is `{ id, days, hourly(lat, lon) }`: `hourly` returns (or resolves to) the hourly
+// forecast for a place as `[{ time, tempC, rainPct, windKmh }]` (time = start of the UTC hour in
+// ms), covering the next `days` days. Two ship with the app:
+//   fixture     offline and deterministic, made up from the monthly climate normals in
+//               src/data/weather.fixture.json; the default, so the app and the tests work offline
+//   open-meteo  the free Open-Meteo forecast API (https://open-meteo.com), no key needed
+// weatherProviderFromConfig picks one by name; createWeatherService caches their answers.
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A run with at least this chance of rain counts as rainy ("hide rainy runs").
+export const RAINY_PCT = 50;
+// Forecasts are kept this long before the provider is asked again.
+const CACHE_TTL_MS = 3 * HOUR_MS;
+
+export const WEATHER_PROVIDERS = ["fixture", "open-meteo", "off"];
+
+export function isRainy(forecast) {
+  return forecast != null && forecast.rainPct >= RAINY_PCT;
+}
+
+// A number in [0, 1) that only depends on the parts (FNV-1a), so the fixture gives the same
+// weather for the same place and hour on every load.
+function noise(...parts) {
+  let h = 0x811c9dc5;
+  for (const ch of parts.join("|")) h = Math.imul(h ^ ch.charCodeAt(0), 0x01000193);
+  return (h >>> 0) / 2 ** 32;
+}
+
+/**
+ * Offline provider. Each day is wet with the month's share of rainy days (`rainPct`); the
+ * temperature follows the sun from the month's low (around 03:00 solar time) to its high
+ * (around 15:00), give or take a few degrees a day.
+ */
+export function createFixtureProvider(fixture, { days = 10, now = () => Date.now() } = {}) {
+  return {
+    id: "fixture",
+    days,
+    hourly(lat, lon) {
+      const start = Math.floor(now() / HOUR_MS) * HOUR_MS;
+      const cell = `${lat.toFixed(1)},${lon.toFixed(1)}`;
+      return Array.from({ length: days * 24 }, (_, i) => {
+        const time = start + i * HOUR_MS;
+        const iso = new Date(time).toISOString();
+        const { lowC, highC, rainPct, windKmh } = fixture.months[new Date(time).getUTCMonth()];
+        const solarHour = (new Date(time).getUTCHours() + lon / 15 + 24) % 24;
+        const warmth = (1 - Math.cos(((solarHour - 3) / 24) * 2 * Math.PI)) / 2;
+        const wet = noise(cell, iso.slice(0, 10)) < rainPct / 100;
+        return {
+          time,
+          tempC: Math.round(lowC + (highC - lowC) * warmth + (noise(cell, iso.slice(0, 10), "t") - 0.5) * 6),
+          rainPct: Math.round((wet ? 55 + 40 * noise(cell, iso) : 35 * noise(cell, iso)) / 5) * 5,
+          windKmh: Math.round(windKmh * (0.5 + noise(cell, iso, "w")))
+        };
+      });
+    }
+  };
+}
+
+/** Open-Meteo forecast API; `url` points it at a mirror or self-hosted instance. */
+export function createOpenMeteoProvider({ url = "https://api.open-meteo.com/v1/forecast", days = 14, fetch: request = (...args) => fetch(...args) } = {}) {
+  return {
+    id: "open-meteo",
+    days,
+    async hourly(lat, lon) {
+      const params = new URLSearchParams({
+        latitude: lat, longitude: lon, forecast_days: days, timezone: "GMT", wind_speed_unit: "kmh",
+        hourly: "temperature_2m,precipitation_probability,wind_speed_10m"
+      });
+      const res = await request(`${url}?${params}`);
+      if (!res.ok) throw new Error(`weather forecast: ${res.status}`);
+      const { hourly } = await res.json();
+      // Times come as "2025-03-12T18:00" in the requested zone (GMT).
+      return hourly.time.map((t, i) => ({
+        time: Date.parse(`${t}Z`),
+        tempC: hourly.temperature_2m[i],
+        rainPct: hourly.precipitation_probability[i],
+        windKmh: hourly.wind_speed_10m[i]
+      })).filter(h => Number.isFinite(h.time) && h.tempC != null && h.rainPct != null && h.windKmh != null);
+    }
+  };
+}
+
+/** The provider named in the app config ("fixture" when empty), or null for "off". */
+export function weatherProviderFromConfig(name, { fixture, url } = {}) {
+  switch (name || "fixture") {
+    case "off":
+      return null;
+    case "fixture":
+      return createFixtureProvider(fixture);
+    case "open-meteo":
+      return createOpenMeteoProvider(url ? { url } : {});
+    default:
+      throw new Error(`unknown weather provider "${name}" (expected one of ${WEATHER_PROVIDERS.join(", ")})`);
+  }
+}
+
+/**
+ * Forecast lookups with a cache in front of `provider`. Places are rounded to about a kilometre,
+ * so meeting points close to each other share one request, and kept for `ttlMs`; failed requests
+ * are forgotten so the next lookup tries again.
+ *
+ * `forecastAt(lat, lon, when)` resolves to `{ time, tempC, rainPct, windKmh }` for the hour `when`
+ * falls in, or null when that hour is in the past or beyond the provider's forecast.
+ * `forecastNow` answers the same without waiting: undefined while the forecast is still being
+ * fetched (the request is started), so providers that answer synchronously, like the fixture,
+ * never leave a gap.
+ */
+export function createWeatherService(provider, { ttlMs = CACHE_TTL_MS, now = () => Date.now() } = {}) {
+  const cache = new Map();
+  const load = (lat, lon) => {
+    const key = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+    const hit = cache.get(key);
+    if (hit && now() - hit.fetchedAt < ttlMs) return hit;
+    const entry = { fetchedAt: now(), hours: null, pending: null };
+    const index = list => (entry.hours = new Map(list.map(h => [h.time, h])));
+    let answer;
+    try {
+      answer = provider.hourly(Number(lat.toFixed(2)), Number(lon.toFixed(2)));
+    } catch (err) {
+      answer = Promise.reject(err);
+    }
+    if (typeof answer?.then === "function") {
+      entry.pending = answer.then(index);
+      entry.pending.catch(() => { if (cache.get(key) === entry) cache.delete(key); });
+    } else {
+      index(answer);
+    }
+    cache.set(key, entry);
+    return entry;
+  };
+  const hourOf = when => Math.floor(new Date(when).getTime() / HOUR_MS) * HOUR_MS;
+  const inRange = hour => hour >= now() - HOUR_MS && hour < now() + provider.days * DAY_MS;
+  return {
+    provider: provider.id,
+    forecastNow(lat, lon, when) {
+      const hour = hourOf(when);
+      if (!inRange(hour)) return null;
+      const { hours } = load(Number(lat), Number(lon));
+      return hours ? hours.get(hour) || null : undefined;
+    },
+    async forecastAt(lat, lon, when) {
+      const hour = hourOf(when);
+      if (!inRange(hour)) return null;
+      const entry = load(Number(lat), Number(lon));
+      return (entry.hours || await entry.pending).get(hour) || null;
+    }
+  };
+}
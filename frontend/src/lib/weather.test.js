@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import fixture from "../data/weather.fixture.json";
+import { createFixtureProvider, createOpenMeteoProvider, createWeatherService, weatherProviderFromConfig, isRainy } from "./weather.js";
+
+const HOUR = 3600 * 1000;
+const now = Date.parse("2025-07-07T10:20:00Z");
+
+test("makes up steady, plausible weather offline", async () => {
+  const provider = createFixtureProvider(fixture, { days: 3, now: () => now });
+  const hours = await provider.hourly(47.37, 8.54);
+  expect(hours).toHaveLength(72);
+  expect(hours[0].time).toBe(Date.parse("2025-07-07T10:00:00Z"));
+  expect(await provider.hourly(47.37, 8.54)).toEqual(hours);
+  hours.forEach(h => {
+    expect(h.tempC).toBeGreaterThanOrEqual(11);
+    expect(h.tempC).toBeLessThanOrEqual(28);
+    expect(h.rainPct % 5).toBe(0);
+    expect(h.windKmh).toBeGreaterThan(0);
+  });
+  const at = iso => hours.find(h => h.time === Date.parse(iso)).tempC;
+  expect(at("2025-07-08T13:00:00Z")).toBeGreaterThan(at("2025-07-08T02:00:00Z"));
+  const weather = createWeatherService(provider, { now: () => now });
+  expect(weather.forecastNow(47.37, 8.54, "2025-07-08T13:30:00Z")).toEqual(hours.find(h => h.time === Date.parse("2025-07-08T13:00:00Z")));
+});
+
+test("looks up the hour a run starts in and caches it per place", async () => {
+  let clock = now;
+  const hourly = jest.fn(async () => [
+    { time: Date.parse("2025-07-07T16:00:00Z"), tempC: 24, rainPct: 60, windKmh: 12 },
+    { time: Date.parse("2025-07-07T17:00:00Z"), tempC: 23, rainPct: 20, windKmh: 9 }
+  ]);
+  const weather = createWeatherService({ id: "test", days: 2, hourly }, { now: () => clock });
+  expect(weather.forecastNow(47.3712, 8.5391, "2025-07-07T17:45:00Z")).toBeUndefined();
+  expect(await weather.forecastAt(47.3712, 8.5391, new Date("2025-07-07T17:45:00Z"))).toMatchObject({ tempC: 23, rainPct: 20 });
+  expect(await weather.forecastAt(47.3698, 8.5402, "2025-07-07T16:30:00Z")).toMatchObject({ rainPct: 60 });
+  expect(await weather.forecastAt(47.37, 8.54, "2025-07-07T20:00:00Z")).toBeNull();
+  expect(weather.forecastNow(47.37, 8.54, "2025-07-07T16:00:00Z")).toMatchObject({ tempC: 24 });
+  expect(hourly).toHaveBeenCalledTimes(1);
+  expect(hourly).toHaveBeenCalledWith(47.37, 8.54);
+
+  expect(await weather.forecastAt(47.37, 8.54, "2025-07-01T17:00:00Z")).toBeNull();
+  expect(await weather.forecastAt(47.37, 8.54, "2025-07-12T17:00:00Z")).toBeNull();
+  expect(hourly).toHaveBeenCalledTimes(1);
+
+  clock += 4 * HOUR;
+  await weather.forecastAt(47.37, 8.54, "2025-07-07T17:00:00Z");
+  expect(hourly).toHaveBeenCalledTimes(2);
+});
+
+test("retries after a failed request", async () => {
+  const hourly = jest.fn()
+    .mockRejectedValueOnce(new Error("offline"))
+    .mockResolvedValueOnce([{ time: Date.parse("2025-07-07T18:00:00Z"), tempC: 20, rainPct: 0, windKmh: 5 }]);
+  const weather = createWeatherService({ id: "test", days: 1, hourly }, { now: () => now });
+  await expect(weather.forecastAt(47.37, 8.54, "2025-07-07T18:00:00Z")).rejects.toThrow("offline");
+  expect(await weather.forecastAt(47.37, 8.54, "2025-07-07T18:00:00Z")).toMatchObject({ tempC: 20 });
+});
+
+test("reads Open-Meteo hourly forecasts", async () => {
+  const fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({ hourly: {
+      time: ["2025-07-07T17:00", "2025-07-07T18:00"],
+      temperature_2m: [23.4, 22.1], precipitation_probability: [10, null], wind_speed_10m: [8.3, 7.9]
+    } })
+  }));
+  const provider = createOpenMeteoProvider({ url: "https://weather.example/v1/forecast", fetch });
+  expect(await provider.hourly(47.37, 8.54)).toEqual([{ time: Date.parse("2025-07-07T17:00:00Z"), tempC: 23.4, rainPct: 10, windKmh: 8.3 }]);
+  const url = new URL(fetch.mock.calls[0][0]);
+  expect(url.origin + url.pathname).toBe("https://weather.example/v1/forecast");
+  expect(url.searchParams.get("latitude")).toBe("47.37");
+  expect(url.searchParams.get("hourly")).toBe("temperature_2m,precipitation_probability,wind_speed_10m");
+});
+
+test("picks the provider from the config", () => {
+  expect(weatherProviderFromConfig("", { fixture }).id).toBe("fixture");
+  expect(weatherProviderFromConfig("open-meteo").id).toBe("open-meteo");
+  expect(weatherProviderFromConfig("off")).toBeNull();
+  expect(() => weatherProviderFromConfig("metar")).toThrow('unknown weather provider "metar"');
+  expect(isRainy({ rainPct: 50 })).toBe(true);
+  expect(isRainy({ rainPct: 45 })).toBe(false);
+  expect(isRainy(null)).toBe(false);
+});
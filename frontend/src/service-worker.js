@@ -0,0 +1,73 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker, compiled by react-scripts (workbox InjectManifest) into build/service-worker.js
+// and registered from src/serviceWorkerRegistration.js in production builds only.
+//
+// - The app shell (HTML, JS, CSS) is precached. Sessions, races and clubs are bundled into the
+//   JS, so the whole app works offline; live API data (REACT_APP_API_URL) is network-first.
+// - Map tiles and route files are cached as they are viewed, so the areas and courses you looked
+//   at stay visible offline; so are the last weather forecasts.
+// - A new version waits until the page asks it to take over (the "update available" prompt).
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for in-app routes (/clubs/…, /submit, …), but not for files or the API.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === "navigate" && !url.pathname.startsWith("/_") && !url.pathname.includes("/api/") && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html")
+);
+
+// Tiles from OSM or REACT_APP_TILE_URL, recognised by their /{z}/{x}/{y}.png path. Tiles from
+// other origins are opaque (status 0), which is fine for images.
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.png$/;
+registerRoute(
+  ({ url, request }) => request.destination === "image" && TILE_PATH.test(url.pathname),
+  new CacheFirst({
+    cacheName: "map-tiles",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 1000, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true })
+    ]
+  })
+);
+
+registerRoute(
+  ({ url, request }) => request.method === "GET" && /\/api\/(events|races|clubs)$/.test(url.pathname),
+  new NetworkFirst({ cacheName: "api-data", networkTimeoutSeconds: 4 })
+);
+
+// Session and race courses (public/routes, or route_url on another host), kept for offline use.
+registerRoute(
+  ({ url, request }) => request.method === "GET" && /\.(gpx|geojson)$/i.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: "routes", plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })] })
+);
+
+// Weather forecasts (REACT_APP_WEATHER_PROVIDER=open-meteo): fresh when online, the last ones offline.
+registerRoute(
+  ({ url, request }) => request.method === "GET" && url.pathname.endsWith("/v1/forecast"),
+  new NetworkFirst({
+    cacheName: "weather",
+    networkTimeoutSeconds: 4,
+    plugins: [new ExpirationPlugin({ maxEntries: 100, maxAgeSeconds: 24 * 60 * 60, purgeOnQuotaError: true })]
+  })
+);
+
+// The calendar feed is generated into public/, outside the precache manifest.
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith("/calendar.ics"),
+  new NetworkFirst({ cacheName: "calendar" })
+);
+
+self.addEventListener("message", event => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
@@ -0,0 +1,52 @@
+// Registers build/service-worker.js (see src/service-worker.js) in production builds.
+//
+// `register({ onUpdate, onSuccess })`: onSuccess runs once the app is cached for offline use,
+// onUpdate when a new version is installed and waiting; call `activateUpdate(registration)` to
+// switch to it (the page reloads when the new worker takes control).
+//
+// To try it locally: `npm run build && npx serve -s build`; the dev server never registers it.
+
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // A worker on another origin (e.g. PUBLIC_URL on a CDN) could not control this page.
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => watchRegistration(registration, config))
+      .catch(error => console.error("Service worker registration failed:", error));
+  });
+}
+
+export function watchRegistration(registration, { onUpdate, onSuccess } = {}) {
+  // An update may already be waiting from an earlier visit.
+  if (registration.waiting && navigator.serviceWorker.controller) onUpdate?.(registration);
+  registration.onupdatefound = () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.onstatechange = () => {
+      if (installing.state !== "installed") return;
+      if (navigator.serviceWorker.controller) onUpdate?.(registration);
+      else onSuccess?.(registration);
+    };
+  };
+}
+
+export function activateUpdate(registration) {
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+  registration.waiting?.postMessage({ type: "SKIP_WAITING" });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error(error.message));
+}
@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jest-axe adds `expect(await axe(container)).toHaveNoViolations()` for accessibility checks.
+import { toHaveNoViolations } from 'jest-axe';
+expect.extend(toHaveNoViolations);
+
+// Leaflet only draws vector layers (circles, routes, density squares) when the browser can
+// render SVG, which it detects through createSVGRect; jsdom doesn't implement it.
+if (typeof SVGSVGElement !== 'undefined' && !SVGSVGElement.prototype.createSVGRect) {
+  SVGSVGElement.prototype.createSVGRect = () => ({ x: 0, y: 0, width: 0, height: 0 });
+}